@@ -0,0 +1,1027 @@
+'use strict';
+
+/* =========================================
+   TEXTOS - INGLÉS
+   Mismas claves que es.js más los textos fijos de recursos.html (page.*),
+   que se aplican con data-i18n al cargar la página.
+   Los cuestionarios usan la redacción oficial en inglés de cada instrumento.
+   ========================================= */
+window.ADPSIKE_LOCALES = window.ADPSIKE_LOCALES || {};
+
+window.ADPSIKE_LOCALES.en = {
+  meta: { name: 'English', intl: 'en-US', speech: 'en' },
+
+  common: {
+    closeTool: 'Close Tool',
+    continue: 'Continue',
+    pause: '⏸ Pause',
+    delete: 'Delete',
+    notSaved: '⚠️ Could not save on this device.'
+  },
+
+  offline: {
+    update: 'Update',
+    online: '🌐 Back online',
+    offline: '📴 Offline · The tools and SOS still work',
+    ready: '✅ Available offline',
+    available: '✨ A new version is available'
+  },
+
+  roi: {
+    days: { one: '{count} day', other: '{count} days' },
+    daysPerMonth: { one: '{count} day/month', other: '{count} days/month' },
+    level: 'Level {level}',
+    months: { one: '{count} month', other: '{count} months' },
+    contexts: {
+      ansiedad: {
+        lDays: 'Days with "mental noise"',
+        lInt: 'Worry level',
+        benefit: 'sleep without worrying, switch off overthinking and enjoy the present.'
+      },
+      burnout: {
+        lDays: 'Days of total exhaustion',
+        lInt: 'Work stress level',
+        benefit: 'rest on weekends without guilt and get your energy back.'
+      },
+      pareja: {
+        lDays: 'Days of conflict or silence',
+        lInt: 'How much it hurts',
+        benefit: 'reconnect with your partner, stop arguing and feel understood.'
+      },
+      apatia: {
+        lDays: '"Grey" days with no drive',
+        lInt: 'Level of discouragement',
+        benefit: 'feel motivated again and enjoy the little things once more.'
+      }
+    },
+    interpretation: 'You get back <span class="highlight-brown">{multiplier} times</span> your investment in quality of life.<br><br>That is like gaining <span class="highlight-purple">{hours} hours a month</span> free of distress to <span>{benefit}</span>',
+    breakdown: {
+      day: { title: 'Cost of an affected day', text: '{base} base + ({value} − {base}) × intensity {intensity}/10 = {daily}' },
+      cost: { title: 'Cost of not feeling well', text: '{days} × {daily} = {cost} a month' },
+      recovered: { title: 'What you can recover', text: '{cost} × {percent}% = {recovered} a month' },
+      therapy: { title: 'Investment in therapy', text: '{plan}, first month ({weeks} weeks) = {therapy}' },
+      return: { title: 'Return', text: '{recovered} ÷ {therapy} = {multiplier}x' },
+      hours: { title: 'Recoverable hours', text: '{cost} ÷ {rate} per hour = {hours} h of distress × {percent}% = {hoursRecovered} h a month' },
+      floor: ' (we show at least {min}x)',
+      cap: ' (capped at {max} h)'
+    },
+    plans: {
+      combo: '{first} + {then}',
+      invest: 'You invest {total} · {when}',
+      breakEven: 'Pays off in week {week}',
+      noBreakEven: 'Does not pay off in this period',
+      balance: 'Balance against distress: {balance}',
+      chartLabel: 'Cumulative cost over {weeks} weeks: recoverable distress {recovered}; {plans}',
+      dot: '{plan}: break-even in week {week}',
+      legend: 'Dashed red line: cumulative recoverable distress. Dots: week in which each plan pays off.'
+    },
+    cta: {
+      intro: 'Hi, I did the life impact calculation.',
+      context: 'What weighs on me: {context} ({days} days a month, level {intensity}/10).',
+      cost: 'Estimated cost of distress: {cost} a month; return {multiplier}x.',
+      plan: 'I am interested in: {plan}, {months} for {total}.',
+      planBreakEven: 'I am interested in: {plan}, {months} for {total} (pays off in week {week}).',
+      close: 'I want to get my time back.'
+    },
+    share: {
+      title: 'My impact calculation - Adpsike',
+      copied: '✅ Link copied'
+    }
+  },
+
+  phq4: {
+    score: 'PHQ-4 score: {total}/12',
+    levels: {
+      normal: 'Normal Range',
+      mild: 'Mild Symptoms',
+      moderate: 'Moderate Symptoms',
+      severe: 'Severe Symptoms'
+    },
+    anxiety: 'Anxiety (GAD-2)',
+    mood: 'Mood (PHQ-2)',
+    positive: ' · Positive',
+    drivers: {
+      none: 'Neither dimension reaches the cut-off. What you feel looks more like general distress than a pattern of anxiety or low mood.',
+      anxiety: 'Your score is driven mainly by <strong>anxiety</strong> (nerves, constant worry). Your body is on alert: the first step is turning the volume down.',
+      depression: 'Your score is driven mainly by <strong>low mood</strong> (loss of interest, hopelessness). Activation and connection help more here than relaxation.',
+      mixed: 'Both <strong>anxiety</strong> and <strong>low mood</strong> reach the cut-off. When they combine, professional support makes the difference.'
+    },
+    whatsapp: {
+      priority: 'Hi, I took the PHQ-4 test and scored {total}/12 (anxiety {anxiety}/6, mood {depression}/6). I would like a priority appointment.',
+      depression: 'Hi, I took the PHQ-4 test and my mood came out low ({depression}/6). I would like an assessment.',
+      mixed: 'Hi, I took the PHQ-4 test and scored {total}/12 with anxiety and low mood.'
+    },
+    cta: {
+      jarStart: 'Start with something small (Calm Jar)'
+    }
+  },
+
+  load: {
+    items: {
+      work: 'Work / School',
+      money: 'Money',
+      health: 'Health',
+      family: 'Family / Partner',
+      future: 'Future (Uncertainty)',
+      self: 'Self-Demand'
+    },
+    weight: 'Weight {count} of 3',
+    remove: 'Remove {label}',
+    empty: 'Select the factors to get a strategy.',
+    snapshots: {
+      none: 'Save how you are today and next week you will be able to compare.',
+      onlyCurrent: 'This week: {percent}%. Save another one next week to compare.',
+      onlyPrevious: 'Last week: {percent}%. Save how you are today to compare.',
+      up: 'This week {current}% · last week {previous}% (▲ {diff} points)',
+      down: 'This week {current}% · last week {previous}% (▼ {diff} points)',
+      same: 'This week {current}% · same as last week'
+    },
+    levels: [
+      { label: 'Low', advice: 'Your backpack is light. It is a good time to enjoy yourself or move personal projects forward.' },
+      { label: 'Manageable', advice: 'You have challenges, but they are sustainable. Focus on solving one at a time to keep your balance.' },
+      { label: 'Moderate', advice: 'It is starting to weigh on you. <strong>Strategy:</strong> Write your to-dos on paper to get them out of your head.' },
+      { label: 'High', advice: 'Careful. <strong>Strategy:</strong> Apply the \'Eliminate, Delegate or Postpone\' rule. Let go of one thing today.' },
+      { label: 'Very High', advice: 'You are in the risk zone. <strong>Strategy:</strong> Stop. Do not take on a single extra commitment this week.' },
+      { label: 'Critical', advice: 'Total overload. Your only priority now is rest. Ask for help or reschedule everything non-essential.' }
+    ]
+  },
+
+  questionnaires: {
+    prompt2w: 'Over the last 2 weeks, how often have you been bothered by the following problems?',
+    scales: {
+      freq2w: ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'],
+      freq1m: ['Never', 'Almost never', 'Sometimes', 'Fairly often', 'Very often']
+    },
+    score: '{name} score: {total}/{max}',
+    safety: {
+      title: '🛡️ Your safety comes first',
+      open: 'Open Crisis Assistant'
+    },
+    cta: {
+      jar: 'Strengthen your mind (Calm Jar)',
+      breathing: 'Lower the alarm (4-7-8 Breathing)',
+      grounding: 'Ground yourself with 5-4-3-2-1',
+      bodyscan: 'Regulate with a Body Scan',
+      emotions: 'Name what I feel (Emotions)',
+      balance: 'Daily Balance (Breathing)',
+      pro: 'Book a Professional Assessment',
+      priority: 'Book a Priority Appointment'
+    },
+    whatsapp: {
+      result: 'Hi, I took the {name} test and got {level} ({total}/{max}).',
+      priority: 'Hi, I took the {name} test and got {level} ({total}/{max}). I would like a priority appointment.'
+    },
+    phq4: {
+      items: [
+        'Feeling nervous, anxious or on edge',
+        'Not being able to stop or control worrying',
+        'Little interest or pleasure in doing things',
+        'Feeling down, depressed or hopeless'
+      ]
+    },
+    gad7: {
+      title: 'Generalized Anxiety',
+      items: [
+        'Feeling nervous, anxious, or on edge',
+        'Not being able to stop or control worrying',
+        'Worrying too much about different things',
+        'Trouble relaxing',
+        'Being so restless that it is hard to sit still',
+        'Becoming easily annoyed or irritable',
+        'Feeling afraid, as if something awful might happen'
+      ],
+      bands: [
+        { level: 'Minimal Anxiety', advice: 'Your anxiety symptoms are within the expected range. Keep up your self-care habits.' },
+        { level: 'Mild Anxiety', advice: 'There are signs of anxiety. Practising regulation every day keeps it from escalating.' },
+        { level: 'Moderate Anxiety', advice: 'Anxiety is probably interfering with your daily life. A professional assessment is worth it.' },
+        { level: 'Severe Anxiety', advice: 'These levels of anxiety deserve priority professional attention.' }
+      ]
+    },
+    phq9: {
+      title: 'Mood',
+      items: [
+        'Little interest or pleasure in doing things',
+        'Feeling down, depressed, or hopeless',
+        'Trouble falling or staying asleep, or sleeping too much',
+        'Feeling tired or having little energy',
+        'Poor appetite or overeating',
+        'Feeling bad about yourself — or that you are a failure or have let yourself or your family down',
+        'Trouble concentrating on things, such as reading the newspaper or watching television',
+        'Moving or speaking so slowly that other people could have noticed, or the opposite — being so fidgety or restless that you have been moving around a lot more than usual',
+        'Thoughts that you would be better off dead, or of hurting yourself in some way'
+      ],
+      safety: 'You told us you have had thoughts of hurting yourself. Before any score, your safety comes first.',
+      bands: [
+        { level: 'Minimal Depression', advice: 'There are no significant signs of depression right now.' },
+        { level: 'Mild Depression', advice: 'There are low days. Small pleasant activities and social connection keep them from piling up.' },
+        { level: 'Moderate Depression', advice: 'Low mood is affecting your routine. A professional assessment can help you break the cycle.' },
+        { level: 'Moderately Severe Depression', advice: 'These symptoms deserve treatment. You do not have to wait until you feel worse to ask for help.' },
+        { level: 'Severe Depression', advice: 'These levels indicate a very heavy load that needs priority professional attention.' }
+      ]
+    },
+    pss10: {
+      title: 'Perceived Stress',
+      prompt: 'In the last month, how often have you...',
+      items: [
+        'Been upset because of something that happened unexpectedly',
+        'Felt that you were unable to control the important things in your life',
+        'Felt nervous and stressed',
+        'Felt confident about your ability to handle your personal problems',
+        'Felt that things were going your way',
+        'Found that you could not cope with all the things that you had to do',
+        'Been able to control irritations in your life',
+        'Felt that you were on top of things',
+        'Been angered because of things that happened that were outside of your control',
+        'Felt difficulties were piling up so high that you could not overcome them'
+      ],
+      bands: [
+        { level: 'Low Stress', advice: 'You perceive your life as manageable. It is a good time to strengthen your resources.' },
+        { level: 'Moderate Stress', advice: 'You feel frequent pressure. Check which loads you can drop or delegate this week.' },
+        { level: 'High Stress', advice: 'Your perceived stress is high and sustained. Professional support can help you regain control.' }
+      ]
+    }
+  },
+
+  quizHistory: {
+    records: { one: '{count} record', other: '{count} records' },
+    first: 'Take the test again next week to see your trend.',
+    since: 'since {date}',
+    same: '= No change {since}',
+    up: '▲ +{diff} points {since}',
+    down: '▼ {diff} points {since}',
+    chart: 'PHQ-4 trend: {values}',
+    point: '{date}: {total}/12 (anxiety {anxiety}, depression {depression})'
+  },
+
+  jar: {
+    again: '✨ Open another dose ✨',
+    daily: '☀️ Phrase of the day',
+    favorite: '☆ Save',
+    favorited: '★ Saved',
+    favoriteLabel: 'Save to my favourites',
+    noFavorites: 'You have not saved any yet. Tap ☆ on the phrase that speaks to you.',
+    noCustom: 'Write phrases that work for you; they will be mixed in with the jar\'s.',
+    phrases: [
+      'You don\'t have to handle everything.', 'Taking a break is moving forward.', 'You are enough just as you are.',
+      'Breathe, it\'s only a moment.', 'Be kind to yourself today.', 'Your peace of mind is a priority.',
+      'One day at a time is enough.', 'It\'s okay not to be okay sometimes.', 'Trust your own process.',
+      'You are stronger than you think.', 'This too shall pass.', 'You deserve to rest without guilt.',
+      'Small steps also take you far.', 'Listen to what your body needs today.',
+      'Don\'t compare yourself, your path is unique.', 'You are doing the best you can.',
+      'Give yourself permission to feel your emotions.', 'Today is a new chance to begin.',
+      'Embrace your emotions, they are only messengers.', 'Calm is a superpower you carry inside.',
+      'You are capable of amazing things.', 'Breathe in peace, breathe out what you can\'t control.',
+      'Your worth does not depend on your productivity.', 'Thank your body for holding you up.',
+      'Everything starts with loving yourself.', 'You are light, even on grey days.',
+      'Let go of what weighs you down and fly light.', 'Your presence is a gift to the world.',
+      'Taking care of yourself is not selfish, it\'s necessary.', 'Keep going, the world needs you.'
+    ]
+  },
+
+  shareCard: {
+    create: '🖼️ Card',
+    jarTitle: 'The Calm Jar',
+    emotionTitle: 'Mission · {name}',
+    footer: 'adpsike.neocities.org · Digital First-Aid Kit',
+    downloaded: '✅ Card downloaded'
+  },
+
+  emotions: {
+    message: '🔍 The Message:',
+    feelsLike: 'IT CAN FEEL LIKE:',
+    pickNuance: 'Pick the nuance closest to what you feel',
+    items: {
+      anger: {
+        name: 'Anger',
+        desc: 'A defence response. Something or someone has crossed a line or been unfair.',
+        nuances: ['Frustration', 'Irritability', 'Resentment', 'Envy', 'Indignation'],
+        tip: 'Mission: "Safe Release". Write what bothers you on a piece of paper, pressing hard, then tear it up.'
+      },
+      sadness: {
+        name: 'Sadness',
+        desc: 'A grieving process. Your mind needs a pause to process a loss or a change.',
+        nuances: ['Discouragement', 'Nostalgia', 'Loneliness', 'Disappointment', 'Guilt'],
+        tip: 'Mission: "Shelter". Hug yourself for 30 seconds or wrap up in a blanket. Give yourself warmth.'
+      },
+      anxiety: {
+        name: 'Anxiety',
+        desc: 'A future alarm. Your brain senses an uncertain threat and gets the body ready to flee.',
+        nuances: ['Nervousness', 'Worry', 'Panic', 'Insecurity', 'Fear'],
+        tip: 'Mission: "Landing". Touch 4 objects with different textures around you right now.'
+      },
+      calm: {
+        name: 'Calm',
+        desc: 'A state of safety. Your nervous system is balanced and recovering.',
+        nuances: ['Peace', 'Gratitude', 'Relief', 'Confidence', 'Clarity'],
+        tip: 'Mission: "Anchor". Take a deep breath and keep a mental photo of this moment for when you need it.'
+      },
+      exhausted: {
+        name: 'Exhausted',
+        desc: 'An energy debt. You have spent more physical or mental resources than you had.',
+        nuances: ['Fatigue', 'Fed up', 'Burnout', 'Heaviness', 'Apathy'],
+        tip: 'Mission: "Airplane Mode". Close your eyes for 5 minutes. Don\'t try to solve anything right now.'
+      },
+      confusion: {
+        name: 'Confusion',
+        desc: 'Information overload. Many emotions are mixed up and competing.',
+        nuances: ['Doubt', 'Being stuck', 'Daze', 'Indecision', 'Chaos'],
+        tip: 'Mission: "Brain Dump". Quickly list everything on your mind, without filtering.'
+      }
+    }
+  },
+
+  emotionJournal: {
+    saved: '✅ Saved: {label} ({intensity}/10)',
+    mostly: ' · mostly {nuance}'
+  },
+
+  phases: {
+    'INHALA': 'INHALE', 'INHALA +': 'INHALE +', 'RETÉN': 'HOLD', 'AGUANTA': 'HOLD ON',
+    'EXHALA': 'EXHALE', 'ESPERA': 'WAIT', 'TENSA': 'TENSE', 'RELAJA': 'RELAX', 'FIN': 'END'
+  },
+
+  cues: {
+    muted: '🔇 Cues off',
+    active: '🔊 Cues on',
+    spoken: {
+      'INHALA': 'Breathe in', 'INHALA +': 'A little more', 'RETÉN': 'Hold', 'AGUANTA': 'Hold on',
+      'EXHALA': 'Breathe out', 'ESPERA': 'Wait', 'TENSA': 'Tense', 'RELAJA': 'Relax', 'FIN': 'Well done, we are finished'
+    }
+  },
+
+  breathing: {
+    modes: {
+      calm: { name: 'Quick Calm', text: 'Stimulates the vagus nerve to \'switch off\' the brain\'s alarm and slow your heart rate.' },
+      focus: { name: 'Mental Focus', text: 'Balances CO2 in your blood to bring back mental clarity and focus.' },
+      sleep: { name: 'Deep Sleep', text: 'Mimics the breathing rhythm of deep sleep to make rest easier.' },
+      balance: { name: 'Daily Balance', text: 'Builds heart coherence to regulate intense emotions and get back to your centre.' }
+    },
+    choose: 'CHOOSE',
+    well: 'GREAT!',
+    end: 'END',
+    completed: 'Exercise completed. Well done!',
+    idle: 'Pick a mode above to begin',
+    resume: '▶️ Continue'
+  },
+
+  builder: {
+    presets: { '426': '4-2-6 Breathing', sigh: 'Physiological Sigh' },
+    summary: 'Custom pattern: {summary}.',
+    modeLabel: 'Custom mode {name}',
+    phaseName: 'Name of phase {n}',
+    phaseSeconds: 'Seconds of phase {n}',
+    phaseScale: 'Circle scale in phase {n}',
+    removePhase: 'Remove phase {n}',
+    errorName: 'Give your pattern a name.',
+    errorPhases: 'Each phase needs a name and a duration between 0.5 and 60 seconds.',
+    cycles: { one: '{count} cycle', other: '{count} cycles' }
+  },
+
+  bodyscan: {
+    steps: ['Head and Face', 'Shoulders and Neck', 'Arms and Hands', 'Chest and Stomach', 'Legs and Feet'],
+    tense: 'Scrunch and tense hard: {label}...',
+    relax: 'Breathe out and relax: {label}...',
+    paused: 'Exercise paused',
+    resume: '▶️ Resume'
+  },
+
+  sos: {
+    crumbs: {
+      'sos-screen-1': 'Start',
+      'sos-screen-plan': 'My plan',
+      'sos-screen-triage-2': 'What you feel',
+      'sos-screen-risk': 'Immediate help',
+      'sos-screen-calm-intro': 'Safe place',
+      'sos-screen-grounding': '5-4-3-2-1',
+      'sos-screen-final': 'Wrap-up',
+      'sos-screen-bs-intro': 'Reconnect',
+      'sos-screen-bs-active': 'Body scan',
+      'sos-screen-bs-final': 'Wrap-up',
+      'sos-screen-suicide-validation': 'Validation',
+      'sos-screen-suicide-breathing': 'Breathe',
+      'sos-screen-suicide-reasons': 'Reasons',
+      'sos-screen-suicide-contract': 'Commitment',
+      'sos-screen-suicide-final': 'Support'
+    },
+    crisis: {
+      'INHALA': 'Breathe in gently through your nose...',
+      'RETÉN': 'Hold the air for a moment...',
+      'EXHALA': 'Let all the air out through your mouth...'
+    },
+    grounding: [
+      { title: 'Sight', text: 'Find 5 blue things' },
+      { title: 'Touch', text: 'Touch 4 things with different textures' },
+      { title: 'Hearing', text: 'Notice 3 distant sounds' },
+      { title: 'Smell', text: 'Notice 2 smells' },
+      { title: 'Emotion', text: 'Say 1 good thing about yourself' }
+    ]
+  },
+
+  safetyPlan: {
+    sections: {
+      warning: { title: 'Warning signs', hint: 'Thoughts, images, situations or emotions that signal a crisis is coming.' },
+      coping: { title: 'Things I can do on my own', hint: 'Things that calm me without anyone\'s help: music, walking, breathing...' },
+      distraction: { title: 'People and places that distract me', hint: 'People to spend time with or places to go to clear my head.' },
+      contacts: { title: 'People I can ask for help', hint: 'One per line: name and phone number.' },
+      professionals: { title: 'Professionals and crisis services', hint: 'Therapist, doctor, helpline... with their phone number.' },
+      environment: { title: 'Making my environment safe', hint: 'How to remove or limit access to means I could use to hurt myself.' },
+      reasons: { title: 'My reasons for living', hint: 'What matters most to me and makes it worth going on.' }
+    },
+    wrongCode: 'Wrong passcode.',
+    wrongCodeSos: 'Wrong passcode. You can continue to the assistant without opening it.',
+    pinLabel: 'Your data PIN',
+    sealed: '🔒 Your plan is encrypted. Enter your PIN to see it, or continue to the assistant without opening it.',
+    wrongPinSos: 'Wrong PIN. You can continue to the assistant without opening it.',
+    saved: '✅ Plan saved. It will appear first when you open the SOS button.',
+    savedLocked: '✅ Plan saved and hidden with a passcode (not encrypted). It will appear first when you open the SOS button.',
+    savedEncrypted: '✅ Plan saved encrypted with your PIN. It will appear first when you open the SOS button.',
+    confirmDelete: 'Delete your safety plan from this device?',
+    deleted: 'Plan deleted.',
+    codeLabel: 'Your plan\'s passcode',
+    open: 'Open my plan',
+    title: 'My safety plan',
+    updated: 'Updated on {date}',
+    emergency: 'Emergency: {number}',
+    filename: 'adpsike-safety-plan.html'
+  },
+
+  crisis: {
+    regionLabel: 'Country or state for helpline numbers',
+    numbersFor: 'Numbers for:',
+    emergency: '🆘 Emergency ({number})',
+    call: '📞 Call {number}',
+    sms: '💬 Text {number}',
+    whatsapp: '💬 WhatsApp',
+    regions: {
+      'MX': 'Mexico', 'MX-CDMX': 'Mexico City', 'MX-MEX': 'State of Mexico', 'US': 'United States', 'CA': 'Canada', 'ES': 'Spain',
+      'AR': 'Argentina', 'CO': 'Colombia', 'CL': 'Chile', 'PE': 'Peru', 'GB': 'United Kingdom'
+    }
+  },
+
+  activity: {
+    types: {
+      breathing: 'Breathing',
+      bodyscan: 'Body scan',
+      grounding: '5-4-3-2-1 grounding',
+      emotion: 'Emotion explored'
+    },
+    modes: { progresivo: 'progressive' },
+    days: { one: '{count} day', other: '{count} days' },
+    cell: { one: '{date}: {count} activity', other: '{date}: {count} activities' },
+    practices: { one: '{count} practice · {minutes} min', other: '{count} practices · {minutes} min' },
+    thisWeek: 'This week',
+    lastWeek: 'Last week',
+    weeksAgo: '{count} weeks ago'
+  },
+
+  moodCheck: {
+    level: 'Distress {n} out of 10',
+    before: 'Before you start: how intense is your distress right now?',
+    after: 'And now? How intense is your distress?',
+    empty: 'No before/after pairs yet. Answer the check-in when you start and finish an exercise.',
+    down: 'down {value}',
+    up: 'up {value}',
+    same: 'no change',
+    result: { one: '{trend} pts · {count} record', other: '{trend} pts · {count} records' }
+  },
+
+  vault: {
+    statusOff: 'Your data is stored unencrypted on this device.',
+    statusLocked: '🔒 Your data is encrypted and locked. Enter your PIN to see it.',
+    statusUnlocked: '🔓 Your data is encrypted and unlocked until you lock it or reload the page.',
+    enabled: '✅ Done: your data is now stored encrypted with your PIN.',
+    disabled: 'Encryption removed. Your data is stored without a PIN again.',
+    lockedWrite: '🔒 Not saved: your data is locked. Unlock it with your PIN in "My data" and try again.',
+    tooShort: 'The PIN must be at least 4 characters long.',
+    mismatch: 'The PINs do not match.',
+    wrongPin: 'Wrong PIN.',
+    unsupported: 'This browser cannot encrypt your data.',
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    confirmDisable: 'Remove encryption? Your data will be readable without a PIN on this device.',
+    confirmWipe: 'Delete ALL your data from this device? This cannot be undone.'
+  },
+
+  myData: {
+    keys: {
+      quiz: 'PHQ-4 Mini Test history',
+      breathingMode: 'Breathing mode',
+      breathingCustom: 'Custom breathing patterns',
+      cues: 'Audio and vibration cues',
+      activity: 'Practice log',
+      suds: 'Distress check-in',
+      emotionJournal: 'Emotion journal',
+      safetyPlan: 'Safety plan',
+      crisisRegion: 'Helpline region',
+      locale: 'Language',
+      jar: 'Calm jar',
+      load: 'Load meter',
+      consent: 'Privacy preferences',
+      stats: 'Usage stats'
+    },
+    items: { one: '{count} record', other: '{count} records' },
+    size: '{kb} KB',
+    bytes: '{bytes} B',
+    none: 'Nothing is stored on this device yet.',
+    locked: '🔒 Unlock your data with your PIN to view, export or import it.',
+    filename: 'adpsike-my-data-{date}.json',
+    exported: '✅ File downloaded.',
+    exportedPlain: '✅ File downloaded. Note: the file is not encrypted, keep it somewhere safe.',
+    noFile: 'First choose the file you exported.',
+    invalid: 'This file is not a valid Adpsike export.',
+    newerVersion: 'This file comes from a newer version of the site. Refresh the page and try again.',
+    empty: 'The file contains no data that can be imported.',
+    confirmReplace: 'Replace all your data on this device with the data in the file?',
+    confirmDelete: 'Delete what the tools store on this device (histories, journal, safety plan and settings)? Your privacy preferences are kept. This cannot be undone.',
+    deleted: '🗑️ Done: your saved data was deleted from this device.',
+    noConsent: 'The file contains wellness history, but you have not allowed storing it. Change your privacy preferences and try again.'
+  },
+
+  consent: {
+    title: 'Privacy preferences',
+    banner: 'The tools on this site can store data only on your device. You choose what is stored; nothing is sent to any server without your permission.',
+    acceptAll: 'Accept all',
+    essentialOnly: 'Essentials only',
+    customize: 'Choose',
+    intro: 'Anything you do not allow works during this visit and is forgotten when you close the tab. You can change it at any time from the Privacy Notice.',
+    close: 'Close',
+    save: 'Save my preferences',
+    categories: {
+      essential: { name: 'Essential preferences', desc: 'Language, breathing mode, sounds and this choice itself. Always on.' },
+      history: { name: 'Wellness history', desc: 'Test results, emotion journal, safety plan, practice, calm jar and load meter.' },
+      stats: { name: 'Anonymous usage stats', desc: 'Which tools are used, with no personal data or answers, to improve the site.' }
+    },
+    notSaved: '⚠️ Not saved on your device: it only lasts for this visit. To keep it, turn on "Wellness history" in Privacy preferences.',
+    confirmPurge: 'What is already stored on this device will be deleted for: {categories}. Continue?'
+  },
+
+  stats: {
+    title: 'Usage stats (local)',
+    columns: { event: 'Event', today: 'Today', week: '7 days', total: 'Total' },
+    empty: 'No events recorded in this browser yet.',
+    summary: 'Pending upload: {pending} · Destination: {sink}.',
+    noSink: 'none',
+    customSink: 'custom sink',
+    noConsent: 'No stats permission: nothing is recorded or sent.',
+    flush: 'Send now',
+    reset: 'Clear stats',
+    sent: '✅ Batch sent.',
+    notSent: 'Nothing was sent (nothing pending, no destination, no permission or network error).'
+  },
+
+  // Textos fijos de recursos.html
+  page: {
+    title: 'Resources and Digital First-Aid Kit - Adpsike',
+    description: 'Adpsike\'s Digital First-Aid Kit: interactive psychology tools, breathing exercises and PDF guides.',
+    close: 'Close',
+    nav: {
+      menu: 'Open menu',
+      home: 'Home',
+      services: 'Services',
+      about: 'About Me',
+      resources: 'Resources',
+      pricing: 'Pricing',
+      book: 'Book Now'
+    },
+    hero: {
+      badge: 'Digital First-Aid Kit',
+      title: 'Resources for your Wellbeing',
+      desc: 'A safe space with interactive tools to assess, calm and strengthen your mind.'
+    },
+    sosCard: {
+      title: 'Crisis Assistant',
+      panic: '• Panic Attacks',
+      dark: '• Dark Thoughts',
+      unreal: '• Disconnection / Unreality',
+      control: '• Fear of losing control',
+      duration: '⏱️ Duration: 2-5 min',
+      disclaimer: '* Does not replace medical care',
+      trigger: '⚡ Quick Calm (2-5 min)',
+      quote: '"I used it during an anxiety attack in the middle of the night. It helped me slow down in 5 minutes." <span class="anon-user">- Anonymous User</span>'
+    },
+    jar: {
+      title: 'The Calm Jar',
+      desc: 'Sometimes we just need to read the right thing at the right moment.',
+      placeholder: 'Press the button to get a message...',
+      open: 'Open a dose of calm',
+      mine: '⭐ My phrases',
+      favorites: 'Favourites',
+      custom: 'Written by me',
+      customLabel: 'Write a phrase for the jar',
+      customPlaceholder: 'E.g. I have made it through worse days than this.',
+      add: 'Add to the jar'
+    },
+    emotions: {
+      pill: 'Identification',
+      title: 'Name your Emotion',
+      subtitle: 'Pick the bubble that resonates with you most right now to understand its message.',
+      journal: '📔 My emotion journal',
+      frequency: 'Frequency (last 30 days)',
+      timeline: 'Timeline'
+    },
+    tools: {
+      pill: 'Step 01 <span class="pill-separator">|</span> Self-Assessment',
+      title: 'How are you feeling today?',
+      subtitle: 'Interactive tools to identify your emotional needs.'
+    },
+    quiz: {
+      title: 'Mood Thermometer',
+      desc: 'A quick test (PHQ-4) to check recent symptoms of anxiety and depression.',
+      button: 'Start Mini Test',
+      buttonLabel: 'Expand the PHQ-4 anxiety test',
+      history: '📈 Your progress',
+      csv: 'Download CSV',
+      json: 'Download JSON',
+      note: 'Saved only on this device. Bring it to your session to review your progress.'
+    },
+    screeners: {
+      title: 'In-Depth Assessment',
+      desc: 'Validated questionnaires to explore anxiety (GAD-7), mood (PHQ-9) and stress (PSS-10) in more detail.',
+      button: 'Choose Questionnaire',
+      buttonLabel: 'Expand the in-depth assessment questionnaires',
+      pick: 'Choose a questionnaire',
+      gad7: 'GAD-7 · Anxiety',
+      phq9: 'PHQ-9 · Mood',
+      pss10: 'PSS-10 · Stress',
+      prompt: 'Choose the questionnaire you want to answer.'
+    },
+    load: {
+      title: 'Load Meter',
+      desc: 'Based on the <strong>Holmes-Rahe</strong> scale to identify how much accumulated stress your body is handling.',
+      button: 'Check my Load',
+      buttonLabel: 'Expand the stress checklist',
+      question: 'Tick what feels heavy for you today:',
+      level: 'Load Level:',
+      initial: 'Low',
+      advice: 'Select the factors to get a strategy.',
+      customPlaceholder: 'Something else weighing on you (e.g. Moving house)',
+      customLabel: 'New load factor',
+      weightLabel: 'How heavy it is',
+      weights: { light: 'A little', medium: 'Some', heavy: 'A lot' },
+      add: '+ Add',
+      snapshot: '📌 Save how I am today'
+    },
+    bodyscan: {
+      title: 'Body Scan',
+      desc: 'Release physical tension and reconnect with your body in 2 minutes.',
+      button: 'Start Exercise',
+      buttonLabel: 'Start the SOS body scan exercise'
+    },
+    safetyPlan: {
+      title: 'My Safety Plan',
+      desc: 'Prepare, while calm, the steps that will help you in a crisis. It will appear first when you open the SOS button.',
+      button: 'Build my Plan',
+      buttonLabel: 'Expand the safety plan',
+      locked: 'Your plan is hidden with a passcode:',
+      unlock: 'Open',
+      passcode: 'Passcode to hide it on screen (optional)',
+      passcodeHint: 'The passcode only hides the plan on this screen: <strong>it does not encrypt it</strong>. To encrypt it, turn on the PIN in <a href="#mis-datos">My data</a>. Leave it empty to keep it unchanged.',
+      save: 'Save my plan',
+      print: 'Print / PDF',
+      export: 'Download HTML',
+      delete: 'Delete plan'
+    },
+    breathing: {
+      pill: 'Step 02 <span class="pill-separator">|</span> Regulation',
+      title: 'Guided Breathing',
+      subtitle: 'Choose the technique your mind needs right now.',
+      modes: {
+        calm: { label: 'Quick Calm mode for anxiety and panic', subtitle: 'Anxiety and panic' },
+        focus: { label: 'Mental Focus mode for concentration', subtitle: 'Concentration' },
+        sleep: { label: 'Deep Sleep mode to sleep better', subtitle: 'To sleep better' },
+        balance: { label: 'Daily Balance mode for maintenance', subtitle: 'Maintenance' }
+      },
+      cycle: 'Cycle:',
+      reset: '🔄 Reset',
+      disclaimer: '<strong>⚠️ Safety note:</strong> If you feel dizzy or uncomfortable, stop the exercise and breathe normally.'
+    },
+    cues: {
+      volume: 'Cue volume',
+      voice: 'Voice',
+      haptics: 'Vibration'
+    },
+    builder: {
+      summary: '✏️ Create my own pattern',
+      hint: 'Set the phases with their duration and how much the circle grows (1.0 = rest, 1.3 = full lungs). Ideal for the rhythms your therapist gave you.',
+      from: 'Start from:',
+      sigh: 'Physiological sigh',
+      name: 'Name',
+      namePlaceholder: 'E.g. My 4-2-6',
+      cycles: 'Cycles',
+      phase: 'Phase',
+      seconds: 'Seconds',
+      scale: 'Scale',
+      add: '+ Add phase',
+      preview: '👁️ Preview',
+      save: '💾 Save pattern'
+    },
+    activity: {
+      pill: 'Consistency',
+      title: 'My Practice',
+      subtitle: 'Every exercise you complete is recorded here, only on this device. Bring it to your session to review it together.',
+      streak: '🔥 Current streak',
+      best: '🏆 Best streak',
+      heatmap: 'Practice map for the last 12 weeks',
+      less: 'Less',
+      more: 'More',
+      weekly: 'Weekly totals',
+      recent: 'Recent activities',
+      works: 'What works best for you?',
+      suds: 'Ask for my distress level before and after'
+    },
+    vault: {
+      notice: '🔒 Your data is protected with a PIN.',
+      noticeLink: 'Unlock',
+      pill: 'Privacy',
+      title: 'My data',
+      subtitle: 'Your answers, journal, safety plan and practice are stored only on this device. You can encrypt them with a PIN.',
+      newPin: 'Choose a PIN',
+      pinHint: 'At least 4 characters; we recommend 6 digits or more.',
+      confirmPin: 'Repeat the PIN',
+      enable: '🔐 Encrypt my data',
+      pin: 'PIN',
+      unlock: 'Unlock',
+      autoLock: 'Lock after inactivity',
+      lock: '🔒 Lock now',
+      disable: 'Remove encryption',
+      forgot: 'If you forget your PIN there is no way to recover the encrypted data: you can only delete it.',
+      wipe: '🗑️ Delete everything from this device'
+    },
+    myData: {
+      title: 'What this device stores',
+      exportTitle: 'Take my data to another device',
+      exportHint: 'Download a file with everything and open it from this same section on your other phone or computer.',
+      export: '⬇️ Export my data (JSON)',
+      importLabel: 'Import an exported file',
+      modeLabel: 'If there is already data here:',
+      merge: 'Merge with what I have',
+      replace: 'Replace everything with the file',
+      import: 'Import',
+      privacy: 'Privacy preferences',
+      delete: '🗑️ Delete my saved data'
+    },
+    downloads: {
+      pill: 'Step 03 <span class="pill-separator">|</span> Maintenance',
+      title: 'Tools to take with you',
+      subtitle: 'Download support material to practise at home.',
+      panic: { title: 'SOS Guide: Panic', desc: '3 exact steps to stop an anxiety attack in progress.' },
+      sleep: { title: 'Sleep Checklist', desc: 'Find out which night-time habits are draining your energy.' },
+      gratitude: { title: 'Gratitude Journal', desc: 'Train your brain to reduce negativity bias.' },
+      link: 'Download PDF (Spanish) →'
+    },
+    blog: {
+      pill: 'Library',
+      title: 'Short, Practical Reads',
+      subtitle: 'Doses of psychology to understand what you are going through.',
+      readMore: 'Read more →',
+      read3: 'Reading: 3 min',
+      read4: 'Reading: 4 min',
+      read5: 'Reading: 5 min',
+      close: 'Close article',
+      a1: {
+        category: 'Anxiety',
+        title: 'Anxiety for no apparent reason',
+        desc: 'Sometimes the brain sets off the "fire alarm" when everything is calm. Here is why.',
+        readLabel: 'Read the article about anxiety for no apparent reason',
+        heading: 'Anxiety for no apparent reason: the brain\'s false alarm',
+        body: '<p>Have you ever felt tightness in your chest or intense nervousness while sitting calmly on the sofa? You are not losing your mind. It happens because your amygdala (the brain\'s fear centre) sometimes gets "miscalibrated".</p>' +
+          '<h4>Why does it happen?</h4>' +
+          '<p>Picture a smoke detector that goes off with the steam from the shower. Your brain is trying to protect you, but it is mistaking safe signals for dangerous ones. Accumulated stress, lack of sleep or even hormonal changes can leave this "detector" too sensitive.</p>' +
+          '<h4>What to do in the moment?</h4>' +
+          '<p>1. <strong>Name what you feel:</strong> Say out loud "This is just anxiety, it\'s a false alarm".</p>' +
+          '<p>2. <strong>Move:</strong> Anxiety is energy stored up to "run away". If you stay still, it grows. Walk, stretch or shake your hands.</p>' +
+          '<p>3. <strong>Use the cold:</strong> Splash your face with ice-cold water. This triggers the diving reflex and lowers your heart rate instantly.</p>'
+      },
+      a2: {
+        category: 'Self-esteem',
+        title: 'Setting boundaries is not selfish',
+        desc: 'Learning to say "no" without guilt is a vital skill. The difference between being kind and being a people-pleaser.',
+        readLabel: 'Read the article about boundaries and self-esteem',
+        heading: 'Setting boundaries is not selfish, it is self-respect',
+        body: '<p>We often confuse being a "good person" with being a "people-pleaser". If you feel guilty every time you say "no", you have probably learned that your worth depends on how much you help others.</p>' +
+          '<h4>The key difference</h4>' +
+          '<p>Selfishness is: "I do what I want without caring if I hurt you".<br>Setting boundaries is: "I respect you, but I also respect myself enough not to hurt myself".</p>' +
+          '<h4>How to start saying NO</h4>' +
+          '<p>You don\'t need endless explanations. Try these phrases:</p>' +
+          '<ul><li>"Thanks for thinking of me, but I can\'t this time."</li><li>"My schedule is full this week."</li><li>"I don\'t feel comfortable with that."</li></ul>' +
+          '<p>At first you will feel guilty. That is normal. Guilt is the entry fee to your emotional freedom.</p>'
+      },
+      a3: {
+        category: 'Work Stress',
+        title: 'Ordinary tiredness or Burnout?',
+        desc: 'If a weekend off is no longer enough, you could be "burned out". Spot the signs.',
+        readLabel: 'Read the article about burnout and work stress',
+        heading: 'Ordinary tiredness or Burnout? The 3 warning signs',
+        body: '<p>We all get tired after a hard week. But Burnout is not cured by sleeping through a weekend. It is a state of emotional, physical and mental exhaustion caused by excessive and prolonged stress.</p>' +
+          '<h4>The 3 dimensions of Burnout</h4>' +
+          '<p><strong>1. Extreme Exhaustion:</strong> Feeling you have nothing more to give, physically or emotionally. You wake up already tired.</p>' +
+          '<p><strong>2. Cynicism or Depersonalization:</strong> You start feeling negative towards your work, clients or colleagues. You become cold or distant to protect yourself.</p>' +
+          '<p><strong>3. Inefficacy:</strong> You feel nothing you do is useful or matters. It is hard to concentrate and you make simple mistakes.</p>' +
+          '<h4>The first step out</h4>' +
+          '<p>Recognising it. It is not "laziness". You need real disconnection (no checking email after hours) and, sometimes, a re-evaluation of your working conditions.</p>'
+      },
+      a4: {
+        category: 'Productivity',
+        title: 'Break the procrastination cycle',
+        desc: 'Procrastination is not a time-management problem, it is an emotion-management problem.',
+        readLabel: 'Read the article about procrastination and emotions',
+        heading: 'Break the procrastination cycle: it is not laziness, it is fear',
+        body: '<p>Procrastination is not a time-management problem, it is an emotion-management problem. You don\'t put off the task because it is hard, but because it makes you feel something unpleasant (boredom, fear of failing, anxiety).</p>' +
+          '<h4>The 5-minute technique</h4>' +
+          '<p>Your brain exaggerates how painful it is to start. To trick it, make a deal with yourself:</p>' +
+          '<p><em>"I\'ll only do this for 5 minutes. If I want to stop afterwards, I\'ll stop."</em></p>' +
+          '<p>Almost always, once you break the initial inertia, the fear fades and you can keep going. The hard part is not doing the task, it is starting it.</p>'
+      },
+      a5: {
+        category: 'Relationships',
+        title: 'Arguing without hurting',
+        desc: 'Conflict in a couple is inevitable, but the damage is not. Keys to assertive communication.',
+        readLabel: 'Read the article about communication in couples',
+        heading: 'Arguing without hurting: the "I feel" rule',
+        body: '<p>In an argument with your partner, the goal is not to win, it is to understand each other. Mistake number one is using the "accusing You".</p>' +
+          '<p>❌ <em>"You\'re always late, you don\'t care about me."</em><br>This makes the other person defend themselves and strike back.</p>' +
+          '<h4>The magic shift</h4>' +
+          '<p>Use the structure: <strong>Situation + How I feel + What I need.</strong></p>' +
+          '<p>✅ <em>"When you\'re late for our dates (situation), I feel undervalued and sad (feeling). I\'d like you to let me know if you\'re running late (need)."</em></p>' +
+          '<p>It is hard to argue against a feeling. This lowers defences and opens up dialogue.</p>'
+      },
+      a6: {
+        category: 'Growth',
+        title: '"I feel like a fraud"',
+        desc: 'Impostor Syndrome affects very capable people. Learn to internalise your successes.',
+        readLabel: 'Read the article about impostor syndrome',
+        heading: 'Impostor Syndrome: "I feel like a fraud"',
+        body: '<p>Do you believe your achievements are down to "luck" and that at any moment people will find out you are not as good as they think? Welcome to the club. 70% of successful people feel this way.</p>' +
+          '<h4>Why it happens to you</h4>' +
+          '<p>Competent people know how much they still have to learn (the Dunning-Kruger effect). Your very ability to see the complexity of your work makes you doubt yourself.</p>' +
+          '<h4>The antidote: the evidence folder</h4>' +
+          '<p>Your brain tends to forget your successes. Create a folder (physical or digital) where you keep:</p>' +
+          '<ul><li>Congratulation emails.</li><li>Certificates.</li><li>Thank-you messages.</li></ul>' +
+          '<p>When you feel like a fraud, open the folder. They are not opinions, they are facts.</p>'
+      }
+    },
+    community: {
+      badge: 'Community',
+      title: 'You are not alone',
+      desc: 'Join our community and read stories of recovery.',
+      button: 'See Facebook'
+    },
+    footer: {
+      about: 'Professional psychologist committed to your emotional wellbeing. Personalised, confidential and evidence-based care.',
+      services: 'Services',
+      individual: 'Individual Therapy',
+      online: 'Online Therapy',
+      assessment: 'Psychological Assessment',
+      growth: 'Personal Growth',
+      links: 'Links',
+      faq: 'FAQ',
+      contact: 'Contact',
+      location: '📍 Aguascalientes, Mexico',
+      coverage: 'In-person and online sessions across Mexico',
+      legal: '&copy; 2025 Adpsike. All rights reserved. | Professional psychology services | <a href="privacidad.html" class="footer-legal-link">Privacy Policy (Spanish)</a>'
+    },
+    whatsapp: {
+      book: 'https://wa.me/5214491996086?text=Hi,%20I%20would%20like%20to%20book%20a%20session',
+      label: 'Contact via WhatsApp'
+    },
+    suds: {
+      title: 'How intense is your distress right now?',
+      hint: '0 = completely calm · 10 = the worst distress imaginable',
+      scale: 'Distress level from 0 to 10',
+      skip: 'Skip',
+      never: 'Don\'t ask again'
+    },
+    shareCard: {
+      create: '🖼️ Create a card to share',
+      title: 'Your card',
+      download: '⬇️ Download PNG',
+      share: '📤 Share'
+    },
+    emotionCard: {
+      tip: '💡 Psychology Tip:',
+      journal: '📝 Log in my journal',
+      hint: 'Pick above the nuance closest to what you feel.',
+      intensity: 'Intensity',
+      note: 'What happened? (optional)',
+      noteLabel: 'Short note',
+      save: 'Save to my journal'
+    },
+    sos: {
+      close: 'Close SOS',
+      breadcrumb: 'Path taken',
+      back: '← Back',
+      backPlain: 'Back',
+      crisisEmergency: '🆘 Emergency (911)',
+      crisisLine: '📞 Call 8009112000',
+      ready: 'Get ready...',
+      book: '📅 I need to book a session',
+      start: {
+        title: 'Crisis Assistant',
+        desc: 'Are you having thoughts of hurting yourself right now?',
+        yes: '💔 YES',
+        yesDesc: 'I\'m having thoughts of hurting myself or I don\'t want to keep living',
+        no: '🌊 NO',
+        noDesc: 'But I have anxiety, panic or feel disconnected',
+        plan: '📋 See my safety plan'
+      },
+      plan: {
+        title: 'Your safety plan',
+        desc: 'You prepared it for a moment like this. Go step by step.',
+        continue: 'Continue to the assistant',
+        edit: 'Edit my plan'
+      },
+      triage: {
+        title: 'What are you feeling?',
+        desc: 'Choose the option that best describes how you are right now so we can give you the right tool.',
+        panic: '😰 Panic Attack / Intense anxiety',
+        disconnect: '🌫️ I feel unreal / disconnected (Body Scan)',
+        risk: '🚨 Fear of losing control (Accidental)'
+      },
+      risk: {
+        title: '⚠️ Priority Attention',
+        desc: 'Your safety is what matters most. Please contact emergency services right now.',
+        whatsapp: 'Contact Adpsike (WhatsApp)',
+        whatsappHref: 'https://wa.me/5214491996086?text=SOS:%20I%20need%20urgent%20help,%20I%20am%20in%20crisis.',
+        note: 'Adpsike\'s WhatsApp is not an emergency line and may not reply outside office hours.'
+      },
+      calm: {
+        title: 'You are in a safe place',
+        desc: 'What you feel is an anxiety spike. It is uncomfortable, but <strong>it will pass</strong>. Let\'s "land" your mind together.',
+        start: 'Start Exercise'
+      },
+      grounding: {
+        next: 'Done, next'
+      },
+      bs: {
+        title: '🧘 Let\'s reconnect your body',
+        intro1: 'Dissociation is your mind\'s way of protecting you from stress.',
+        intro2: 'This exercise will help you <strong>anchor yourself in the present</strong> using simple physical sensations.',
+        start: 'Start Body Scan',
+        active: 'SOS Body Scan',
+        skip: '⏩ Skip',
+        doneTitle: 'Completed',
+        doneDesc: 'Do you feel more connected to your body now?',
+        better: '🌿 Yes, much better',
+        bookHref: 'https://wa.me/5214491996086?text=Hi,%20I%20just%20did%20the%20reconnection%20exercise%20and%20would%20like%20to%20book%20a%20session.',
+        repeat: '🔄 Repeat exercise'
+      },
+      final: {
+        title: 'You did really well',
+        desc: 'Your breathing should be calmer now. How do you feel?',
+        better: '🌿 Better, thanks',
+        bookHref: 'https://wa.me/5214491996086?text=Hi,%20I%20had%20a%20crisis%20and%20need%20to%20book%20a%20session.'
+      },
+      validation: {
+        title: 'Thank you for trusting us',
+        desc: 'I know this moment is extremely hard. What you feel is real and deserves to be taken seriously. <strong>You are not alone in this.</strong>',
+        item1: '🛡️ Emotional pain is as real as physical pain.',
+        item2: '💪 Asking for help is an act of courage, not weakness.',
+        item3: '🤝 We are going to get through this together, step by step.',
+        urgent: 'I need help right now (Skip exercise)'
+      },
+      breathing: {
+        step: 'Step 1: Regain control',
+        title: 'Follow the circle',
+        desc: 'Let\'s bring the intensity down together. Just breathe along with the animation.',
+        label: 'READY',
+        continue: 'I\'m a little better now (Continue)'
+      },
+      reasons: {
+        step: 'Step 2: Remember what matters',
+        title: 'What keeps you here?',
+        desc: 'Even if you can\'t feel it right now, there are things in your life that have value.',
+        person: '👥 Is there someone who would miss you?',
+        personDesc: 'Picture their face. What would they tell you if they were here?',
+        personPlaceholder: 'Write a name (optional)',
+        place: '🏠 A place where you feel safe?',
+        placeDesc: 'Can you remember how you feel there?',
+        room: 'Your bedroom',
+        nature: 'Nature',
+        home: 'Family home',
+        smile: '✨ Something that made you smile recently?',
+        smileDesc: 'Even in the dark, there are glimmers. That matters.',
+        smilePlaceholder: 'E.g. A coffee, a song...',
+        future: '🌅 Something you haven\'t experienced yet?',
+        futureDesc: 'These experiences are waiting for you.',
+        save: 'Save my answers in my safety plan'
+      },
+      contract: {
+        step: 'Step 3: A small commitment',
+        title: 'Can you give me 24 hours?',
+        permanent: 'It is not a permanent decision.',
+        desc: 'I am only asking you to postpone any action until tomorrow. The pain will change.',
+        commit: '✅ Yes, I can wait 24 hours',
+        hours: '⏰ I can\'t promise 24h, but I can for the next few hours',
+        urgent: '🆘 I can\'t wait, I need help NOW'
+      },
+      suicideFinal: {
+        title: 'You don\'t have to carry this alone',
+        desc: 'You have taken a huge step. Now it is time to connect with real support.',
+        contact: '💬 CONTACT ADPSIKE',
+        contactDesc: 'Message me directly',
+        contactHref: 'https://wa.me/5214491996086?text=SOS%3A%20I%20just%20did%20the%20crisis%20exercise.%20I%20need%20to%20talk%20to%20someone.',
+        meanwhile: 'IN THE MEANTIME, YOU CAN:',
+        plan: 'See my plan'
+      }
+    }
+  }
+};
@@ -0,0 +1,569 @@
+'use strict';
+
+/* =========================================
+   TEXTOS - ESPAÑOL (idioma base)
+   Las claves que falten en otro idioma se toman de aquí. Los textos fijos del HTML
+   ya están en español, por eso este archivo solo trae los que arma script.js.
+   Plurales: { one, other } y se piden con t('clave', { count }).
+   ========================================= */
+window.ADPSIKE_LOCALES = window.ADPSIKE_LOCALES || {};
+
+window.ADPSIKE_LOCALES.es = {
+  meta: { name: 'Español', intl: 'es-MX', speech: 'es' },
+
+  common: {
+    closeTool: 'Cerrar Herramienta',
+    continue: 'Continuar',
+    pause: '⏸ Pausar',
+    delete: 'Eliminar',
+    notSaved: '⚠️ No se pudo guardar en este dispositivo.'
+  },
+
+  offline: {
+    update: 'Actualizar',
+    online: '🌐 Conexión recuperada',
+    offline: '📴 Sin conexión · Las herramientas y el SOS siguen funcionando',
+    ready: '✅ Disponible sin conexión',
+    available: '✨ Hay una versión nueva'
+  },
+
+  roi: {
+    days: { one: '{count} día', other: '{count} días' },
+    daysPerMonth: { one: '{count} día/mes', other: '{count} días/mes' },
+    level: 'Nivel {level}',
+    months: { one: '{count} mes', other: '{count} meses' },
+    contexts: {
+      ansiedad: {
+        lDays: 'Días con "ruido mental"',
+        lInt: 'Nivel de preocupación',
+        benefit: 'dormir sin preocupaciones, apagar el sobre-análisis y disfrutar el presente.'
+      },
+      burnout: {
+        lDays: 'Días de agotamiento total',
+        lInt: 'Nivel de estrés laboral',
+        benefit: 'descansar el fin de semana sin culpa y recuperar tu energía vital.'
+      },
+      pareja: {
+        lDays: 'Días de conflicto o silencio',
+        lInt: 'Intensidad del malestar',
+        benefit: 'reconectar con tu pareja, dejar de discutir y sentirte comprendido.'
+      },
+      apatia: {
+        lDays: 'Días "grises" o sin ganas',
+        lInt: 'Nivel de desánimo',
+        benefit: 'volver a sentir motivación y disfrutar de las pequeñas cosas otra vez.'
+      }
+    },
+    interpretation: 'Recuperas <span class="highlight-brown">{multiplier} veces</span> tu inversión en calidad de vida.<br><br>Esto equivale a ganar <span class="highlight-purple">{hours} horas al mes</span> libres de malestar para <span>{benefit}</span>',
+    breakdown: {
+      day: { title: 'Costo de un día afectado', text: '{base} de base + ({value} − {base}) × intensidad {intensity}/10 = {daily}' },
+      cost: { title: 'Costo de no estar bien', text: '{days} × {daily} = {cost} al mes' },
+      recovered: { title: 'Lo que puedes recuperar', text: '{cost} × {percent}% = {recovered} al mes' },
+      therapy: { title: 'Inversión en terapia', text: '{plan}, primer mes ({weeks} semanas) = {therapy}' },
+      return: { title: 'Retorno', text: '{recovered} ÷ {therapy} = {multiplier}x' },
+      hours: { title: 'Horas recuperables', text: '{cost} ÷ {rate} por hora = {hours} h de malestar × {percent}% = {hoursRecovered} h al mes' },
+      floor: ' (mostramos como mínimo {min}x)',
+      cap: ' (con un tope de {max} h)'
+    },
+    plans: {
+      combo: '{first} + {then}',
+      invest: 'Inviertes {total} · {when}',
+      breakEven: 'Se compensa en la semana {week}',
+      noBreakEven: 'No se compensa en este periodo',
+      balance: 'Balance frente al malestar: {balance}',
+      chartLabel: 'Costo acumulado en {weeks} semanas: malestar recuperable {recovered}; {plans}',
+      dot: '{plan}: equilibrio en la semana {week}',
+      legend: 'Línea punteada roja: malestar recuperable acumulado. Puntos: semana en que cada plan se compensa.'
+    },
+    cta: {
+      intro: 'Hola, hice el cálculo de impacto vital.',
+      context: 'Lo que me pesa: {context} ({days} días al mes, nivel {intensity}/10).',
+      cost: 'Costo estimado del malestar: {cost} al mes; retorno {multiplier}x.',
+      plan: 'Me interesa: {plan}, {months} por {total}.',
+      planBreakEven: 'Me interesa: {plan}, {months} por {total} (se compensa en la semana {week}).',
+      close: 'Quiero recuperar mi tiempo.'
+    },
+    share: {
+      title: 'Mi cálculo de impacto - Adpsike',
+      copied: '✅ Enlace copiado'
+    }
+  },
+
+  phq4: {
+    score: 'Puntaje PHQ-4: {total}/12',
+    levels: {
+      normal: 'Rango Normal',
+      mild: 'Sintomatología Leve',
+      moderate: 'Sintomatología Moderada',
+      severe: 'Sintomatología Severa'
+    },
+    anxiety: 'Ansiedad (GAD-2)',
+    mood: 'Ánimo (PHQ-2)',
+    positive: ' · Positivo',
+    drivers: {
+      none: 'Ninguna de las dos dimensiones supera el punto de corte. Lo que sientes parece más un malestar general que un patrón de ansiedad o de ánimo bajo.',
+      anxiety: 'Tu puntaje lo impulsa sobre todo la <strong>ansiedad</strong> (nervios, preocupación constante). Tu cuerpo está en modo alerta: lo primero es bajarle el volumen.',
+      depression: 'Tu puntaje lo impulsa sobre todo el <strong>ánimo bajo</strong> (pérdida de interés, desesperanza). Aquí ayuda más la activación y la conexión que la relajación.',
+      mixed: 'Tanto la <strong>ansiedad</strong> como el <strong>ánimo bajo</strong> superan el punto de corte. Cuando ambas se combinan, el acompañamiento profesional marca la diferencia.'
+    },
+    whatsapp: {
+      priority: 'Hola, hice el test PHQ-4 y salió {total}/12 (ansiedad {anxiety}/6, ánimo {depression}/6). Quisiera una cita prioritaria.',
+      depression: 'Hola, hice el test PHQ-4 y mi ánimo salió bajo ({depression}/6). Quisiera una evaluación.',
+      mixed: 'Hola, hice el test PHQ-4 y salió {total}/12 con ansiedad y ánimo bajo.'
+    },
+    cta: {
+      jarStart: 'Empieza con algo pequeño (Tarro de Calma)'
+    }
+  },
+
+  load: {
+    items: {
+      work: 'Trabajo / Escuela',
+      money: 'Dinero',
+      health: 'Salud',
+      family: 'Familia / Pareja',
+      future: 'Futuro (Incertidumbre)',
+      self: 'Exigencia Propia'
+    },
+    weight: 'Peso {count} de 3',
+    remove: 'Quitar {label}',
+    empty: 'Selecciona los factores para recibir una estrategia.',
+    snapshots: {
+      none: 'Guarda cómo estás hoy y la próxima semana podrás comparar.',
+      onlyCurrent: 'Esta semana: {percent}%. Guarda otra la próxima semana para comparar.',
+      onlyPrevious: 'Semana pasada: {percent}%. Guarda cómo estás hoy para comparar.',
+      up: 'Esta semana {current}% · semana pasada {previous}% (▲ {diff} puntos)',
+      down: 'Esta semana {current}% · semana pasada {previous}% (▼ {diff} puntos)',
+      same: 'Esta semana {current}% · igual que la semana pasada'
+    },
+    // Un nivel por cada umbral de LoadMeter.levels (% del peso total marcado)
+    levels: [
+      { label: 'Baja', advice: 'Tu mochila está ligera. Es un buen momento para disfrutar o avanzar en proyectos personales.' },
+      { label: 'Manejable', advice: 'Tienes retos, pero son sostenibles. Enfócate en resolver uno a la vez para mantener el equilibrio.' },
+      { label: 'Moderada', advice: 'Empieza a pesar. <strong>Estrategia:</strong> Escribe tus pendientes en papel para sacarlos de tu cabeza.' },
+      { label: 'Elevada', advice: 'Cuidado. <strong>Estrategia:</strong> Aplica la regla \'Eliminar, Delegar o Posponer\'. Suelta una cosa hoy.' },
+      { label: 'Muy Alta', advice: 'Estás en zona de riesgo. <strong>Estrategia:</strong> Detente. No aceptes ni un solo compromiso más esta semana.' },
+      { label: 'Crítica', advice: 'Sobrecarga total. Tu única prioridad ahora es descansar. Pide ayuda o reprograma todo lo no esencial.' }
+    ]
+  },
+
+  questionnaires: {
+    prompt2w: 'En las últimas 2 semanas, ¿con qué frecuencia te ha molestado lo siguiente?',
+    scales: {
+      freq2w: ['Nunca', 'Varios días', 'Más de la mitad', 'Casi todos los días'],
+      freq1m: ['Nunca', 'Casi nunca', 'De vez en cuando', 'A menudo', 'Muy a menudo']
+    },
+    score: 'Puntaje {name}: {total}/{max}',
+    safety: {
+      title: '🛡️ Tu seguridad primero',
+      open: 'Abrir Asistente de Crisis'
+    },
+    cta: {
+      jar: 'Fortalece tu mente (Tarro de Calma)',
+      breathing: 'Bajar la alerta (Respiración 4-7-8)',
+      grounding: 'Aterrizar con 5-4-3-2-1',
+      bodyscan: 'Regularme con Escaneo Corporal',
+      emotions: 'Nombrar lo que siento (Emociones)',
+      balance: 'Balance Diario (Respiración)',
+      pro: 'Consultar Evaluación Pro',
+      priority: 'Agendar Cita Prioritaria'
+    },
+    // {name} se llena al armar la definición; {level}, {total} y {max} al mostrar el resultado
+    whatsapp: {
+      result: 'Hola, hice el test {name} y salió {level} ({total}/{max}).',
+      priority: 'Hola, hice el test {name} y salió {level} ({total}/{max}). Quisiera una cita prioritaria.'
+    },
+    phq4: {
+      items: [
+        'Sentirte nervioso/a o con los nervios de punta',
+        'No poder dejar de preocuparte',
+        'Poco interés o placer en hacer cosas',
+        'Sentirte decaído/a o sin esperanza'
+      ]
+    },
+    gad7: {
+      title: 'Ansiedad Generalizada',
+      items: [
+        'Sentirte nervioso/a, ansioso/a o con los nervios de punta',
+        'No poder dejar de preocuparte o no poder controlar la preocupación',
+        'Preocuparte demasiado por diferentes cosas',
+        'Dificultad para relajarte',
+        'Estar tan inquieto/a que es difícil permanecer sentado/a',
+        'Molestarte o ponerte irritable fácilmente',
+        'Sentir miedo, como si algo terrible fuera a pasar'
+      ],
+      bands: [
+        { level: 'Ansiedad Mínima', advice: 'Tus síntomas de ansiedad están dentro de lo esperado. Mantén tus hábitos de cuidado.' },
+        { level: 'Ansiedad Leve', advice: 'Hay señales de ansiedad. Practicar regulación a diario evita que escale.' },
+        { level: 'Ansiedad Moderada', advice: 'La ansiedad probablemente está interfiriendo con tu día a día. Vale la pena una evaluación profesional.' },
+        { level: 'Ansiedad Severa', advice: 'Estos niveles de ansiedad merecen atención profesional prioritaria.' }
+      ]
+    },
+    phq9: {
+      title: 'Estado de Ánimo',
+      items: [
+        'Poco interés o placer en hacer cosas',
+        'Sentirte decaído/a, deprimido/a o sin esperanza',
+        'Dificultad para dormir o permanecer dormido/a, o dormir demasiado',
+        'Sentirte cansado/a o con poca energía',
+        'Poco apetito o comer en exceso',
+        'Sentirte mal contigo mismo/a, que eres un fracaso o que has quedado mal con tu familia',
+        'Dificultad para concentrarte en cosas como leer o ver televisión',
+        'Moverte o hablar tan lento que otros lo notan, o lo contrario: estar muy inquieto/a',
+        'Pensamientos de que estarías mejor muerto/a o de lastimarte de alguna manera'
+      ],
+      safety: 'Nos dijiste que has tenido pensamientos de hacerte daño. Antes que cualquier puntaje, tu seguridad es lo primero.',
+      bands: [
+        { level: 'Depresión Mínima', advice: 'No hay indicios significativos de depresión en este momento.' },
+        { level: 'Depresión Leve', advice: 'Hay días bajos. Pequeñas acciones agradables y conexión social ayudan a que no se acumulen.' },
+        { level: 'Depresión Moderada', advice: 'El ánimo bajo está afectando tu rutina. Una evaluación profesional puede ayudarte a salir del ciclo.' },
+        { level: 'Depresión Moderadamente Severa', advice: 'Estos síntomas merecen tratamiento. No tienes que esperar a sentirte peor para pedir ayuda.' },
+        { level: 'Depresión Severa', advice: 'Estos niveles indican una carga muy alta que requiere atención profesional prioritaria.' }
+      ]
+    },
+    pss10: {
+      title: 'Estrés Percibido',
+      prompt: 'Durante el último mes, ¿con qué frecuencia...',
+      items: [
+        'Te has sentido afectado/a por algo que ocurrió inesperadamente',
+        'Te has sentido incapaz de controlar las cosas importantes de tu vida',
+        'Te has sentido nervioso/a o estresado/a',
+        'Te has sentido seguro/a de tu capacidad para manejar tus problemas personales',
+        'Has sentido que las cosas te van bien',
+        'Has sentido que no podías afrontar todas las cosas que tenías que hacer',
+        'Has podido controlar las dificultades de tu vida',
+        'Has sentido que tenías todo bajo control',
+        'Te has enojado porque las cosas que te ocurrieron estaban fuera de tu control',
+        'Has sentido que las dificultades se acumulan tanto que no puedes superarlas'
+      ],
+      bands: [
+        { level: 'Estrés Bajo', advice: 'Percibes tu vida como manejable. Es un buen momento para reforzar tus recursos.' },
+        { level: 'Estrés Moderado', advice: 'Sientes presión frecuente. Revisa qué cargas puedes soltar o delegar esta semana.' },
+        { level: 'Estrés Alto', advice: 'Tu nivel de estrés percibido es alto y sostenido. Un acompañamiento profesional puede ayudarte a recuperar el control.' }
+      ]
+    }
+  },
+
+  quizHistory: {
+    records: { one: '{count} registro', other: '{count} registros' },
+    first: 'Repite el test la próxima semana para ver tu tendencia.',
+    since: 'desde el {date}',
+    same: '= Sin cambios {since}',
+    up: '▲ +{diff} puntos {since}',
+    down: '▼ {diff} puntos {since}',
+    chart: 'Tendencia PHQ-4: {values}',
+    point: '{date}: {total}/12 (ansiedad {anxiety}, depresión {depression})'
+  },
+
+  jar: {
+    again: '✨ Abrir otra dosis ✨',
+    daily: '☀️ Frase del día',
+    favorite: '☆ Guardar',
+    favorited: '★ Guardada',
+    favoriteLabel: 'Guardar en mis favoritas',
+    noFavorites: 'Aún no guardas ninguna. Toca ☆ en la frase que te llegue.',
+    noCustom: 'Escribe frases que te funcionen; saldrán mezcladas con las del tarro.',
+    phrases: [
+      'No tienes que poder con todo.', 'Hacer una pausa es avanzar.', 'Eres suficiente tal como eres.',
+      'Respira, es solo un momento.', 'Sé amable contigo mismo hoy.', 'Tu paz mental es una prioridad.',
+      'Un día a la vez es suficiente.', 'Está bien no estar bien a veces.', 'Confía en tu propio proceso.',
+      'Eres más fuerte de lo que crees.', 'Esto también pasará.', 'Mereces descansar sin sentir culpa.',
+      'Pequeños pasos también te llevan lejos.', 'Escucha lo que tu cuerpo necesita hoy.',
+      'No te compares, tu camino es único.', 'Lo estás haciendo lo mejor que puedes.',
+      'Date permiso para sentir tus emociones.', 'Hoy es una nueva oportunidad para empezar.',
+      'Abraza tus emociones, son solo mensajeras.', 'La calma es un superpoder que llevas dentro.',
+      'Eres capaz de cosas asombrosas.', 'Inhala paz, exhala lo que no puedes controlar.',
+      'Tu valor no depende de tu productividad.', 'Agradece a tu cuerpo por sostenerte.',
+      'Todo empieza con amarte a ti mismo.', 'Eres luz, incluso en los días grises.',
+      'Suelta lo que pesa y vuela ligero.', 'Tu presencia es un regalo para el mundo.',
+      'Cuidar de ti no es egoísmo, es necesidad.', 'Sigue adelante, el mundo te necesita.'
+    ]
+  },
+
+  shareCard: {
+    create: '🖼️ Tarjeta',
+    jarTitle: 'El Tarro de la Calma',
+    emotionTitle: 'Misión · {name}',
+    footer: 'adpsike.neocities.org · Botiquín Digital',
+    downloaded: '✅ Tarjeta descargada'
+  },
+
+  emotions: {
+    message: '🔍 El Mensaje:',
+    feelsLike: 'SE PUEDE SENTIR COMO:',
+    pickNuance: 'Elige el matiz que más se parece a lo que sientes',
+    items: {
+      anger: {
+        name: 'Enojo',
+        desc: 'Respuesta de defensa. Algo o alguien ha cruzado un límite o ha sido injusto.',
+        nuances: ['Frustración', 'Irritabilidad', 'Rencor', 'Envidia', 'Indignación'],
+        tip: 'Misión: "Descarga Segura". Escribe lo que te molesta en un papel con fuerza, y luego rómpelo.'
+      },
+      sadness: {
+        name: 'Tristeza',
+        desc: 'Proceso de duelo. Tu mente necesita pausa para procesar una pérdida o cambio.',
+        nuances: ['Desánimo', 'Nostalgia', 'Soledad', 'Decepción', 'Culpabilidad'],
+        tip: 'Misión: "Refugio". Abrázate a ti mismo/a por 30 segundos o envuélvete en una manta. Date calor.'
+      },
+      anxiety: {
+        name: 'Ansiedad',
+        desc: 'Alerta de futuro. Tu cerebro percibe una amenaza incierta y prepara el cuerpo para huir.',
+        nuances: ['Nerviosismo', 'Preocupación', 'Pánico', 'Inseguridad', 'Miedo'],
+        tip: 'Misión: "Aterrizaje". Toca 4 objetos con texturas diferentes a tu alrededor ahora mismo.'
+      },
+      calm: {
+        name: 'Calma',
+        desc: 'Estado de seguridad. Tu sistema nervioso está en equilibrio y recuperación.',
+        nuances: ['Paz', 'Gratitud', 'Alivio', 'Confianza', 'Claridad'],
+        tip: 'Misión: "Anclaje". Respira hondo y guarda una foto mental de este momento para cuando lo necesites.'
+      },
+      exhausted: {
+        name: 'Agotado',
+        desc: 'Deuda energética. Has gastado más recursos físicos o mentales de los que tenías.',
+        nuances: ['Fatiga', 'Hartazgo', 'Burnout', 'Pesadez', 'Apatía'],
+        tip: 'Misión: "Modo Avión". Cierra los ojos 5 minutos. No intentes resolver nada ahora.'
+      },
+      confusion: {
+        name: 'Confusión',
+        desc: 'Sobrecarga de información. Muchas emociones están mezcladas y compitiendo.',
+        nuances: ['Duda', 'Bloqueo', 'Aturdimiento', 'Indecisión', 'Caos'],
+        tip: 'Misión: "Vaciado". Escribe una lista rápida de todo lo que tienes en la cabeza sin filtro.'
+      }
+    }
+  },
+
+  emotionJournal: {
+    saved: '✅ Guardado: {label} ({intensity}/10)',
+    mostly: ' · sobre todo {nuance}'
+  },
+
+  // Nombre en pantalla de cada fase; la clave es el identificador que se guarda en los patrones
+  phases: {
+    'INHALA': 'INHALA', 'INHALA +': 'INHALA +', 'RETÉN': 'RETÉN', 'AGUANTA': 'AGUANTA',
+    'EXHALA': 'EXHALA', 'ESPERA': 'ESPERA', 'TENSA': 'TENSA', 'RELAJA': 'RELAJA', 'FIN': 'FIN'
+  },
+
+  cues: {
+    muted: '🔇 Señales apagadas',
+    active: '🔊 Señales activas',
+    spoken: {
+      'INHALA': 'Inhala', 'INHALA +': 'Un poco más', 'RETÉN': 'Retén', 'AGUANTA': 'Aguanta',
+      'EXHALA': 'Exhala', 'ESPERA': 'Espera', 'TENSA': 'Tensa', 'RELAJA': 'Relaja', 'FIN': 'Muy bien, terminamos'
+    }
+  },
+
+  breathing: {
+    modes: {
+      calm: { name: 'Calma Rápida', text: 'Estimula el nervio vago para \'apagar\' la alerta cerebral y bajar el ritmo cardíaco.' },
+      focus: { name: 'Enfoque Mental', text: 'Equilibra el CO2 en sangre para recuperar la claridad mental y el enfoque.' },
+      sleep: { name: 'Sueño Profundo', text: 'Imita el ritmo respiratorio del sueño profundo para facilitar el descanso.' },
+      balance: { name: 'Balance Diario', text: 'Genera coherencia cardíaca para regular emociones intensas y volver a tu centro.' }
+    },
+    choose: 'ELEGIR',
+    well: '¡BIEN!',
+    end: 'FIN',
+    completed: 'Ejercicio completado. ¡Bien hecho!',
+    idle: 'Selecciona un modo arriba para comenzar',
+    resume: '▶️ Continuar'
+  },
+
+  builder: {
+    presets: { '426': 'Respiración 4-2-6', sigh: 'Suspiro Fisiológico' },
+    summary: 'Patrón personalizado: {summary}.',
+    modeLabel: 'Modo personalizado {name}',
+    phaseName: 'Nombre de la fase {n}',
+    phaseSeconds: 'Segundos de la fase {n}',
+    phaseScale: 'Escala del círculo en la fase {n}',
+    removePhase: 'Quitar fase {n}',
+    errorName: 'Ponle un nombre a tu patrón.',
+    errorPhases: 'Cada fase necesita un nombre y una duración entre 0.5 y 60 segundos.',
+    cycles: { one: '{count} ciclo', other: '{count} ciclos' }
+  },
+
+  bodyscan: {
+    steps: ['Cabeza y Cara', 'Hombros y Cuello', 'Brazos y Manos', 'Pecho y Estómago', 'Piernas y Pies'],
+    tense: 'Frunce y tensa fuerte: {label}...',
+    relax: 'Suelta el aire y relaja: {label}...',
+    paused: 'Ejercicio en pausa',
+    resume: '▶️ Reanudar'
+  },
+
+  sos: {
+    crumbs: {
+      'sos-screen-1': 'Inicio',
+      'sos-screen-plan': 'Mi plan',
+      'sos-screen-triage-2': '¿Qué sientes?',
+      'sos-screen-risk': 'Ayuda inmediata',
+      'sos-screen-calm-intro': 'Lugar seguro',
+      'sos-screen-grounding': '5-4-3-2-1',
+      'sos-screen-final': 'Cierre',
+      'sos-screen-bs-intro': 'Reconectar',
+      'sos-screen-bs-active': 'Escaneo corporal',
+      'sos-screen-bs-final': 'Cierre',
+      'sos-screen-suicide-validation': 'Validación',
+      'sos-screen-suicide-breathing': 'Respirar',
+      'sos-screen-suicide-reasons': 'Razones',
+      'sos-screen-suicide-contract': 'Compromiso',
+      'sos-screen-suicide-final': 'Apoyo'
+    },
+    crisis: {
+      'INHALA': 'Inhala suave por la nariz...',
+      'RETÉN': 'Mantén el aire un momento...',
+      'EXHALA': 'Suelta todo el aire por la boca...'
+    },
+    grounding: [
+      { title: 'Vista', text: 'Encuentra 5 cosas de color azul' },
+      { title: 'Tacto', text: 'Toca 4 cosas con texturas diferentes' },
+      { title: 'Oído', text: 'Identifica 3 sonidos lejanos' },
+      { title: 'Olfato', text: 'Identifica 2 olores' },
+      { title: 'Emoción', text: 'Di 1 cosa buena sobre ti' }
+    ]
+  },
+
+  safetyPlan: {
+    sections: {
+      warning: { title: 'Señales de alerta', hint: 'Pensamientos, imágenes, situaciones o emociones que anuncian una crisis.' },
+      coping: { title: 'Lo que puedo hacer por mi cuenta', hint: 'Cosas que me calman sin ayuda de nadie: música, caminar, respirar...' },
+      distraction: { title: 'Personas y lugares que me distraen', hint: 'Gente con quien convivir o sitios a donde ir para despejarme.' },
+      contacts: { title: 'Personas a quienes puedo pedir ayuda', hint: 'Una por línea: nombre y teléfono.' },
+      professionals: { title: 'Profesionales y servicios de crisis', hint: 'Terapeuta, médico, línea de ayuda... con su teléfono.' },
+      environment: { title: 'Hacer seguro mi entorno', hint: 'Cómo alejar o limitar el acceso a medios con los que podría hacerme daño.' },
+      reasons: { title: 'Mis razones para vivir', hint: 'Lo más importante para mí y por lo que vale la pena seguir.' }
+    },
+    wrongCode: 'Código incorrecto.',
+    wrongCodeSos: 'Código incorrecto. Puedes continuar al asistente sin abrirlo.',
+    pinLabel: 'PIN de tus datos',
+    sealed: '🔒 Tu plan está cifrado. Escribe tu PIN para verlo o continúa al asistente sin abrirlo.',
+    wrongPinSos: 'PIN incorrecto. Puedes continuar al asistente sin abrirlo.',
+    saved: '✅ Plan guardado. Aparecerá primero al abrir el botón SOS.',
+    savedLocked: '✅ Plan guardado y oculto con código (sin cifrar). Aparecerá primero al abrir el botón SOS.',
+    savedEncrypted: '✅ Plan guardado y cifrado con tu PIN. Aparecerá primero al abrir el botón SOS.',
+    confirmDelete: '¿Borrar tu plan de seguridad de este dispositivo?',
+    deleted: 'Plan borrado.',
+    codeLabel: 'Código de tu plan',
+    open: 'Abrir mi plan',
+    title: 'Mi plan de seguridad',
+    updated: 'Actualizado el {date}',
+    emergency: 'Emergencias: {number}',
+    filename: 'adpsike-plan-de-seguridad.html'
+  },
+
+  crisis: {
+    regionLabel: 'País o estado para los números de ayuda',
+    numbersFor: 'Números para:',
+    emergency: '🆘 Emergencias ({number})',
+    call: '📞 Llamar al {number}',
+    sms: '💬 Mensaje al {number}',
+    whatsapp: '💬 WhatsApp'
+  },
+
+  activity: {
+    types: {
+      breathing: 'Respiración',
+      bodyscan: 'Escaneo corporal',
+      grounding: 'Aterrizaje 5-4-3-2-1',
+      emotion: 'Emoción explorada'
+    },
+    modes: { progresivo: 'progresivo' },
+    days: { one: '{count} día', other: '{count} días' },
+    cell: { one: '{date}: {count} actividad', other: '{date}: {count} actividades' },
+    practices: { one: '{count} práctica · {minutes} min', other: '{count} prácticas · {minutes} min' },
+    thisWeek: 'Esta semana',
+    lastWeek: 'Semana pasada',
+    weeksAgo: 'Hace {count} semanas'
+  },
+
+  moodCheck: {
+    level: 'Malestar {n} de 10',
+    before: 'Antes de empezar: ¿qué tan intenso es tu malestar ahora?',
+    after: '¿Y ahora? ¿Qué tan intenso es tu malestar?',
+    empty: 'Aún no hay pares antes/después. Responde el check-in al iniciar y terminar un ejercicio.',
+    down: 'baja {value}',
+    up: 'sube {value}',
+    same: 'sin cambio',
+    result: { one: '{trend} pts · {count} registro', other: '{trend} pts · {count} registros' }
+  },
+
+  vault: {
+    statusOff: 'Tus datos se guardan sin cifrar en este dispositivo.',
+    statusLocked: '🔒 Tus datos están cifrados y bloqueados. Escribe tu PIN para verlos.',
+    statusUnlocked: '🔓 Tus datos están cifrados y desbloqueados hasta que los bloquees o recargues la página.',
+    enabled: '✅ Listo: tus datos ya se guardan cifrados con tu PIN.',
+    disabled: 'Cifrado quitado. Tus datos vuelven a guardarse sin PIN.',
+    lockedWrite: '🔒 No se guardó: tus datos están bloqueados. Desbloquéalos con tu PIN en "Mis datos" y vuelve a intentarlo.',
+    tooShort: 'El PIN debe tener al menos 4 caracteres.',
+    mismatch: 'Los PIN no coinciden.',
+    wrongPin: 'PIN incorrecto.',
+    unsupported: 'Este navegador no permite cifrar los datos.',
+    minutes: { one: '{count} minuto', other: '{count} minutos' },
+    confirmDisable: '¿Quitar el cifrado? Tus datos quedarán legibles sin PIN en este dispositivo.',
+    confirmWipe: '¿Borrar TODOS tus datos de este dispositivo? No se puede deshacer.'
+  },
+
+  myData: {
+    keys: {
+      quiz: 'Historial del Mini Test PHQ-4',
+      breathingMode: 'Modo de respiración',
+      breathingCustom: 'Patrones de respiración propios',
+      cues: 'Señales de audio y vibración',
+      activity: 'Registro de práctica',
+      suds: 'Check-in de malestar',
+      emotionJournal: 'Diario de emociones',
+      safetyPlan: 'Plan de seguridad',
+      crisisRegion: 'Región de números de ayuda',
+      locale: 'Idioma',
+      jar: 'Tarro de la calma',
+      load: 'Medidor de carga',
+      consent: 'Preferencias de privacidad',
+      stats: 'Estadísticas de uso'
+    },
+    items: { one: '{count} registro', other: '{count} registros' },
+    size: '{kb} KB',
+    bytes: '{bytes} B',
+    none: 'Todavía no hay nada guardado en este dispositivo.',
+    locked: '🔒 Desbloquea tus datos con el PIN para verlos, exportarlos o importar.',
+    filename: 'adpsike-mis-datos-{date}.json',
+    exported: '✅ Archivo descargado.',
+    exportedPlain: '✅ Archivo descargado. Ojo: el archivo no va cifrado, guárdalo en un lugar seguro.',
+    noFile: 'Elige primero el archivo que exportaste.',
+    invalid: 'Este archivo no es una exportación válida de Adpsike.',
+    newerVersion: 'Este archivo viene de una versión más nueva del sitio. Actualiza la página e inténtalo de nuevo.',
+    empty: 'El archivo no contiene datos que se puedan importar.',
+    confirmReplace: '¿Reemplazar todos tus datos de este dispositivo por los del archivo?',
+    confirmDelete: '¿Borrar de este dispositivo lo que guardan las herramientas (historiales, diario, plan de seguridad y ajustes)? Tus preferencias de privacidad se conservan. No se puede deshacer.',
+    deleted: '🗑️ Listo: tus datos guardados se borraron de este dispositivo.',
+    noConsent: 'El archivo trae historial de bienestar, pero no autorizaste guardarlo. Cambia tus preferencias de privacidad e inténtalo de nuevo.'
+  },
+
+  consent: {
+    title: 'Preferencias de privacidad',
+    banner: 'Las herramientas de este sitio pueden guardar datos solo en tu dispositivo. Tú eliges qué se guarda; nada se envía a ningún servidor sin tu permiso.',
+    acceptAll: 'Aceptar todo',
+    essentialOnly: 'Solo lo esencial',
+    customize: 'Elegir',
+    intro: 'Lo que no autorices funciona durante esta visita y se olvida al cerrar la pestaña. Puedes cambiarlo cuando quieras desde el Aviso de Privacidad.',
+    close: 'Cerrar',
+    save: 'Guardar mis preferencias',
+    categories: {
+      essential: { name: 'Preferencias esenciales', desc: 'Idioma, modo de respiración, sonidos y esta misma elección. Siempre activas.' },
+      history: { name: 'Historial de bienestar', desc: 'Resultados de tests, diario de emociones, plan de seguridad, práctica, tarro y medidor de carga.' },
+      stats: { name: 'Estadísticas anónimas de uso', desc: 'Qué herramientas se usan, sin datos personales ni respuestas, para mejorar el sitio.' }
+    },
+    notSaved: '⚠️ No se guardó en tu dispositivo: solo dura esta visita. Para conservarlo, activa "Historial de bienestar" en Preferencias de privacidad.',
+    confirmPurge: 'Se borrará de este dispositivo lo ya guardado en: {categories}. ¿Continuar?'
+  },
+
+  stats: {
+    title: 'Estadísticas de uso (local)',
+    columns: { event: 'Evento', today: 'Hoy', week: '7 días', total: 'Total' },
+    empty: 'Todavía no hay eventos registrados en este navegador.',
+    summary: 'Pendientes de enviar: {pending} · Destino: {sink}.',
+    noSink: 'ninguno',
+    customSink: 'sink personalizado',
+    noConsent: 'Sin permiso de estadísticas: no se registra ni se envía nada.',
+    flush: 'Enviar ahora',
+    reset: 'Borrar estadísticas',
+    sent: '✅ Lote enviado.',
+    notSent: 'No se envió nada (sin pendientes, sin destino, sin permiso o error de red).'
+  }
+};
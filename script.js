@@ -6,8 +6,40 @@
 const CONFIG = {
   scroll: { threshold: 50, throttleMs: 100 },
   animation: { duration: 2000, threshold: 0.1 },
-  roi: { maxHours: 168, hourlyRate: 200, weeks: 4, baseImpact: 150, benefitFactor: 0.7 },
-  storageKeys: { quiz: 'adpsike_quiz_data', breathingMode: 'adpsike_breathing_mode' }
+  // Supuestos de la calculadora de impacto; cada uno se puede sobrescribir con data-roi-* en #roi-moderno.
+  // El costo de la terapia no está aquí: sale del plan elegido en las tarjetas de Tarifas (data-price).
+  roi: {
+    maxHours: 168,       // tope de horas de malestar al mes que se muestran
+    hourlyRate: 200,     // valor de una hora de tu tiempo (MXN); convierte el costo en horas
+    weeks: 4,            // sesiones al mes (una por semana)
+    baseImpact: 150,     // costo mínimo de un día afectado (MXN), aunque la intensidad sea baja
+    benefitFactor: 0.7,  // parte del malestar que se espera recuperar con el proceso
+    minMultiplier: 0.5   // retorno mínimo que se muestra
+  },
+  storageKeys: {
+    quiz: 'adpsike_quiz_data',
+    breathingMode: 'adpsike_breathing_mode',
+    breathingCustom: 'adpsike_breathing_custom',
+    cues: 'adpsike_cues',
+    activity: 'adpsike_activity_log',
+    suds: 'adpsike_suds_prompt',
+    emotionJournal: 'adpsike_emotion_journal',
+    safetyPlan: 'adpsike_safety_plan',
+    crisisRegion: 'adpsike_crisis_region',
+    locale: 'adpsike_locale',
+    jar: 'adpsike_jar',
+    load: 'adpsike_load',
+    consent: 'adpsike_consent',
+    stats: 'adpsike_stats'
+  },
+  // Estadísticas de uso: solo conteos por día, sin identificadores (ver Analytics)
+  analytics: {
+    endpoint: null,                // URL del mismo origen (por la CSP) que recibe los lotes; null = no se envía nada
+    localEndpoint: '/__analytics', // en localhost: el servidor de prueba tools/analytics-stub.js
+    flushEvery: 60000,
+    keepDays: 90,
+    debug: false                   // true: sin endpoint, los lotes se muestran en la consola (sinks.console)
+  }
 };
 
 
@@ -28,6 +60,16 @@ const DOM = {
   setText: (el, text) => { if (el) el.textContent = text; },
   clear: (el) => { if (el) el.textContent = ''; },
   hideAll: (selector) => document.querySelectorAll(selector).forEach(el => el.classList.remove('active')),
+
+  /** Descarga un texto o Blob como archivo. */
+  download: (content, filename, type) => {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const a = DOM.create('a', { attrs: { href: url, download: filename } });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
   
   create: (tag, { className, text, style, attrs, children } = {}) => {
     const el = document.createElement(tag);
@@ -42,1164 +84,5711 @@ const DOM = {
   }
 };
 
+/**
+ * API síncrona de datos (JSON). Debajo hay tres capas:
+ * - Consent decide si una clave puede guardarse en el dispositivo; si no, vive solo en memoria.
+ * - Vault cifra las claves sensibles cuando el cifrado está activo.
+ * - read/write/erase guardan el texto final en DB (historiales y diarios) o en localStorage (el resto).
+ */
 const Storage = {
   get(key) {
     try {
-      const val = localStorage.getItem(key);
+      const val = Consent.memory.has(key) ? Consent.memory.get(key) : Vault.guards(key) ? Vault.get(key) : this.read(key);
       try { return JSON.parse(val); } catch (e) { return val; }
     } catch (e) {
       console.warn('Storage inaccesible:', e);
       return null;
     }
   },
+  /** @returns {boolean} true si el valor quedó guardado en el dispositivo; si no, ver `notSavedText` */
   set(key, val) {
+    const raw = typeof val === 'object' ? JSON.stringify(val) : val;
+    if (!Consent.allows(key)) {
+      Consent.memory.set(key, String(raw));
+      return false;
+    }
+    Consent.memory.delete(key);
     try {
-      localStorage.setItem(key, typeof val === 'object' ? JSON.stringify(val) : val);
-    } catch (e) {}
+      if (Vault.guards(key)) return Vault.set(key, raw);
+      this.write(key, raw);
+      return true;
+    } catch (e) {
+      console.warn(`No se pudo guardar ${key} (¿sin espacio?):`, e);
+      return false;
+    }
+  },
+  /** Aviso para la persona cuando `set` devolvió false. */
+  notSavedText(key) {
+    if (!Consent.allows(key)) return t('consent.notSaved');
+    return t(Vault.guards(key) && !Vault.unlocked ? 'vault.lockedWrite' : 'common.notSaved');
+  },
+  /** Sin permiso de guardar, el valor sigue disponible durante la visita (a diferencia de una escritura fallida). */
+  inMemory(key) {
+    return Consent.memory.has(key);
+  },
+  /**
+   * Muestra en `status` el aviso de un `set` que no llegó al dispositivo, o lo limpia si llegó.
+   * @returns {boolean} true si el valor se puede volver a leer (guardado o, sin permiso, en memoria)
+   */
+  report(key, saved, status) {
+    DOM.setText(status, saved ? '' : this.notSavedText(key));
+    return saved || this.inMemory(key);
   },
   remove(key) {
-    try { localStorage.removeItem(key); } catch (e) {}
-  }
-};
-
-const Validators = {
-  number: (val, min, max, defaultVal = 0) => {
-    const parsed = parseInt(val, 10);
-    if (isNaN(parsed)) return defaultVal;
-    return Math.min(Math.max(parsed, min), max);
+    Consent.memory.delete(key);
+    try {
+      if (Vault.guards(key)) Vault.remove(key);
+      else this.erase(key);
+    } catch (e) {}
   },
-  
-  safeId: (id) => {
-    return /^[a-zA-Z0-9-_]+$/.test(id) ? id : null;
-  }
-};
-
-
-/* =========================================
-   3. UI & INTERACTION MODULES
-   ========================================= */
 
-const Accessibility = {
-  init() {
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        const activeModal = document.querySelector('.modal-overlay.active');
-        if (activeModal) Modals.close(activeModal);
-
-        const activeEmotion = DOM.get('emotion-card-overlay');
-        if (activeEmotion && DOM.hasClass(activeEmotion, 'active')) Modals.close(activeEmotion);
-
-        const sosOverlay = DOM.get('sos-overlay');
-        if (sosOverlay && DOM.hasClass(sosOverlay, 'active')) SOS.close();
-      }
-    });
+  read(key) {
+    return DB.holds(key) ? DB.read(key) : localStorage.getItem(key);
+  },
+  write(key, raw) {
+    if (DB.holds(key)) DB.write(key, raw);
+    else localStorage.setItem(key, raw);
+  },
+  erase(key) {
+    if (DB.holds(key)) DB.erase(key);
+    else localStorage.removeItem(key);
   }
 };
 
-const Navigation = {
-  init() {
-    this.mobileMenu();
-    this.scrollEffect();
-    this.smoothScroll();
+/**
+ * Preferencias de privacidad. Cada clave de CONFIG.storageKeys pertenece a una categoría;
+ * lo que la persona no autoriza se queda en memoria durante la visita y no toca el dispositivo.
+ * Las esenciales (idioma, ajustes y la propia elección) no se pueden desactivar.
+ * Mientras no haya elección, una categoría que ya tenía datos guardados (de antes de este aviso)
+ * se sigue guardando: se trata como autorizada hasta que la persona diga lo contrario.
+ */
+const Consent = {
+  version: 1,
+  // Los nombres son los de CONFIG.storageKeys
+  categories: {
+    essential: { required: true, keys: ['locale', 'consent', 'breathingMode', 'breathingCustom', 'cues', 'suds', 'crisisRegion'] },
+    history: { required: false, keys: ['quiz', 'activity', 'emotionJournal', 'safetyPlan', 'jar', 'load'] },
+    stats: { required: false, keys: ['stats'] }
   },
+  memory: new Map(),
 
-  mobileMenu() {
-    const toggle = DOM.get("menuToggle");
-    const nav = DOM.get("navLinks");
-    
-    if (!toggle || !nav) return;
-
-    const clickOutside = (e) => {
-      if (DOM.hasClass(nav, "active") && !nav.contains(e.target) && !toggle.contains(e.target)) {
-        this.close(nav, toggle);
-        document.removeEventListener("click", clickOutside);
-      }
-    };
+  state() {
+    try {
+      const state = JSON.parse(Storage.read(CONFIG.storageKeys.consent));
+      return state && state.v === this.version ? state : null;
+    } catch (e) {
+      return null;
+    }
+  },
 
-    toggle.addEventListener("click", (e) => {
-      e.stopPropagation();
-      const isActive = DOM.toggleClass(nav, "active");
-      DOM.setAttr(toggle, "aria-expanded", isActive);
+  /** true cuando la persona ya eligió (aunque haya elegido solo lo esencial). */
+  decided() {
+    return !!this.state();
+  },
 
-      if (isActive) {
-        document.addEventListener("click", clickOutside);
-      } else {
-        document.removeEventListener("click", clickOutside);
-      }
-    });
+  granted(category) {
+    const def = this.categories[category];
+    if (!def) return false;
+    if (def.required) return true;
+    const state = this.state();
+    return state ? !!state[category] : this.stored(category);
+  },
 
-    nav.querySelectorAll("a").forEach(link => link.addEventListener("click", () => {
-      this.close(nav, toggle);
-      document.removeEventListener("click", clickOutside);
-    }));
+  /** Las claves que no aparecen en ninguna categoría se tratan como historial. */
+  categoryOf(key) {
+    const name = Object.keys(CONFIG.storageKeys).find(n => CONFIG.storageKeys[n] === key);
+    return Object.keys(this.categories).find(c => this.categories[c].keys.includes(name)) || 'history';
   },
 
-  close(nav, toggle) {
-    DOM.removeClass(nav, "active");
-    DOM.setAttr(toggle, "aria-expanded", "false");
+  allows(key) {
+    return this.granted(this.categoryOf(key));
   },
 
-  scrollEffect() {
-    const header = DOM.get("header");
-    if (!header) return;
+  /** Categorías con datos ya guardados que se borrarían con esta elección. */
+  losses(choices) {
+    return Object.keys(this.categories).filter(c => !this.categories[c].required && !choices[c] && this.stored(c));
+  },
 
-    let lastScroll = 0;
-    window.addEventListener("scroll", () => {
-      const now = Date.now();
-      if (now - lastScroll >= CONFIG.scroll.throttleMs) {
-        window.scrollY > CONFIG.scroll.threshold
-          ? DOM.addClass(header, "scrolled")
-          : DOM.removeClass(header, "scrolled");
-        lastScroll = now;
-      }
-    }, { passive: true });
+  stored(category) {
+    return this.categories[category].keys.some(name => Storage.read(CONFIG.storageKeys[name]) !== null);
   },
 
-  smoothScroll() {
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-      anchor.addEventListener("click", (e) => {
-        const rawId = anchor.getAttribute("href").substring(1);
-        const safeId = Validators.safeId(rawId);
+  /**
+   * Guarda la elección. Lo que se autoriza pasa de memoria al dispositivo; lo que se retira
+   * se borra del dispositivo y sigue disponible solo hasta cerrar la pestaña.
+   * @param {{ history: boolean, stats: boolean }} choices
+   */
+  save(choices) {
+    const state = { v: this.version, ts: Date.now() };
+    Object.keys(this.categories).forEach(c => {
+      if (!this.categories[c].required) state[c] = !!choices[c];
+    });
 
-        if (!safeId) return;
+    Object.keys(this.categories).filter(c => !state[c] && !this.categories[c].required).forEach(c => {
+      this.categories[c].keys.forEach(name => this.forget(CONFIG.storageKeys[name]));
+    });
+    Storage.set(CONFIG.storageKeys.consent, state);
 
-        const target = document.getElementById(safeId);
-        if (target) {
-          e.preventDefault();
-          const offset = target.getBoundingClientRect().top + window.pageYOffset - 60;
-          window.scrollTo({ top: offset, behavior: "smooth" });
-        }
+    Object.keys(this.categories).filter(c => state[c]).forEach(c => {
+      this.categories[c].keys.forEach(name => {
+        const key = CONFIG.storageKeys[name];
+        if (this.memory.has(key)) Storage.set(key, this.memory.get(key));
       });
     });
+  },
+
+  forget(key) {
+    const raw = Vault.guards(key) ? Vault.get(key) : Storage.read(key);
+    if (Vault.guards(key)) Vault.remove(key);
+    else Storage.erase(key);
+    if (raw !== null && !this.memory.has(key)) this.memory.set(key, raw);
   }
 };
 
-const Modals = {
+/**
+ * Bus de eventos de uso. Los módulos emiten nombres fijos como 'sos.open' o 'bodyscan.abandoned';
+ * con permiso de estadísticas se suman por día en este dispositivo, sin identificadores ni textos,
+ * y un sink intercambiable envía por lotes los conteos pendientes. Las respuestas del triaje del
+ * SOS no se registran.
+ */
+const Analytics = {
+  // categoría.acción y, opcionalmente, :variante; así nunca se cuela texto escrito por la persona
+  pattern: /^[a-z0-9]+(\.[a-z0-9]+)+(:[a-z0-9_-]+)?$/,
+  listeners: new Map(),
+  sink: null,
+  sending: false,
+  timer: null,
+
   init() {
-    document.body.addEventListener('click', (e) => {
-      const openBtn = e.target.closest('[data-action="open-modal"]');
-      if (openBtn) {
-        const targetId = openBtn.dataset.target;
-        this.open(DOM.get(targetId));
-      }
-      const closeBtn = e.target.closest('.js-close-modal');
-      if (closeBtn) {
-        const modal = closeBtn.closest('.modal-overlay, .emotion-overlay');
-        this.close(modal);
-      }
+    const endpoint = CONFIG.analytics.endpoint || (this.isLocal() ? CONFIG.analytics.localEndpoint : null);
+    if (endpoint) this.use(this.sinks.http(endpoint));
+    else if (CONFIG.analytics.debug) this.use(this.sinks.console);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush();
     });
+
+    const page = window.location.pathname.split('/').pop().replace(/\.html$/, '').toLowerCase().replace(/[^a-z0-9_-]/g, '');
+    this.emit(`page.view:${page || 'index'}`);
   },
 
-  open(modal) {
-    if (!modal) return;
-    DOM.setAttr(modal, 'aria-modal', 'true');
-    DOM.setAttr(modal, 'role', 'dialog');
+  isLocal() {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+  },
 
-    const displayType = modal.id === 'emotion-card-overlay' ? 'flex' : 'block';
-    DOM.setStyle(modal, { display: displayType });
-    setTimeout(() => DOM.addClass(modal, 'active'), 10);
-    document.body.style.overflow = 'hidden';
+  /** Suscribe `fn(name)` a un evento o a todos con '*'. Devuelve la función para darse de baja. */
+  on(name, fn) {
+    if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+    this.listeners.get(name).add(fn);
+    return () => this.listeners.get(name).delete(fn);
   },
 
-  close(modal) {
-    if (!modal) return;
-    DOM.removeClass(modal, 'active');
-    modal.removeAttribute('aria-modal');
-    modal.removeAttribute('role');
+  emit(name) {
+    if (!this.pattern.test(name)) {
+      console.warn('Evento de analítica inválido:', name);
+      return;
+    }
+    if (Consent.granted('stats')) this.record(name);
+    [...(this.listeners.get(name) || []), ...(this.listeners.get('*') || [])].forEach(fn => {
+      try { fn(name); } catch (e) { console.warn('Error en oyente de analítica:', e); }
+    });
+  },
 
-    const onEnd = (e) => {
-      if (e.target === modal) {
-        DOM.setStyle(modal, { display: 'none' });
-        modal.removeEventListener('transitionend', onEnd);
-      }
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.stats);
+    return {
+      days: data?.days && typeof data.days === 'object' ? data.days : {},
+      pending: data?.pending && typeof data.pending === 'object' ? data.pending : {}
     };
-    modal.addEventListener('transitionend', onEnd, { once: true });
-
-    setTimeout(() => {
-      if (!DOM.hasClass(modal, 'active')) DOM.setStyle(modal, { display: 'none' });
-    }, 350);
-
-    document.body.style.overflow = 'auto';
-  }
-};
-
-const Animations = {
-  init() {
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          if (entry.target.classList.contains("stat-number")) {
-            this.animateCounter(entry.target);
-            observer.unobserve(entry.target);
-          }
-          DOM.setStyle(entry.target, { opacity: "1", transform: "translateY(0)" });
-        }
-      });
-    }, { threshold: CONFIG.animation.threshold });
+  },
 
-    const selectors = ".stat-number, .service-card, .testimonial-card, .blog-card, .contact-item, .pricing-card, .process-step, .quiz-container, .roi-container, .tool-card";
-    DOM.getAll(selectors).forEach((el) => {
-      if (!el.classList.contains('stat-number')) {
-        DOM.setStyle(el, { opacity: "0", transform: "translateY(30px)", transition: "opacity 0.6s ease, transform 0.6s ease" });
-      }
-      observer.observe(el);
+  record(name) {
+    const data = this.load();
+    const day = ActivityLog.dayKey(Date.now());
+    [data.days, data.pending].forEach(bucket => {
+      bucket[day] = bucket[day] || {};
+      bucket[day][name] = (bucket[day][name] || 0) + 1;
     });
+    const keep = Object.keys(data.days).sort().slice(-CONFIG.analytics.keepDays);
+    data.days = Object.fromEntries(keep.map(d => [d, data.days[d]]));
+    Storage.set(CONFIG.storageKeys.stats, data);
   },
 
-  animateCounter(el) {
-    const target = Validators.number(el.getAttribute("data-count"), 0, 10000000);
-    if (!target || el.dataset.animated) return;
-
-    const label = el.parentElement?.querySelector(".stat-label");
-    const suffix = label?.textContent.includes("Satisfacción") ? "%" : "";
-    const startTime = performance.now();
-
-    const animate = (currentTime) => {
-      const progress = Math.min((currentTime - startTime) / CONFIG.animation.duration, 1);
-      el.textContent = Math.floor(target * progress) + suffix;
-      progress < 1 ? requestAnimationFrame(animate) : el.dataset.animated = 'true';
-    };
-    requestAnimationFrame(animate);
-  }
-};
-
-const Accordion = {
-  init() {
-    DOM.getAll(".faq-question").forEach(q => q.addEventListener("click", () => this.toggle(q)));
+  /** Conteos por evento desde hace `days` días (incluido hoy); sin argumento, todo lo guardado. */
+  totals(days = Infinity) {
+    const since = Number.isFinite(days) ? ActivityLog.dayKey(Date.now() - (days - 1) * 86400000) : '';
+    const totals = {};
+    Object.entries(this.load().days).forEach(([day, counts]) => {
+      if (day < since) return;
+      Object.entries(counts).forEach(([name, n]) => { totals[name] = (totals[name] || 0) + n; });
+    });
+    return totals;
   },
 
-  toggle(question) {
-    const answer = question.nextElementSibling;
-    const parent = question.closest(".faq-category");
+  use(sink) {
+    this.sink = sink;
+    clearInterval(this.timer);
+    if (sink) this.timer = setInterval(() => this.flush(), CONFIG.analytics.flushEvery);
+  },
 
-    if (parent) {
-      parent.querySelectorAll('.faq-question.active').forEach((q) => {
-        if (q !== question) {
-          DOM.removeClass(q, "active");
-          DOM.setAttr(q, "aria-expanded", "false");
-          if (q.nextElementSibling) {
-            DOM.removeClass(q.nextElementSibling, "open");
-            DOM.setStyle(q.nextElementSibling, { maxHeight: "0" });
-          }
-        }
+  /**
+   * Envía los conteos pendientes como { v, batches: [{ day, counts }] }.
+   * Si falla se reintenta en el siguiente ciclo; lo que llegó mientras tanto no se pierde.
+   * @returns {Promise<boolean>} true si se envió algo
+   */
+  async flush() {
+    if (!this.sink || this.sending || !Consent.granted('stats')) return false;
+    const { pending } = this.load();
+    const batches = Object.entries(pending).map(([day, counts]) => ({ day, counts }));
+    if (!batches.length) return false;
+
+    this.sending = true;
+    try {
+      await this.sink.send({ v: 1, batches });
+      const data = this.load();
+      batches.forEach(({ day, counts }) => {
+        Object.entries(counts).forEach(([name, n]) => {
+          const left = (data.pending[day]?.[name] || 0) - n;
+          if (left > 0) data.pending[day][name] = left;
+          else if (data.pending[day]) delete data.pending[day][name];
+        });
+        if (data.pending[day] && !Object.keys(data.pending[day]).length) delete data.pending[day];
       });
+      Storage.set(CONFIG.storageKeys.stats, data);
+      return true;
+    } catch (e) {
+      console.warn('No se pudieron enviar las estadísticas:', e);
+      return false;
+    } finally {
+      this.sending = false;
     }
+  },
 
-    const isOpen = DOM.toggleClass(question, "active");
-    DOM.setAttr(question, "aria-expanded", isOpen);
-    if (answer) {
-      DOM.toggleClass(answer, "open");
-      DOM.setStyle(answer, { maxHeight: isOpen ? Math.abs(answer.scrollHeight) + "px" : "0" });
+  sinks: {
+    /** POST JSON al endpoint; keepalive deja terminar el envío aunque se cierre la pestaña. */
+    http(endpoint) {
+      return {
+        endpoint,
+        async send(batch) {
+          const res = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(batch),
+            keepalive: true
+          });
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        }
+      };
+    },
+    // Para probar sin servidor: CONFIG.analytics.debug = true. Sin esa bandera falla,
+    // así los conteos pendientes no se dan por enviados
+    console: {
+      async send(batch) {
+        if (!CONFIG.analytics.debug) throw new Error('sinks.console requiere CONFIG.analytics.debug');
+        console.info('[analytics]', batch);
+      }
     }
   }
 };
 
+/**
+ * Capa asíncrona sobre IndexedDB con almacenes con nombre, versión de esquema y migraciones.
+ * Si IndexedDB no está disponible o no responde a tiempo (p. ej. modo privado) usa localStorage
+ * y, si tampoco, memoria.
+ *
+ * Los historiales y diarios viven en el almacén "kv". Para que Storage siga siendo síncrono,
+ * DB.ready() carga ese almacén en memoria al arrancar y cada escritura se persiste en segundo plano.
+ * Si una escritura falla, el valor queda de respaldo en localStorage con su clave original
+ * y DB.ready() lo vuelve a pasar a la base en la siguiente visita. Lo mismo con lo que guardó
+ * una visita que tuvo que usar el almacén de localStorage (ver `reclaim`).
+ *
+ * Para cambiar el formato de los datos: sube `version`, añade `migrations[version]`
+ * y, si hace falta, el almacén nuevo en `stores`.
+ */
+const DB = {
+  name: 'adpsike',
+  version: 1,
+  stores: ['kv', 'meta'],
+  migrations: {
+    // v1: los historiales salen de localStorage (límite de ~5 MB compartido) hacia IndexedDB
+    1: (db) => db.adopt()
+  },
+  backend: null,
+  mirror: new Map(),
+  pending: new Set(),
+  hydrated: false,
+
+  get keys() {
+    const { quiz, activity, emotionJournal, load, stats } = CONFIG.storageKeys;
+    return [quiz, activity, emotionJournal, load, stats];
+  },
 
-/* =========================================
-   4. CALCULATOR & QUIZ MODULES
-   ========================================= */
-
-const ROI = {
-  state: { context: 'ansiedad' },
-  contexts: {
-    ansiedad: {
-      lDays: 'Días con "ruido mental"',
-      lInt: 'Nivel de preocupación',
-      benefit: 'dormir sin preocupaciones, apagar el sobre-análisis y disfrutar el presente.'
-    },
-    burnout: {
-      lDays: 'Días de agotamiento total',
-      lInt: 'Nivel de estrés laboral',
-      benefit: 'descansar el fin de semana sin culpa y recuperar tu energía vital.'
-    },
-    pareja: {
-      lDays: 'Días de conflicto o silencio',
-      lInt: 'Intensidad del malestar',
-      benefit: 'reconectar con tu pareja, dejar de discutir y sentirte comprendido.'
-    },
-    apatia: {
-      lDays: 'Días "grises" o sin ganas',
-      lInt: 'Nivel de desánimo',
-      benefit: 'volver a sentir motivación y disfrutar de las pequeñas cosas otra vez.'
+  /** Abre la base, aplica migraciones y carga el almacén "kv". Nunca rechaza. */
+  async ready() {
+    try {
+      await this.open();
+      await this.migrate();
+      await this.adopt();
+      await this.reclaim();
+      this.mirror = new Map(await this.entries('kv'));
+      this.hydrated = true;
+    } catch (e) {
+      console.warn('Base de datos no disponible, se usa localStorage:', e);
     }
   },
 
-  init() {
-    this.els = {
-      days: DOM.get('in-days'),
-      int: DOM.get('in-int'),
-      val: DOM.get('in-val'),
-      dispDays: DOM.get('dsp-days'),
-      dispInt: DOM.get('dsp-int'),
-      dispVal: DOM.get('dsp-val'),
-      lblDays: DOM.get('lbl-days'),
-      lblInt: DOM.get('lbl-int'),
-      resX: DOM.get('res-x'),
-      chart: DOM.get('chart-ring'),
-      interp: DOM.get('interp-text')
-    };
-
-    if (!this.els.days) return;
-
-    [this.els.days, this.els.int, this.els.val].forEach(el => {
-      el?.addEventListener('input', () => this.calculate());
-    });
+  async open() {
+    if (this.backend) return this.backend;
+    for (const backend of [this.backends.indexedDB, this.backends.localStorage, this.backends.memory]) {
+      try {
+        await backend.open(this.name, this.version, this.stores);
+        this.backend = backend;
+        return backend;
+      } catch (e) {
+        console.warn(`Almacenamiento ${backend.id} no disponible:`, e);
+      }
+    }
+  },
 
-    DOM.getAll('.feeder-chip').forEach(btn => {
-      btn.addEventListener('click', () => this.setMode(btn));
-    });
+  /**
+   * Pasa a la base las copias en localStorage (datos de antes de v1 o respaldos de escrituras
+   * fallidas). La copia se borra solo cuando la base confirmó la escritura.
+   */
+  async adopt() {
+    for (const key of this.keys) {
+      const raw = localStorage.getItem(key);
+      if (raw === null) continue;
+      await this.put('kv', key, raw);
+      // En memoria se copia sin borrar: al recargar, el original sigue ahí
+      if (this.backend.persistent) localStorage.removeItem(key);
+    }
+  },
 
-    this.calculate();
+  /**
+   * Si en otra visita IndexedDB no abrió a tiempo, lo guardado quedó en el almacén de localStorage
+   * (adpsike_db_kv). Cuando la base vuelve a abrir, se combina con lo suyo como al importar en modo
+   * combinar (MyData.merge: los historiales se unen) y el almacén de localStorage se borra.
+   */
+  async reclaim() {
+    const fallback = this.backends.localStorage;
+    if (this.backend === fallback || !this.backend.persistent) return;
+    for (const [key, raw] of await fallback.entries('kv')) {
+      const current = await this.get('kv', key);
+      await this.put('kv', key, current === undefined ? raw : this.combine(current, raw));
+    }
+    await fallback.destroy();
   },
 
-  setMode(btn) {
-    DOM.getAll('.feeder-chip').forEach(b => DOM.removeClass(b, 'active'));
-    DOM.addClass(btn, 'active');
-    
-    this.state.context = btn.dataset.mode;
-    const data = this.contexts[this.state.context];
-    const grid = DOM.get('calculatorGrid');
+  combine(current, incoming) {
+    try {
+      return JSON.stringify(MyData.merge(JSON.parse(current), JSON.parse(incoming)));
+    } catch (e) {
+      return current;
+    }
+  },
 
-    if (grid) grid.style.opacity = '0.6';
+  async migrate() {
+    let current = (await this.get('meta', 'schema')) || 0;
+    while (current < this.version) {
+      current++;
+      if (this.migrations[current]) await this.migrations[current](this);
+      await this.put('meta', 'schema', current);
+    }
+  },
+
+  async get(store, key) {
+    return (await this.open()).get(store, key);
+  },
+  async put(store, key, value) {
+    return (await this.open()).put(store, key, value);
+  },
+  async delete(store, key) {
+    return (await this.open()).delete(store, key);
+  },
+  /** @returns {Promise<Array<[string, *]>>} pares [clave, valor] del almacén */
+  async entries(store) {
+    return (await this.open()).entries(store);
+  },
+  async clear(store) {
+    return (await this.open()).clear(store);
+  },
+
+  /**
+   * Borra la base completa (borrado de pánico) en todos los almacenamientos, no solo el activo:
+   * si esta visita cayó a localStorage o a memoria, la base de IndexedDB de otras visitas sigue ahí.
+   */
+  async destroy() {
+    this.mirror = new Map();
+    this.hydrated = false;
+    await this.flush();
+    for (const backend of Object.values(this.backends)) {
+      try {
+        await backend.destroy(this.name);
+      } catch (e) {
+        console.warn(`No se pudo borrar ${backend.id}:`, e);
+      }
+    }
+    this.backend = null;
+  },
+
+  // --- Espejo síncrono del almacén "kv" (lo usa Storage) ---
+  holds(key) {
+    return this.hydrated && this.keys.includes(key);
+  },
+  read(key) {
+    return this.mirror.has(key) ? this.mirror.get(key) : null;
+  },
+  write(key, raw) {
+    const value = String(raw);
+    this.mirror.set(key, value);
+    this.track(this.put('kv', key, value), key, value);
+  },
+  erase(key) {
+    this.mirror.delete(key);
+    this.backup(key, null);
+    this.track(this.delete('kv', key), key);
+  },
+  /** Con `value`, una escritura fallida se respalda en localStorage; una confirmada borra el respaldo. */
+  track(promise, key, value = null) {
+    const job = promise
+      .then(() => { if (value !== null && this.backend.persistent) this.backup(key, null); })
+      .catch(e => {
+        console.warn(`No se pudo guardar ${key} en la base de datos:`, e);
+        if (value !== null) this.backup(key, value);
+      })
+      .finally(() => this.pending.delete(job));
+    this.pending.add(job);
+  },
+  backup(key, value) {
+    try {
+      if (value === null) localStorage.removeItem(key);
+      else localStorage.setItem(key, value);
+    } catch (e) {
+      console.warn(`Tampoco se pudo respaldar ${key} en localStorage:`, e);
+    }
+  },
+  /** Espera a que terminen las escrituras en curso (antes de recargar la página). */
+  flush() {
+    return Promise.all([...this.pending]);
+  },
+
+  backends: {
+    indexedDB: {
+      id: 'IndexedDB',
+      persistent: true,
+      db: null,
+      // Hay navegadores que dejan la apertura colgada; el arranque (y el SOS) no la esperan más que esto
+      timeout: 2000,
+      open(name, version, stores) {
+        return new Promise((resolve, reject) => {
+          if (!window.indexedDB) return reject(new Error('IndexedDB no existe'));
+          let late = false;
+          const timer = setTimeout(() => {
+            late = true;
+            reject(new Error('IndexedDB no respondió a tiempo'));
+          }, this.timeout);
+          const req = indexedDB.open(name, version);
+          req.onupgradeneeded = () => {
+            stores.forEach(store => {
+              if (!req.result.objectStoreNames.contains(store)) req.result.createObjectStore(store);
+            });
+          };
+          req.onsuccess = () => {
+            clearTimeout(timer);
+            // Llegó tarde: DB ya sigue con otro almacenamiento
+            if (late) return req.result.close();
+            this.db = req.result;
+            // Otra pestaña con una versión nueva pide paso: se cierra para no bloquearla
+            this.db.onversionchange = () => this.db.close();
+            resolve();
+          };
+          req.onerror = () => {
+            clearTimeout(timer);
+            reject(req.error);
+          };
+          req.onblocked = () => {
+            clearTimeout(timer);
+            reject(new Error('IndexedDB bloqueada por otra pestaña'));
+          };
+        });
+      },
+      run(store, mode, fn) {
+        return new Promise((resolve, reject) => {
+          const tx = this.db.transaction(store, mode);
+          const result = fn(tx.objectStore(store));
+          tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result?.result);
+          tx.onerror = tx.onabort = () => reject(tx.error);
+        });
+      },
+      get(store, key) {
+        return this.run(store, 'readonly', s => s.get(key));
+      },
+      put(store, key, value) {
+        return this.run(store, 'readwrite', s => { s.put(value, key); });
+      },
+      delete(store, key) {
+        return this.run(store, 'readwrite', s => { s.delete(key); });
+      },
+      entries(store) {
+        return this.run(store, 'readonly', s => {
+          const keys = s.getAllKeys();
+          const values = s.getAll();
+          return () => keys.result.map((key, i) => [key, values.result[i]]);
+        });
+      },
+      clear(store) {
+        return this.run(store, 'readwrite', s => { s.clear(); });
+      },
+      destroy(name) {
+        this.db?.close();
+        this.db = null;
+        return new Promise((resolve, reject) => {
+          if (!window.indexedDB) return resolve();
+          // Detrás de una apertura colgada el borrado también se cuelga; no se espera más que al abrir
+          const timer = setTimeout(() => reject(new Error('IndexedDB no respondió al borrar')), this.timeout);
+          const req = indexedDB.deleteDatabase(name);
+          req.onsuccess = req.onerror = req.onblocked = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+      }
+    },
+
+    // Cada almacén es un objeto JSON en la clave adpsike_db_<almacén>
+    localStorage: {
+      id: 'localStorage',
+      persistent: true,
+      prefix: 'adpsike_db_',
+      async open() {
+        localStorage.setItem(`${this.prefix}test`, '1');
+        localStorage.removeItem(`${this.prefix}test`);
+      },
+      load(store) {
+        try {
+          return JSON.parse(localStorage.getItem(this.prefix + store)) || {};
+        } catch (e) {
+          return {};
+        }
+      },
+      async get(store, key) {
+        return this.load(store)[key];
+      },
+      async put(store, key, value) {
+        const data = this.load(store);
+        data[key] = value;
+        localStorage.setItem(this.prefix + store, JSON.stringify(data));
+      },
+      async delete(store, key) {
+        const data = this.load(store);
+        delete data[key];
+        localStorage.setItem(this.prefix + store, JSON.stringify(data));
+      },
+      async entries(store) {
+        return Object.entries(this.load(store));
+      },
+      async clear(store) {
+        localStorage.removeItem(this.prefix + store);
+      },
+      async destroy() {
+        Object.keys(localStorage).filter(k => k.startsWith(this.prefix)).forEach(k => localStorage.removeItem(k));
+      }
+    },
+
+    // Último recurso: los datos duran lo que dure la pestaña
+    memory: {
+      id: 'memoria',
+      persistent: false,
+      data: new Map(),
+      async open() {},
+      store(name) {
+        if (!this.data.has(name)) this.data.set(name, new Map());
+        return this.data.get(name);
+      },
+      async get(store, key) {
+        return this.store(store).get(key);
+      },
+      async put(store, key, value) {
+        this.store(store).set(key, value);
+      },
+      async delete(store, key) {
+        this.store(store).delete(key);
+      },
+      async entries(store) {
+        return [...this.store(store).entries()];
+      },
+      async clear(store) {
+        this.store(store).clear();
+      },
+      async destroy() {
+        this.data = new Map();
+      }
+    }
+  }
+};
+
+/**
+ * Cifrado local opcional con PIN. Las claves sensibles se guardan cifradas con AES-GCM
+ * (llave derivada del PIN con PBKDF2) y se leen de una copia descifrada en memoria, así
+ * Storage sigue siendo síncrono. La llave no se puede exportar y solo vive en memoria:
+ * al bloquear, al vencer el auto-bloqueo o al recargar la página hay que escribir el PIN otra vez.
+ * Con los datos bloqueados, las lecturas sensibles devuelven null y las escrituras se descartan
+ * para no pisar lo cifrado. Los módulos que muestran datos se suscriben con onChange.
+ */
+const Vault = {
+  metaKey: 'adpsike_vault',
+  legacySessionKey: 'adpsike_vault_session',
+  iterations: 310000,
+  checkText: 'adpsike',
+  autoLockOptions: [1, 5, 15, 30],
+  cache: new Map(),
+  key: null,
+  queue: Promise.resolve(),
+  timer: null,
+  expires: 0,
+  listeners: new Set(),
+  warned: false,
+  watching: false,
+
+  get sensitive() {
+    const { quiz, emotionJournal, safetyPlan, activity, load, jar } = CONFIG.storageKeys;
+    return [quiz, emotionJournal, safetyPlan, activity, load, jar];
+  },
+
+  meta() {
+    try {
+      return JSON.parse(localStorage.getItem(this.metaKey));
+    } catch (e) {
+      return null;
+    }
+  },
+
+  get enabled() {
+    return !!this.meta();
+  },
+
+  get unlocked() {
+    return !!this.key;
+  },
+
+  guards(key) {
+    return this.sensitive.includes(key) && this.enabled;
+  },
+
+  get(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  },
+
+  /** @returns {boolean} false con los datos bloqueados: la escritura se descarta */
+  set(key, raw) {
+    if (!this.unlocked) {
+      if (!this.warned) console.warn('Datos bloqueados: los cambios no se guardan hasta abrir con el PIN.');
+      this.warned = true;
+      return false;
+    }
+    this.cache.set(key, String(raw));
+    const cryptoKey = this.key;
+    // En fila para que una escritura vieja nunca termine después de una nueva
+    this.queue = this.queue
+      .then(async () => {
+        if (!this.cache.has(key)) return;
+        const payload = await this.encrypt(cryptoKey, this.cache.get(key));
+        if (this.cache.has(key)) Storage.write(key, JSON.stringify(payload));
+      })
+      .catch(e => console.warn('No se pudo cifrar:', e));
+    return true;
+  },
+
+  remove(key) {
+    this.cache.delete(key);
+    Storage.erase(key);
+  },
+
+  /** Versiones anteriores guardaban la llave en sessionStorage; se borra y los datos esperan el PIN. Nunca rechaza. */
+  async ready() {
+    try { sessionStorage.removeItem(this.legacySessionKey); } catch (e) {}
+  },
+
+  /** @returns {Function} para cancelar la suscripción */
+  onChange(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  },
+
+  notify() {
+    this.listeners.forEach(fn => {
+      try { fn(); } catch (e) { console.warn('Error al repintar tras bloquear o desbloquear:', e); }
+    });
+  },
+
+  async derive(pin, salt, iterations) {
+    const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: this.fromBase64(salt), iterations, hash: 'SHA-256' },
+      base,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  async encrypt(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  },
+
+  async decrypt(key, payload) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data));
+    return new TextDecoder().decode(data);
+  },
+
+  toBase64(bytes) {
+    let binary = '';
+    // Por bloques: fromCharCode con miles de argumentos revienta la pila
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  },
+
+  /** Descifra todo con la llave; si la llave no es la del PIN, AES-GCM rechaza la verificación. */
+  async open(key) {
+    const meta = this.meta();
+    await this.decrypt(key, meta.check);
+    const cache = new Map();
+    for (const name of this.sensitive) {
+      const raw = Storage.read(name);
+      if (raw === null) continue;
+      try {
+        cache.set(name, await this.decrypt(key, JSON.parse(raw)));
+      } catch (e) {
+        console.warn(`No se pudo descifrar ${name}:`, e);
+      }
+    }
+    this.key = key;
+    this.cache = cache;
+    this.touch();
+    this.watch();
+    this.notify();
+  },
+
+  async enable(pin) {
+    if (this.enabled) return;
+    const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await this.derive(pin, salt, this.iterations);
+    // Se cifra todo antes de escribir nada, para no quedar a medias si algo falla
+    const payloads = {};
+    for (const name of this.sensitive) {
+      const raw = Storage.read(name);
+      if (raw !== null) payloads[name] = await this.encrypt(key, raw);
+    }
+    const check = await this.encrypt(key, this.checkText);
+    Object.entries(payloads).forEach(([name, payload]) => Storage.write(name, JSON.stringify(payload)));
+    localStorage.setItem(this.metaKey, JSON.stringify({ v: 1, salt, iterations: this.iterations, autoLock: 5, check }));
+    await this.open(key);
+  },
+
+  /** @returns {Promise<boolean>} false si el PIN no coincide */
+  async unlock(pin) {
+    const meta = this.meta();
+    if (!meta) return true;
+    try {
+      await this.open(await this.derive(pin, meta.salt, meta.iterations));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /** Vuelve a dejar los datos en claro; solo con la sesión abierta. */
+  async disable() {
+    if (!this.unlocked) return;
+    await this.queue;
+    this.sensitive.forEach(name => {
+      if (this.cache.has(name)) Storage.write(name, this.cache.get(name));
+    });
+    localStorage.removeItem(this.metaKey);
+    this.close();
+  },
+
+  async lock() {
+    await this.queue;
+    await DB.flush();
+    this.close();
+  },
+
+  close() {
+    const wasOpen = this.unlocked;
+    this.key = null;
+    this.cache = new Map();
+    this.expires = 0;
+    clearInterval(this.timer);
+    if (wasOpen) this.notify();
+  },
+
+  /** Borrado de pánico: elimina todo lo que el sitio guardó en este dispositivo, cifrado o no. */
+  async wipe() {
+    this.close();
+    await DB.destroy();
+    Object.keys(localStorage).filter(k => k.startsWith('adpsike_')).forEach(k => localStorage.removeItem(k));
+    window.location.reload();
+  },
+
+  setAutoLock(minutes) {
+    const meta = this.meta();
+    if (!meta || !this.autoLockOptions.includes(minutes)) return;
+    localStorage.setItem(this.metaKey, JSON.stringify({ ...meta, autoLock: minutes }));
+    this.touch();
+  },
+
+  /** Extiende la sesión abierta otros `autoLock` minutos. */
+  touch() {
+    this.expires = Date.now() + (this.meta()?.autoLock || 5) * 60000;
+  },
+
+  /** Bloquear en medio del SOS o de un ejercicio guiado cortaría lo que la persona está haciendo. */
+  busy() {
+    return SOS.isOpen() || PhaseScheduler.active.size > 0;
+  },
+
+  /** Auto-bloqueo por inactividad: cada interacción, el SOS abierto o un ejercicio en curso extienden la sesión. */
+  watch() {
+    clearInterval(this.timer);
+    if (!this.watching) {
+      const touch = () => { if (this.unlocked) this.touch(); };
+      ['pointerdown', 'keydown', 'input'].forEach(type => document.addEventListener(type, touch, { passive: true }));
+      this.watching = true;
+    }
+    this.timer = setInterval(() => {
+      if (!this.unlocked) return;
+      if (this.busy()) this.touch();
+      else if (Date.now() > this.expires) this.lock();
+    }, 15000);
+  }
+};
+
+const Validators = {
+  number: (val, min, max, defaultVal = 0) => {
+    const parsed = parseInt(val, 10);
+    if (isNaN(parsed)) return defaultVal;
+    return Math.min(Math.max(parsed, min), max);
+  },
+
+  decimal: (val, min, max, defaultVal = 0) => {
+    const parsed = parseFloat(val);
+    if (isNaN(parsed)) return defaultVal;
+    return Math.min(Math.max(parsed, min), max);
+  },
+  
+  safeId: (id) => {
+    return /^[a-zA-Z0-9-_]+$/.test(id) ? id : null;
+  }
+};
+
+/**
+ * Traducciones. Cada idioma vive en locales/<código>.js y se registra en window.ADPSIKE_LOCALES;
+ * el español es la base: las claves que falten en otro idioma se toman de él.
+ * En el HTML, `data-i18n` (texto), `data-i18n-html` y `data-i18n-attr="atributo:clave; ..."`
+ * marcan lo que se reemplaza cuando el idioma no es el base.
+ */
+const I18N = {
+  fallback: 'es',
+  locale: 'es',
+  intl: 'es-MX',
+  rules: null,
+
+  init() {
+    this.locale = this.detect();
+    this.intl = this.bundles()[this.locale].meta?.intl || this.locale;
+    this.rules = new Intl.PluralRules(this.intl);
+    document.documentElement.lang = this.locale;
+    if (this.locale !== this.fallback) this.apply();
+    this.renderSwitchers();
+  },
+
+  bundles() {
+    return window.ADPSIKE_LOCALES || { [this.fallback]: {} };
+  },
+
+  /** Idioma guardado; si no hay, el primero del navegador que tenga traducción cargada en esta página. */
+  detect() {
+    const bundles = this.bundles();
+    const saved = Storage.get(CONFIG.storageKeys.locale);
+    if (bundles[saved]) return saved;
+    const langs = navigator.languages?.length ? navigator.languages : [navigator.language];
+    return langs.map(l => String(l || '').slice(0, 2).toLowerCase()).find(l => bundles[l]) || this.fallback;
+  },
+
+  lookup(locale, key) {
+    return String(key).split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.bundles()[locale]);
+  },
+
+  exists(key) {
+    return this.lookup(this.locale, key) !== undefined || this.lookup(this.fallback, key) !== undefined;
+  },
+
+  /**
+   * @param {string} key Clave con puntos, p. ej. 'activity.days'
+   * @param {Object} [params] Valores para {marcadores}; `count` elige la forma plural
+   * @returns {*} Texto traducido; listas y objetos se devuelven tal cual
+   */
+  t(key, params = {}) {
+    let value = this.lookup(this.locale, key);
+    if (value === undefined) value = this.lookup(this.fallback, key);
+    if (value === undefined) return key;
+
+    if (value && typeof value === 'object' && 'other' in value && typeof params.count === 'number') {
+      value = value[this.rules ? this.rules.select(params.count) : 'other'] ?? value.other;
+    }
+    return typeof value === 'string' ? this.format(value, params) : value;
+  },
+
+  /** Los marcadores sin valor se conservan para que otro paso los llene después. */
+  format(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  },
+
+  apply(root = document) {
+    // Sin respaldo al español: el HTML ya trae esos textos
+    const own = (key) => {
+      const value = this.lookup(this.locale, key);
+      return typeof value === 'string' ? value : null;
+    };
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      const text = own(el.dataset.i18n);
+      if (text !== null) el.textContent = text;
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+      const html = own(el.dataset.i18nHtml);
+      if (html !== null) el.innerHTML = html;
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(s => s.trim());
+        const text = attr && key ? own(key) : null;
+        if (text !== null) el.setAttribute(attr, text);
+      });
+    });
+  },
+
+  renderSwitchers() {
+    const bundles = this.bundles();
+    DOM.getAll('[data-locale-switcher]').forEach(select => {
+      DOM.clear(select);
+      Object.entries(bundles).forEach(([code, bundle]) => {
+        select.appendChild(DOM.create('option', { text: bundle.meta?.name || code, attrs: { value: code, lang: code } }));
+      });
+      select.value = this.locale;
+      select.addEventListener('change', () => this.set(select.value));
+    });
+  },
+
+  /** Guarda el idioma y recarga: los módulos arman sus textos al iniciar. */
+  set(locale) {
+    if (!this.bundles()[locale] || locale === this.locale) return;
+    Storage.set(CONFIG.storageKeys.locale, locale);
+    window.location.reload();
+  }
+};
+
+const t = (key, params) => I18N.t(key, params);
+
+
+/* =========================================
+   3. UI & INTERACTION MODULES
+   ========================================= */
+
+const Accessibility = {
+  init() {
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        // Un check-in flotante se descarta antes que el diálogo que tiene debajo
+        if (typeof MoodCheck !== 'undefined' && MoodCheck.pending) return MoodCheck.resolve(null);
+        Modals.escape();
+      }
+      if (e.key === 'Tab') Modals.trapFocus(e);
+    });
+  }
+};
+
+const Navigation = {
+  init() {
+    this.mobileMenu();
+    this.scrollEffect();
+    this.smoothScroll();
+  },
+
+  mobileMenu() {
+    const toggle = DOM.get("menuToggle");
+    const nav = DOM.get("navLinks");
     
-    setTimeout(() => {
-      DOM.setText(this.els.lblDays, data.lDays);
-      DOM.setText(this.els.lblInt, data.lInt);
-      if (grid) grid.style.opacity = '1';
-      this.calculate();
-    }, 200);
+    if (!toggle || !nav) return;
+
+    const clickOutside = (e) => {
+      if (DOM.hasClass(nav, "active") && !nav.contains(e.target) && !toggle.contains(e.target)) {
+        this.close(nav, toggle);
+        document.removeEventListener("click", clickOutside);
+      }
+    };
+
+    toggle.addEventListener("click", (e) => {
+      e.stopPropagation();
+      const isActive = DOM.toggleClass(nav, "active");
+      DOM.setAttr(toggle, "aria-expanded", isActive);
+
+      if (isActive) {
+        document.addEventListener("click", clickOutside);
+      } else {
+        document.removeEventListener("click", clickOutside);
+      }
+    });
+
+    nav.querySelectorAll("a").forEach(link => link.addEventListener("click", () => {
+      this.close(nav, toggle);
+      document.removeEventListener("click", clickOutside);
+    }));
+  },
+
+  close(nav, toggle) {
+    DOM.removeClass(nav, "active");
+    DOM.setAttr(toggle, "aria-expanded", "false");
+  },
+
+  scrollEffect() {
+    const header = DOM.get("header");
+    if (!header) return;
+
+    let lastScroll = 0;
+    window.addEventListener("scroll", () => {
+      const now = Date.now();
+      if (now - lastScroll >= CONFIG.scroll.throttleMs) {
+        window.scrollY > CONFIG.scroll.threshold
+          ? DOM.addClass(header, "scrolled")
+          : DOM.removeClass(header, "scrolled");
+        lastScroll = now;
+      }
+    }, { passive: true });
+  },
+
+  smoothScroll() {
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+      anchor.addEventListener("click", (e) => {
+        const rawId = anchor.getAttribute("href").substring(1);
+        const safeId = Validators.safeId(rawId);
+
+        if (!safeId) return;
+
+        const target = document.getElementById(safeId);
+        if (target) {
+          e.preventDefault();
+          const offset = target.getBoundingClientRect().top + window.pageYOffset - 60;
+          window.scrollTo({ top: offset, behavior: "smooth" });
+        }
+      });
+    });
+  }
+};
+
+/**
+ * Gestor de diálogos con pila: el de arriba recibe el foco (atrapado con Tab), Escape
+ * y los clics; el resto de la página queda `inert`. Al cerrar, el foco vuelve a quien lo abrió.
+ */
+const Modals = {
+  stack: [],
+  inerted: new Set(),
+  focusableSelector: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+
+  init() {
+    document.body.addEventListener('click', (e) => {
+      const openBtn = e.target.closest('[data-action="open-modal"]');
+      if (openBtn) {
+        const targetId = openBtn.dataset.target;
+        this.open(DOM.get(targetId));
+      }
+      const closeBtn = e.target.closest('.js-close-modal');
+      if (closeBtn) {
+        const modal = closeBtn.closest('.modal-overlay, .emotion-overlay');
+        this.close(modal);
+      }
+    });
+  },
+
+  top() {
+    return this.stack[this.stack.length - 1] || null;
+  },
+
+  /**
+   * @param {HTMLElement} modal
+   * @param {{ onEscape?: Function }} [options] onEscape reemplaza el cierre por defecto (p. ej. SOS detiene sus ejercicios)
+   */
+  open(modal, { onEscape } = {}) {
+    if (!modal) return;
+
+    // Reabrir un diálogo ya abierto solo lo sube a la cima, conservando a quien lo abrió
+    const existing = this.stack.find(entry => entry.modal === modal);
+    if (existing) {
+      this.stack = this.stack.filter(entry => entry !== existing);
+      if (onEscape) existing.onEscape = onEscape;
+      this.stack.push(existing);
+      this.updateInert();
+      return;
+    }
+
+    this.stack.push({ modal, onEscape, trigger: document.activeElement });
+    DOM.setAttr(modal, 'aria-modal', 'true');
+    DOM.setAttr(modal, 'role', 'dialog');
+
+    const displayType = modal.id === 'emotion-card-overlay' ? 'flex' : 'block';
+    DOM.setStyle(modal, { display: displayType });
+    setTimeout(() => {
+      DOM.addClass(modal, 'active');
+      if (this.top()?.modal === modal) this.focusFirst(modal);
+    }, 10);
+    document.body.style.overflow = 'hidden';
+    this.updateInert();
+  },
+
+  close(modal, { immediate = false } = {}) {
+    if (!modal) return;
+    const entry = this.stack.find(e => e.modal === modal);
+    if (!entry && !DOM.hasClass(modal, 'active')) return;
+
+    this.stack = this.stack.filter(e => e !== entry);
+    DOM.removeClass(modal, 'active');
+    modal.removeAttribute('aria-modal');
+    modal.removeAttribute('role');
+
+    if (immediate) {
+      DOM.setStyle(modal, { display: 'none' });
+    } else {
+      const onEnd = (e) => {
+        if (e.target === modal) {
+          DOM.setStyle(modal, { display: 'none' });
+          modal.removeEventListener('transitionend', onEnd);
+        }
+      };
+      modal.addEventListener('transitionend', onEnd, { once: true });
+
+      setTimeout(() => {
+        if (!DOM.hasClass(modal, 'active')) DOM.setStyle(modal, { display: 'none' });
+      }, 350);
+    }
+
+    if (!this.stack.length) document.body.style.overflow = 'auto';
+    this.updateInert();
+
+    const next = this.top();
+    const trigger = entry?.trigger;
+    if (trigger && document.contains(trigger) && !modal.contains(trigger) && (!next || next.modal.contains(trigger))) {
+      trigger.focus({ preventScroll: true });
+    } else if (next) {
+      this.focusFirst(next.modal);
+    }
+  },
+
+  escape() {
+    const entry = this.top();
+    if (!entry) return;
+    entry.onEscape ? entry.onEscape() : this.close(entry.modal);
+  },
+
+  focusables(root) {
+    return Array.from(root.querySelectorAll(this.focusableSelector)).filter(el => el.getClientRects().length > 0);
+  },
+
+  focusFirst(modal) {
+    const target = modal.querySelector('[data-autofocus]') || this.focusables(modal)[0] || modal;
+    if (target === modal && !modal.hasAttribute('tabindex')) DOM.setAttr(modal, 'tabindex', '-1');
+    target.focus({ preventScroll: true });
+  },
+
+  trapFocus(e) {
+    const entry = this.top();
+    if (!entry) return;
+    const active = document.activeElement;
+    // Los paneles flotantes marcados (p. ej. el check-in SUDS) manejan su propio foco
+    if (active?.closest('[data-inert-exempt]')) return;
+
+    const items = this.focusables(entry.modal);
+    if (!items.length) {
+      e.preventDefault();
+      return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    if (!entry.modal.contains(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  },
+
+  /** Marca como `inert` todo lo que no sea el diálogo superior (incluidos los diálogos de abajo). */
+  updateInert() {
+    this.inerted.forEach(el => el.removeAttribute('inert'));
+    this.inerted.clear();
+
+    const entry = this.top();
+    if (!entry) return;
+
+    Array.from(document.body.children).forEach(el => {
+      if (el.contains(entry.modal) || el.hasAttribute('data-inert-exempt') || el.hasAttribute('inert')) return;
+      if (el.tagName === 'SCRIPT') return;
+      el.setAttribute('inert', '');
+      this.inerted.add(el);
+    });
+  }
+};
+
+const Animations = {
+  init() {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          if (entry.target.classList.contains("stat-number")) {
+            this.animateCounter(entry.target);
+            observer.unobserve(entry.target);
+          }
+          DOM.setStyle(entry.target, { opacity: "1", transform: "translateY(0)" });
+        }
+      });
+    }, { threshold: CONFIG.animation.threshold });
+
+    const selectors = ".stat-number, .service-card, .testimonial-card, .blog-card, .contact-item, .pricing-card, .process-step, .quiz-container, .roi-container, .tool-card";
+    DOM.getAll(selectors).forEach((el) => {
+      if (!el.classList.contains('stat-number')) {
+        DOM.setStyle(el, { opacity: "0", transform: "translateY(30px)", transition: "opacity 0.6s ease, transform 0.6s ease" });
+      }
+      observer.observe(el);
+    });
+  },
+
+  animateCounter(el) {
+    const target = Validators.number(el.getAttribute("data-count"), 0, 10000000);
+    if (!target || el.dataset.animated) return;
+
+    const label = el.parentElement?.querySelector(".stat-label");
+    const suffix = label?.textContent.includes("Satisfacción") ? "%" : "";
+    const startTime = performance.now();
+
+    const animate = (currentTime) => {
+      const progress = Math.min((currentTime - startTime) / CONFIG.animation.duration, 1);
+      el.textContent = Math.floor(target * progress) + suffix;
+      progress < 1 ? requestAnimationFrame(animate) : el.dataset.animated = 'true';
+    };
+    requestAnimationFrame(animate);
+  }
+};
+
+const Accordion = {
+  init() {
+    DOM.getAll(".faq-question").forEach(q => q.addEventListener("click", () => this.toggle(q)));
+  },
+
+  toggle(question) {
+    const answer = question.nextElementSibling;
+    const parent = question.closest(".faq-category");
+
+    if (parent) {
+      parent.querySelectorAll('.faq-question.active').forEach((q) => {
+        if (q !== question) {
+          DOM.removeClass(q, "active");
+          DOM.setAttr(q, "aria-expanded", "false");
+          if (q.nextElementSibling) {
+            DOM.removeClass(q.nextElementSibling, "open");
+            DOM.setStyle(q.nextElementSibling, { maxHeight: "0" });
+          }
+        }
+      });
+    }
+
+    const isOpen = DOM.toggleClass(question, "active");
+    DOM.setAttr(question, "aria-expanded", isOpen);
+    if (answer) {
+      DOM.toggleClass(answer, "open");
+      DOM.setStyle(answer, { maxHeight: isOpen ? Math.abs(answer.scrollHeight) + "px" : "0" });
+    }
+  }
+};
+
+/**
+ * Instalación como app y uso sin conexión: registra sw.js, avisa cuando hay una versión
+ * nueva en espera y muestra si la página está disponible offline.
+ */
+const OfflineSupport = {
+  els: {},
+  hideTimer: null,
+
+  init() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const label = DOM.create('span', { className: 'offline-indicator-text' });
+    const action = DOM.create('button', { className: 'offline-indicator-btn', text: t('offline.update'), attrs: { type: 'button', hidden: '' } });
+    const box = DOM.create('div', {
+      className: 'offline-indicator',
+      attrs: { id: 'offline-indicator', role: 'status', 'aria-live': 'polite', hidden: '', 'data-inert-exempt': '' },
+      children: [label, action]
+    });
+    document.body.appendChild(box);
+    this.els = { box, label, action };
+
+    window.addEventListener('online', () => this.show(t('offline.online'), { timeout: 3000 }));
+    window.addEventListener('offline', () => this.show(t('offline.offline')));
+    if (!navigator.onLine) this.show(t('offline.offline'));
+
+    const firstInstall = !navigator.serviceWorker.controller;
+    navigator.serviceWorker.register('/sw.js').then(reg => {
+      if (reg.waiting && !firstInstall) this.promptUpdate(reg.waiting);
+
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          if (worker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) this.promptUpdate(worker);
+          else this.show(t('offline.ready'), { timeout: 4000 });
+        });
+      });
+    }).catch(e => console.warn('Service worker no registrado:', e));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (firstInstall || reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+  },
+
+  show(text, { timeout = 0, update = false } = {}) {
+    clearTimeout(this.hideTimer);
+    DOM.setText(this.els.label, text);
+    this.els.action.hidden = !update;
+    this.els.box.hidden = false;
+    if (timeout) this.hideTimer = setTimeout(() => { this.els.box.hidden = true; }, timeout);
+  },
+
+  promptUpdate(worker) {
+    this.show(t('offline.available'), { update: true });
+    this.els.action.onclick = () => {
+      this.els.action.disabled = true;
+      worker.postMessage('skip-waiting');
+    };
+  }
+};
+
+
+/**
+ * Aviso de privacidad en la primera visita y diálogo para cambiar las preferencias después.
+ * Cualquier enlace con data-consent="open" (o la URL con #preferencias-privacidad) abre el diálogo.
+ */
+const PrivacyPrefs = {
+  hash: '#preferencias-privacidad',
+  els: {},
+
+  init() {
+    this.build();
+
+    document.body.addEventListener('click', (e) => {
+      const choice = e.target.closest('[data-consent-choice]')?.dataset.consentChoice;
+      if (choice === 'all') this.choose({ history: true, stats: true });
+      if (choice === 'essential') this.choose({ history: false, stats: false });
+      if (choice === 'custom' || e.target.closest('[data-consent="open"]')) {
+        e.preventDefault();
+        this.open();
+      }
+    });
+    this.els.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const choices = {};
+      this.els.form.querySelectorAll('[data-category]').forEach(input => { choices[input.dataset.category] = input.checked; });
+      if (this.choose(choices)) Modals.close(this.els.modal);
+    });
+
+    if (window.location.hash === this.hash) this.open();
+    else this.els.banner.hidden = Consent.decided();
+  },
+
+  build() {
+    const banner = DOM.create('div', {
+      className: 'consent-banner',
+      attrs: { role: 'region', 'aria-label': t('consent.title'), hidden: '' },
+      children: [
+        DOM.create('p', { text: t('consent.banner') }),
+        DOM.create('div', {
+          className: 'consent-actions',
+          children: [
+            DOM.create('button', { className: 'consent-btn consent-btn-primary', text: t('consent.acceptAll'), attrs: { type: 'button', 'data-consent-choice': 'all' } }),
+            DOM.create('button', { className: 'consent-btn', text: t('consent.essentialOnly'), attrs: { type: 'button', 'data-consent-choice': 'essential' } }),
+            DOM.create('button', { className: 'consent-btn consent-btn-link', text: t('consent.customize'), attrs: { type: 'button', 'data-consent-choice': 'custom' } })
+          ]
+        })
+      ]
+    });
+
+    const options = Object.entries(Consent.categories).map(([category, def]) => {
+      const input = DOM.create('input', { attrs: { type: 'checkbox', 'data-category': category } });
+      if (def.required) input.disabled = true;
+      return DOM.create('label', {
+        className: 'consent-option',
+        children: [
+          input,
+          DOM.create('span', {
+            children: [
+              DOM.create('strong', { text: t(`consent.categories.${category}.name`) }),
+              DOM.create('small', { text: t(`consent.categories.${category}.desc`) })
+            ]
+          })
+        ]
+      });
+    });
+
+    const form = DOM.create('form', {
+      className: 'consent-form',
+      children: [
+        ...options,
+        DOM.create('button', { className: 'btn-tool btn-purple', text: t('consent.save'), attrs: { type: 'submit' } })
+      ]
+    });
+
+    const modal = DOM.create('div', {
+      className: 'modal-overlay',
+      attrs: { id: 'consent-modal', 'aria-labelledby': 'consent-modal-title' },
+      children: [
+        DOM.create('div', {
+          className: 'modal-card consent-dialog',
+          children: [
+            DOM.create('button', { className: 'close-modal-btn js-close-modal', text: '✕', attrs: { type: 'button', 'aria-label': t('consent.close') } }),
+            DOM.create('h2', { className: 'article-title', text: t('consent.title'), attrs: { id: 'consent-modal-title' } }),
+            DOM.create('p', { className: 'consent-intro', text: t('consent.intro') }),
+            form
+          ]
+        })
+      ]
+    });
+
+    document.body.append(banner, modal);
+    this.els = { banner, modal, form };
+  },
+
+  open() {
+    this.els.form.querySelectorAll('[data-category]').forEach(input => {
+      input.checked = Consent.granted(input.dataset.category);
+    });
+    Modals.open(this.els.modal);
+  },
+
+  /** @returns {boolean} false si la persona canceló el borrado de lo ya guardado */
+  choose(choices) {
+    const losses = Consent.losses(choices);
+    if (losses.length) {
+      const names = losses.map(c => t(`consent.categories.${c}.name`)).join(', ');
+      if (!confirm(t('consent.confirmPurge', { categories: names }))) return false;
+    }
+    Consent.save(choices);
+    this.els.banner.hidden = true;
+    return true;
+  }
+};
+
+
+/**
+ * Tablero oculto de estadísticas para quien administra el sitio. Solo existe en localhost
+ * y se abre con #estadisticas; muestra los conteos guardados en este navegador.
+ */
+const StatsDashboard = {
+  hash: '#estadisticas',
+  els: {},
+
+  init() {
+    if (!Analytics.isLocal()) return;
+    window.addEventListener('hashchange', () => this.check());
+    Analytics.on('*', () => this.render());
+    this.check();
+  },
+
+  check() {
+    if (window.location.hash !== this.hash) return;
+    if (!this.els.modal) this.build();
+    this.render();
+    Modals.open(this.els.modal);
+  },
+
+  build() {
+    const body = DOM.create('tbody');
+    const status = DOM.create('p', { className: 'stats-status', attrs: { role: 'status' } });
+    const flush = DOM.create('button', { className: 'quiz-history-btn', text: t('stats.flush'), attrs: { type: 'button' } });
+    const reset = DOM.create('button', { className: 'quiz-history-btn', text: t('stats.reset'), attrs: { type: 'button' } });
+    const head = DOM.create('tr', {
+      children: ['event', 'today', 'week', 'total'].map(col => DOM.create('th', { text: t(`stats.columns.${col}`), attrs: { scope: 'col' } }))
+    });
+
+    const modal = DOM.create('div', {
+      className: 'modal-overlay',
+      attrs: { id: 'stats-dashboard', 'aria-labelledby': 'stats-dashboard-title' },
+      children: [
+        DOM.create('div', {
+          className: 'modal-card stats-dashboard',
+          children: [
+            DOM.create('button', { className: 'close-modal-btn js-close-modal', text: '✕', attrs: { type: 'button', 'aria-label': t('consent.close') } }),
+            DOM.create('h2', { className: 'article-title', text: t('stats.title'), attrs: { id: 'stats-dashboard-title' } }),
+            status,
+            DOM.create('table', { className: 'stats-table', children: [DOM.create('thead', { children: [head] }), body] }),
+            DOM.create('div', { className: 'quiz-history-actions', children: [flush, reset] })
+          ]
+        })
+      ]
+    });
+
+    flush.addEventListener('click', async () => {
+      flush.disabled = true;
+      const sent = await Analytics.flush();
+      flush.disabled = false;
+      this.render(t(sent ? 'stats.sent' : 'stats.notSent'));
+    });
+    reset.addEventListener('click', () => {
+      Storage.remove(CONFIG.storageKeys.stats);
+      this.render();
+    });
+
+    document.body.appendChild(modal);
+    this.els = { modal, body, status };
+  },
+
+  render(message) {
+    if (!this.els.modal) return;
+    const [today, week, total] = [1, 7, Infinity].map(days => Analytics.totals(days));
+    const pending = Object.values(Analytics.load().pending).reduce((sum, counts) => sum + Object.values(counts).reduce((a, b) => a + b, 0), 0);
+
+    DOM.clear(this.els.body);
+    const names = Object.keys(total).sort();
+    if (!names.length) {
+      this.els.body.appendChild(DOM.create('tr', { children: [DOM.create('td', { text: t('stats.empty'), attrs: { colspan: 4 } })] }));
+    }
+    names.forEach(name => {
+      this.els.body.appendChild(DOM.create('tr', {
+        children: [name, today[name] || 0, week[name] || 0, total[name]].map((value, i) => DOM.create(i ? 'td' : 'th', { text: String(value), attrs: i ? {} : { scope: 'row' } }))
+      }));
+    });
+
+    const sink = Analytics.sink?.endpoint || (Analytics.sink ? t('stats.customSink') : t('stats.noSink'));
+    const consent = Consent.granted('stats') ? '' : ` ${t('stats.noConsent')}`;
+    DOM.setText(this.els.status, message || `${t('stats.summary', { pending, sink })}${consent}`);
+  }
+};
+
+
+/* =========================================
+   4. CALCULATOR & QUIZ MODULES
+   ========================================= */
+
+const ROI = {
+  state: { context: 'ansiedad', plan: null },
+  planColors: ['#8B5CF6', '#F59E0B', '#10B981', '#0EA5E9'],
+  // Etiquetas de los controles y beneficio de cada contexto en roi.contexts.<modo>
+  get contexts() {
+    return t('roi.contexts');
+  },
+
+  init() {
+    this.els = {
+      section: DOM.get('roi-moderno'),
+      days: DOM.get('in-days'),
+      int: DOM.get('in-int'),
+      val: DOM.get('in-val'),
+      dispDays: DOM.get('dsp-days'),
+      dispInt: DOM.get('dsp-int'),
+      dispVal: DOM.get('dsp-val'),
+      lblDays: DOM.get('lbl-days'),
+      lblInt: DOM.get('lbl-int'),
+      resX: DOM.get('res-x'),
+      chart: DOM.get('chart-ring'),
+      interp: DOM.get('interp-text'),
+      breakdown: DOM.get('roi-breakdown-list'),
+      share: DOM.get('btn-roi-share'),
+      shareStatus: DOM.get('roi-share-status'),
+      months: DOM.get('in-months'),
+      dispMonths: DOM.get('dsp-months'),
+      plansChart: DOM.get('roi-plans-chart'),
+      plansList: DOM.get('roi-plans-list'),
+      cta: DOM.get('roi-cta')
+    };
+
+    this.renderPrices();
+    if (!this.els.days) return;
+
+    this.els.plansList?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-roi-plan]');
+      if (!btn) return;
+      this.state.plan = btn.dataset.roiPlan;
+      this.calculate();
+      this.writeHash();
+    });
+
+    [this.els.days, this.els.int, this.els.val, this.els.months].filter(Boolean).forEach(el => {
+      el?.addEventListener('input', () => {
+        this.calculate();
+        this.writeHash();
+      });
+    });
+
+    DOM.getAll('.feeder-chip').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.setMode(btn.dataset.mode);
+        this.writeHash();
+      });
+    });
+
+    this.els.share?.addEventListener('click', () => this.share());
+
+    if (!this.readHash()) this.calculate();
+  },
+
+  /** CONFIG.roi con los valores numéricos de data-roi-* de la sección (p. ej. data-roi-hourly-rate="250"). */
+  settings() {
+    const data = this.els.section?.dataset || {};
+    const out = { ...CONFIG.roi };
+    Object.keys(out).forEach(key => {
+      const attr = `roi${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+      if (data[attr] !== undefined) out[key] = Validators.decimal(data[attr], 0, 1e6, out[key]);
+    });
+    return out;
+  },
+
+  /** Los límites de cada control vienen de sus atributos min/max en el HTML. */
+  read(el) {
+    return Validators.number(el.value, Number(el.min), Number(el.max), Number(el.min));
+  },
+
+  setMode(mode) {
+    if (!this.contexts[mode]) return;
+    DOM.getAll('.feeder-chip').forEach(b => {
+      b.dataset.mode === mode ? DOM.addClass(b, 'active') : DOM.removeClass(b, 'active');
+    });
+
+    this.state.context = mode;
+    const data = this.contexts[mode];
+    const grid = DOM.get('calculatorGrid');
+
+    if (grid) grid.style.opacity = '0.6';
+    
+    setTimeout(() => {
+      DOM.setText(this.els.lblDays, data.lDays);
+      DOM.setText(this.els.lblInt, data.lInt);
+      if (grid) grid.style.opacity = '1';
+      this.calculate();
+    }, 200);
+  },
+
+  /**
+   * Cálculo puro a partir de las entradas, los supuestos y el costo mensual del plan elegido.
+   * Un día afectado cuesta al menos `baseImpact`; el resto de su valor pesa según la intensidad.
+   * @returns {{ factor: number, dailyCost: number, emotionalCost: number, recovered: number, therapyCost: number,
+   *   multiplier: number, shown: number, hours: number, capped: boolean, hoursRecovered: number }}
+   */
+  compute({ days, intensity, value }, cfg, therapyCost) {
+    const factor = intensity / 10;
+    const dailyCost = Math.round(cfg.baseImpact + Math.max(0, value - cfg.baseImpact) * factor);
+    const emotionalCost = days * dailyCost;
+    const recovered = Math.round(emotionalCost * cfg.benefitFactor);
+    const multiplier = therapyCost > 0 ? recovered / therapyCost : 0;
+    const rawHours = cfg.hourlyRate > 0 ? Math.round(emotionalCost / cfg.hourlyRate) : 0;
+    const hours = Math.min(cfg.maxHours, rawHours);
+    return {
+      factor,
+      dailyCost,
+      emotionalCost,
+      recovered,
+      therapyCost,
+      multiplier,
+      shown: Math.max(cfg.minMultiplier, Number(multiplier.toFixed(1))),
+      hours,
+      capped: rawHours > hours,
+      hoursRecovered: Math.round(hours * cfg.benefitFactor)
+    };
+  },
+
+  /** Los montos están en pesos mexicanos, así que se formatean igual en cualquier idioma. */
+  amount(n) {
+    return Math.round(n).toLocaleString('es-MX');
+  },
+
+  money(n) {
+    return `$${this.amount(n)}`;
+  },
+
+  /**
+   * El precio visible de cada tarjeta de Tarifas (y el ahorro de un paquete frente al plan de su
+   * data-compare) se recalcula desde data-price; el número escrito en el HTML queda como respaldo sin JS.
+   */
+  renderPrices() {
+    const price = (card) => Validators.decimal(card?.dataset.price, 0, 1e6);
+    DOM.getAll('.pricing-card[data-price] [data-price-amount]').forEach(el => {
+      DOM.setText(el, this.amount(price(el.closest('.pricing-card'))));
+    });
+    DOM.getAll('.pricing-card[data-compare] [data-price-savings]').forEach(el => {
+      const card = el.closest('.pricing-card');
+      const single = document.querySelector(`.pricing-card[data-plan="${Validators.safeId(card.dataset.compare)}"]`);
+      if (single) DOM.setText(el, this.amount(price(single) * Validators.number(card.dataset.sessions, 1, 52, 1) - price(card)));
+    });
+  },
+
+  calculate() {
+    const inputs = {
+      days: this.read(this.els.days),
+      intensity: this.read(this.els.int),
+      value: this.read(this.els.val)
+    };
+    const cfg = this.settings();
+    const plan = this.selected(cfg);
+    const r = this.compute(inputs, cfg, plan.monthly);
+    const multiplier = r.shown.toFixed(1);
+
+    DOM.setText(this.els.dispDays, t('roi.daysPerMonth', { count: inputs.days }));
+    DOM.setText(this.els.dispInt, t('roi.level', { level: inputs.intensity }));
+    DOM.setText(this.els.dispVal, this.money(inputs.value));
+
+    DOM.setText(this.els.resX, `${multiplier}x`);
+
+    const total = r.recovered + r.therapyCost;
+    const percent = total ? Math.min(95, Math.max(5, (r.recovered / total) * 100)) : 5;
+    if (this.els.chart) {
+      this.els.chart.style.background = `conic-gradient(#EF4444 0% ${percent}%, #10B981 ${percent}% 100%)`;
+    }
+
+    if (this.els.interp) {
+      this.els.interp.innerHTML = t('roi.interpretation', { multiplier, hours: r.hoursRecovered, benefit: this.contexts[this.state.context].benefit });
+    }
+
+    this.renderBreakdown(inputs, r, cfg, plan);
+    this.renderPlans(inputs, r, cfg);
+  },
+
+  /* --- Comparativa contra las tarifas de index.html --- */
+
+  /** Lee los planes de las tarjetas `.pricing-card[data-plan]`; el precio vive solo en el HTML. */
+  plans() {
+    return Array.from(DOM.getAll('.pricing-card[data-plan]')).map(card => ({
+      id: card.dataset.plan,
+      name: card.querySelector('h3')?.textContent.trim() || card.dataset.plan,
+      price: Validators.decimal(card.dataset.price, 0, 1e6),
+      sessions: Validators.number(card.dataset.sessions, 1, 52, 1),
+      once: card.dataset.once === 'true',
+      then: card.dataset.then || null,
+      featured: DOM.hasClass(card, 'highlight')
+    })).filter(p => p.price > 0);
+  },
+
+  /** Nombre del plan; uno de pago único se muestra junto con el que le sigue. */
+  planName(plan, byId) {
+    return plan.once && byId[plan.then] ? t('roi.plans.combo', { first: plan.name, then: byId[plan.then].name }) : plan.name;
+  },
+
+  /**
+   * Plan elegido (o el destacado) y lo que cuesta su primer mes: `cfg.weeks` sesiones, una por semana.
+   * @returns {{ name: string, monthly: number }}
+   */
+  selected(cfg) {
+    const list = this.plans();
+    const byId = Object.fromEntries(list.map(p => [p.id, p]));
+    if (!byId[this.state.plan]) this.state.plan = (list.find(p => p.featured) || list[0])?.id || null;
+    const plan = byId[this.state.plan];
+    if (!plan) return { name: '', monthly: 0 };
+    return { name: this.planName(plan, byId), monthly: this.payments(plan, byId, cfg.weeks).reduce((a, b) => a + b, 0) };
+  },
+
+  /**
+   * Pagos semanales de un plan (una sesión por semana). Un plan `once` se paga una vez
+   * y después continúa con el plan indicado en `then`.
+   */
+  payments(plan, byId, totalWeeks) {
+    const out = new Array(totalWeeks).fill(0);
+    let current = plan;
+    let left = 0;
+    for (let w = 0; w < totalWeeks; w++) {
+      if (left === 0) {
+        if (current.once && w > 0) {
+          current = byId[current.then];
+          if (!current) break;
+        }
+        out[w] = current.price;
+        left = current.sessions;
+      }
+      left--;
+    }
+    return out;
+  },
+
+  /**
+   * Costo acumulado semana a semana: el malestar recuperable (mensual, repartido por semana)
+   * frente a cada plan. El punto de equilibrio es la primera semana en que lo recuperado
+   * alcanza lo invertido en el plan.
+   */
+  compare(recovered, months, cfg = this.settings()) {
+    const totalWeeks = Math.max(1, Math.round(months * cfg.weeks));
+    const weekly = recovered / cfg.weeks;
+    const cumulative = (arr) => arr.reduce((acc, v, i) => [...acc, (acc[i - 1] || 0) + v], []);
+    const emotional = cumulative(new Array(totalWeeks).fill(weekly));
+
+    const list = this.plans();
+    const byId = Object.fromEntries(list.map(p => [p.id, p]));
+    const plans = list.map(plan => {
+      const cost = cumulative(this.payments(plan, byId, totalWeeks));
+      const idx = cost.findIndex((c, w) => emotional[w] >= c);
+      return {
+        ...plan,
+        name: this.planName(plan, byId),
+        cost,
+        total: cost[totalWeeks - 1],
+        balance: emotional[totalWeeks - 1] - cost[totalWeeks - 1],
+        breakEven: idx === -1 ? null : idx + 1
+      };
+    });
+    return { totalWeeks, emotional, plans };
+  },
+
+  renderPlans({ days, intensity }, r, cfg) {
+    if (!this.els.plansList) return;
+    const months = this.els.months ? this.read(this.els.months) : 1;
+    const monthsText = t('roi.months', { count: months });
+    DOM.setText(this.els.dispMonths, monthsText);
+
+    const data = this.compare(r.recovered, months, cfg);
+    this.renderPlansChart(data);
+
+    DOM.clear(this.els.plansList);
+    data.plans.forEach((plan, i) => {
+      const selected = plan.id === this.state.plan;
+      const when = plan.breakEven
+        ? t('roi.plans.breakEven', { week: plan.breakEven })
+        : t('roi.plans.noBreakEven');
+      const balance = `${plan.balance >= 0 ? '+' : '−'}${this.money(Math.abs(plan.balance))}`;
+      const btn = DOM.create('button', {
+        className: `roi-plan${selected ? ' active' : ''}`,
+        attrs: { type: 'button', role: 'radio', 'aria-checked': String(selected), 'data-roi-plan': plan.id },
+        children: [
+          DOM.create('strong', { text: plan.name }),
+          DOM.create('span', { text: t('roi.plans.invest', { total: this.money(plan.total), when }) }),
+          DOM.create('span', { className: 'roi-plan-balance', text: t('roi.plans.balance', { balance }) })
+        ]
+      });
+      btn.style.setProperty('--plan-color', this.planColors[i % this.planColors.length]);
+      this.els.plansList.appendChild(btn);
+    });
+
+    const chosen = data.plans.find(p => p.id === this.state.plan);
+    if (this.els.cta && chosen) {
+      const ctxLabel = DOM.get('roi-moderno')?.querySelector(`.feeder-chip[data-mode="${this.state.context}"]`)?.textContent.trim() || this.state.context;
+      const text = [
+        t('roi.cta.intro'),
+        t('roi.cta.context', { context: ctxLabel, days, intensity }),
+        t('roi.cta.cost', { cost: this.money(r.emotionalCost), multiplier: r.shown.toFixed(1) }),
+        t(chosen.breakEven ? 'roi.cta.planBreakEven' : 'roi.cta.plan', { plan: chosen.name, months: monthsText, total: this.money(chosen.total), week: chosen.breakEven }),
+        t('roi.cta.close')
+      ].join(' ');
+      this.els.cta.href = `https://wa.me/5214491996086?text=${encodeURIComponent(text)}`;
+    }
+  },
+
+  renderPlansChart({ totalWeeks, emotional, plans }) {
+    const box = this.els.plansChart;
+    if (!box) return;
+    const NS = 'http://www.w3.org/2000/svg';
+    const svgEl = (tag, attrs) => {
+      const el = document.createElementNS(NS, tag);
+      Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+      return el;
+    };
+
+    const w = 320, h = 160, pad = 14;
+    const max = Math.max(1, emotional[totalWeeks - 1], ...plans.map(p => p.total));
+    const x = (i) => pad + (totalWeeks > 1 ? (i / (totalWeeks - 1)) * (w - pad * 2) : (w - pad * 2) / 2);
+    const y = (v) => h - pad - (v / max) * (h - pad * 2);
+    const line = (series, attrs) => svgEl('polyline', { points: series.map((v, i) => `${x(i)},${y(v)}`).join(' '), fill: 'none', 'stroke-width': 2.5, ...attrs });
+
+    const svg = svgEl('svg', {
+      viewBox: `0 0 ${w} ${h}`, class: 'roi-plans-svg', role: 'img',
+      'aria-label': t('roi.plans.chartLabel', {
+        weeks: totalWeeks,
+        recovered: this.money(emotional[totalWeeks - 1]),
+        plans: plans.map(p => `${p.name} ${this.money(p.total)}`).join(', ')
+      })
+    });
+    svg.appendChild(svgEl('line', { x1: pad, x2: w - pad, y1: h - pad, y2: h - pad, class: 'roi-plans-axis' }));
+    svg.appendChild(line(emotional, { stroke: '#EF4444', 'stroke-dasharray': '5 4' }));
+
+    plans.forEach((plan, i) => {
+      const color = this.planColors[i % this.planColors.length];
+      svg.appendChild(line(plan.cost, { stroke: color, 'stroke-width': plan.id === this.state.plan ? 3.5 : 2, opacity: plan.id === this.state.plan ? 1 : 0.6 }));
+      if (plan.breakEven) {
+        const wIdx = plan.breakEven - 1;
+        const dot = svgEl('circle', { cx: x(wIdx), cy: y(plan.cost[wIdx]), r: 4.5, fill: color, stroke: '#FFFFFF', 'stroke-width': 1.5 });
+        const title = svgEl('title', {});
+        title.textContent = t('roi.plans.dot', { plan: plan.name, week: plan.breakEven });
+        dot.appendChild(title);
+        svg.appendChild(dot);
+      }
+    });
+
+    DOM.clear(box);
+    box.appendChild(svg);
+    box.appendChild(DOM.create('p', { className: 'roi-plans-legend', text: t('roi.plans.legend') }));
+  },
+
+  renderBreakdown({ days, intensity, value }, r, cfg, plan) {
+    const list = this.els.breakdown;
+    if (!list) return;
+    const percent = Math.round(cfg.benefitFactor * 100);
+    const values = {
+      days: t('roi.days', { count: days }),
+      intensity,
+      value: this.money(value),
+      base: this.money(cfg.baseImpact),
+      daily: this.money(r.dailyCost),
+      cost: this.money(r.emotionalCost),
+      percent,
+      recovered: this.money(r.recovered),
+      plan: plan.name,
+      weeks: cfg.weeks,
+      therapy: this.money(r.therapyCost),
+      multiplier: r.multiplier.toFixed(1),
+      rate: this.money(cfg.hourlyRate),
+      hours: r.hours,
+      hoursRecovered: r.hoursRecovered
+    };
+    const floorNote = r.shown > Number(r.multiplier.toFixed(1)) ? t('roi.breakdown.floor', { min: cfg.minMultiplier }) : '';
+    const capNote = r.capped ? t('roi.breakdown.cap', { max: cfg.maxHours }) : '';
+    const notes = { return: floorNote, hours: capNote };
+    DOM.clear(list);
+    ['day', 'cost', 'recovered', 'therapy', 'return', 'hours'].forEach(key => {
+      list.appendChild(DOM.create('li', {
+        children: [
+          DOM.create('strong', { text: `${t(`roi.breakdown.${key}.title`)}: ` }),
+          DOM.create('span', { text: t(`roi.breakdown.${key}.text`, values) + (notes[key] || '') })
+        ]
+      }));
+    });
+  },
+
+  /* --- Enlace compartible: #roi:ctx=ansiedad&d=12&i=7&v=500&m=3&p=paquete --- */
+  hashPrefix: '#roi:',
+
+  toHash() {
+    const params = new URLSearchParams({
+      ctx: this.state.context,
+      d: this.read(this.els.days),
+      i: this.read(this.els.int),
+      v: this.read(this.els.val)
+    });
+    if (this.els.months) params.set('m', this.read(this.els.months));
+    if (this.state.plan) params.set('p', this.state.plan);
+    return `${this.hashPrefix}${params}`;
+  },
+
+  writeHash() {
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${this.toHash()}`);
+  },
+
+  /** Restaura entradas y contexto desde el hash; devuelve false si no hay nada que restaurar. */
+  readHash() {
+    const hash = window.location.hash;
+    if (!hash.startsWith(this.hashPrefix)) return false;
+    const params = new URLSearchParams(hash.slice(this.hashPrefix.length));
+
+    [['d', this.els.days], ['i', this.els.int], ['v', this.els.val], ['m', this.els.months]].forEach(([key, el]) => {
+      if (el && params.has(key)) el.value = Validators.number(params.get(key), Number(el.min), Number(el.max), Number(el.value));
+    });
+    if (this.plans().some(p => p.id === params.get('p'))) this.state.plan = params.get('p');
+    const ctx = params.get('ctx');
+    if (this.contexts[ctx]) this.setMode(ctx);
+    else this.calculate();
+
+    this.els.section?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  },
+
+  share() {
+    this.writeHash();
+    const url = window.location.href;
+    const done = (msg) => DOM.setText(this.els.shareStatus, msg);
+    if (navigator.share) {
+      navigator.share({ title: t('roi.share.title'), url }).catch(() => {});
+    } else if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(() => done(t('roi.share.copied')), () => done(url));
+    } else {
+      done(url);
+    }
+  }
+};
+
+
+/* =========================================
+   5. WELLNESS TOOLS (QUIZ, JAR, EMOTIONS)
+   ========================================= */
+
+const Tools = {
+  init() {
+    this.setupToggles();
+  },
+
+  setupToggles() {
+    [['btn-text-quiz', 'content-quiz'], ['btn-text-load', 'content-load'], ['btn-text-screeners', 'content-screeners'], ['btn-text-safety-plan', 'content-safety-plan']].forEach(([btnId, contentId]) => {
+      const btn = DOM.get(btnId),
+        content = DOM.get(contentId);
+      if (btn && content) {
+        const label = btn.textContent;
+        btn.addEventListener('click', () => {
+          const isActive = DOM.toggleClass(content, 'active');
+          DOM.setText(btn, isActive ? t('common.closeTool') : label);
+          DOM.setAttr(btn, 'aria-expanded', isActive);
+        });
+      }
+    });
+  },
+
+  /**
+   * PHQ-4 = GAD-2 (ítems 1-2) + PHQ-2 (ítems 3-4). Cada subescala es positiva con ≥3 puntos.
+   */
+  scorePHQ4(scores) {
+    const items = [1, 2, 3, 4].map(q => Validators.number(scores[q], 0, 3));
+    const anxiety = items[0] + items[1];
+    const depression = items[2] + items[3];
+    const cutoff = 3;
+
+    let driver = 'none';
+    if (anxiety >= cutoff && depression >= cutoff) driver = 'mixed';
+    else if (anxiety >= cutoff) driver = 'anxiety';
+    else if (depression >= cutoff) driver = 'depression';
+
+    return {
+      items,
+      total: anxiety + depression,
+      anxiety,
+      depression,
+      gad2Positive: anxiety >= cutoff,
+      phq2Positive: depression >= cutoff,
+      driver
+    };
+  },
+
+  calculatePHQ4(scores, container) {
+    const result = this.scorePHQ4(scores);
+    const { total, anxiety, depression, driver } = result;
+    const btnStyle = 'margin-top:10px; font-size:0.9rem; width:100%; display:block; text-decoration:none;';
+    const waLink = (text, label, cls) => `<a href="https://wa.me/5214491996086?text=${encodeURIComponent(text)}" target="_blank" rel="noopener noreferrer" class="btn-tool ${cls}" style="${btnStyle}">${label}</a>`;
+    let band = '', color = '';
+
+    if (total <= 2) {
+      band = 'normal';
+      color = "#10B981";
+    } else if (total <= 5) {
+      band = 'mild';
+      color = "#F59E0B";
+    } else if (total <= 8) {
+      band = 'moderate';
+      color = "#F97316";
+    } else {
+      band = 'severe';
+      color = "#EF4444";
+    }
+    const level = t(`phq4.levels.${band}`);
+
+    const cta = (key) => t(`questionnaires.cta.${key}`);
+    const summary = { total, anxiety, depression };
+    let ctaHtml = '';
+    if (total >= 9 || (driver === 'mixed' && total >= 6)) {
+      ctaHtml = waLink(t('phq4.whatsapp.priority', summary), cta('priority'), 'btn-purple');
+    } else if (driver === 'anxiety') {
+      ctaHtml = `<button type="button" class="btn-tool btn-orange" data-action="start-breathing-calm" style="${btnStyle}">${cta('breathing')}</button>
+             <button type="button" class="btn-tool btn-green" data-action="start-grounding-direct" style="${btnStyle}">${cta('grounding')}</button>`;
+    } else if (driver === 'depression') {
+      ctaHtml = total >= 6
+        ? waLink(t('phq4.whatsapp.depression', summary), cta('pro'), 'btn-orange')
+        : `<a href="#jar-display" class="btn-tool btn-green" style="${btnStyle}">${t('phq4.cta.jarStart')}</a>`;
+    } else if (driver === 'mixed') {
+      ctaHtml = waLink(t('phq4.whatsapp.mixed', summary), cta('pro'), 'btn-orange');
+    } else if (total <= 2) {
+      ctaHtml = `<a href="#jar-display" class="btn-tool btn-green" style="${btnStyle}">${cta('jar')}</a>`;
+    } else {
+      ctaHtml = `<button type="button" class="btn-tool btn-orange" data-action="start-bodyscan-direct" style="${btnStyle}">${cta('bodyscan')}</button>`;
+    }
+
+    const subscale = (name, value, positive) => `
+            <div class="phq4-subscale">
+              <div class="phq4-subscale-row"><span>${name}</span><strong>${value}/6${positive ? t('phq4.positive') : ''}</strong></div>
+              <div class="progress-container phq4-subscale-track"><div class="progress-bar-fill" style="width:${(value / 6) * 100}%; background:${positive ? '#F97316' : '#10B981'};"></div></div>
+            </div>`;
+
+    container.style.display = 'block';
+    container.style.borderLeft = `5px solid ${color}`;
+    container.innerHTML = `
+            <div style="margin-bottom:5px; font-size:0.85rem; text-transform:uppercase; color:#6B7280; font-weight:700;">${t('phq4.score', { total })}</div>
+            <h4 style="color:${color}; margin-bottom:0.5rem; font-size:1.2rem;">${level}</h4>
+            ${subscale(t('phq4.anxiety'), anxiety, result.gad2Positive)}
+            ${subscale(t('phq4.mood'), depression, result.phq2Positive)}
+            <p style="font-size:0.95rem; line-height:1.5; margin:1rem 0;">${t(`phq4.drivers.${driver}`)}</p>
+            ${ctaHtml}
+        `;
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    return { ...result, band };
+  },
+};
+
+/**
+ * Medidor de carga mental. Cada factor tiene un peso (1 a 3) y el nivel sale del porcentaje
+ * del peso total marcado, así agregar factores no rompe los umbrales. La selección, los
+ * factores propios y las fotos fechadas se guardan en este dispositivo.
+ */
+const LoadMeter = {
+  maxCustom: 10,
+  maxSnapshots: 52,
+  // Factores base; el texto está en load.items.<id>
+  defaults: [
+    { id: 'work', weight: 3 },
+    { id: 'money', weight: 3 },
+    { id: 'health', weight: 3 },
+    { id: 'family', weight: 2 },
+    { id: 'future', weight: 2 },
+    { id: 'self', weight: 2 }
+  ],
+  // Umbral mínimo (% del peso total) de cada nivel; nombre y consejo en load.levels
+  levels: [
+    { min: 0, color: '#10B981' },
+    { min: 15, color: '#10B981' },
+    { min: 30, color: '#F59E0B' },
+    { min: 50, color: '#F97316' },
+    { min: 65, color: '#EF4444' },
+    { min: 80, color: '#EF4444' }
+  ],
+  els: {},
+
+  init() {
+    this.els = {
+      list: DOM.get('load-checklist'),
+      bar: DOM.get('load-bar'),
+      text: DOM.get('load-text'),
+      advice: DOM.get('load-advice'),
+      form: DOM.get('load-custom-form'),
+      label: DOM.get('load-custom-label'),
+      weight: DOM.get('load-custom-weight'),
+      snapshot: DOM.get('btn-load-snapshot'),
+      compare: DOM.get('load-compare'),
+      history: DOM.get('load-history'),
+      status: DOM.get('load-status')
+    };
+    if (!this.els.list) return;
+
+    this.els.list.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-load-remove]');
+      if (remove) return this.removeCustom(remove.dataset.loadRemove);
+      const item = e.target.closest('.check-item');
+      if (item) this.toggle(item.dataset.load);
+    });
+
+    this.els.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.addCustom(this.els.label.value, this.els.weight?.value)) this.els.label.value = '';
+    });
+
+    this.els.snapshot?.addEventListener('click', () => this.saveSnapshot());
+
+    Vault.onChange(() => this.render());
+    this.render();
+  },
+
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.load) || {};
+    const custom = Array.isArray(data.custom)
+      ? data.custom
+        .filter(c => c && typeof c.id === 'string' && typeof c.label === 'string' && c.label.trim())
+        .map(c => ({ id: c.id, label: c.label, weight: this.clampWeight(c.weight) }))
+      : [];
+    const ids = new Set([...this.defaults.map(d => d.id), ...custom.map(c => c.id)]);
+    return {
+      custom,
+      checked: Array.isArray(data.checked) ? data.checked.filter(id => ids.has(id)) : [],
+      snapshots: Array.isArray(data.snapshots) ? data.snapshots.filter(s => s && typeof s.ts === 'number' && typeof s.percent === 'number') : []
+    };
+  },
+
+  /** @returns {boolean} false si el cambio se descartó (datos bloqueados); el aviso queda en #load-status */
+  save(state) {
+    const key = CONFIG.storageKeys.load;
+    return Storage.report(key, Storage.set(key, state), this.els.status);
+  },
+
+  clampWeight(value) {
+    return Math.min(3, Math.max(1, Math.round(Number(value)) || 2));
+  },
+
+  items(state) {
+    return [
+      ...this.defaults.map(d => ({ ...d, label: t(`load.items.${d.id}`), custom: false })),
+      ...state.custom.map(c => ({ ...c, custom: true }))
+    ];
+  },
+
+  /** @returns {{ percent: number, level: number }} */
+  score(state) {
+    const items = this.items(state);
+    const total = items.reduce((sum, i) => sum + i.weight, 0);
+    const marked = items.filter(i => state.checked.includes(i.id)).reduce((sum, i) => sum + i.weight, 0);
+    const percent = total ? Math.round((marked / total) * 100) : 0;
+    return { percent, level: this.levelFor(percent) };
+  },
+
+  levelFor(percent) {
+    return this.levels.reduce((found, level, i) => (percent >= level.min ? i : found), 0);
+  },
+
+  toggle(id) {
+    const state = this.load();
+    state.checked = state.checked.includes(id) ? state.checked.filter(c => c !== id) : [...state.checked, id];
+    this.save(state);
+    this.render();
+  },
+
+  addCustom(value, weight) {
+    const label = String(value || '').trim().slice(0, 40);
+    if (!label) return false;
+    const state = this.load();
+    if (state.custom.length >= this.maxCustom) return false;
+    const id = `c${Date.now().toString(36)}`;
+    state.custom.push({ id, label, weight: this.clampWeight(weight) });
+    // Quien lo agrega es porque le pesa: entra marcado
+    state.checked.push(id);
+    if (!this.save(state)) return false;
+    this.render();
+    return true;
+  },
+
+  removeCustom(id) {
+    const state = this.load();
+    state.custom = state.custom.filter(c => c.id !== id);
+    state.checked = state.checked.filter(c => c !== id);
+    this.save(state);
+    this.render();
+  },
+
+  /** Una foto por día: guardar de nuevo el mismo día reemplaza la anterior. */
+  saveSnapshot() {
+    const state = this.load();
+    const { percent } = this.score(state);
+    const today = ActivityLog.dayKey(Date.now());
+    const items = this.items(state).filter(i => state.checked.includes(i.id)).map(i => i.label);
+    state.snapshots = state.snapshots.filter(s => ActivityLog.dayKey(s.ts) !== today);
+    state.snapshots.push({ ts: Date.now(), percent, items });
+    state.snapshots = state.snapshots.slice(-this.maxSnapshots);
+    if (this.save(state)) this.renderSnapshots(state);
+  },
+
+  render() {
+    const state = this.load();
+    const weightText = (w) => '●'.repeat(w) + '○'.repeat(3 - w);
+
+    DOM.clear(this.els.list);
+    this.items(state).forEach(item => {
+      const active = state.checked.includes(item.id);
+      this.els.list.appendChild(DOM.create('div', {
+        className: 'check-row',
+        children: [
+          DOM.create('button', {
+            className: `check-item${active ? ' active' : ''}`,
+            attrs: { type: 'button', 'data-load': item.id, 'aria-pressed': String(active) },
+            children: [
+              DOM.create('div', { className: 'check-box-custom' }),
+              DOM.create('span', { className: 'check-label', text: item.label }),
+              DOM.create('span', { className: 'check-weight', text: weightText(item.weight), attrs: { title: t('load.weight', { count: item.weight }), 'aria-label': t('load.weight', { count: item.weight }) } })
+            ]
+          }),
+          item.custom
+            ? DOM.create('button', { className: 'check-remove', text: '✕', attrs: { type: 'button', 'data-load-remove': item.id, 'aria-label': t('load.remove', { label: item.label }) } })
+            : null
+        ]
+      }));
+    });
+
+    const { percent, level } = this.score(state);
+    const { color } = this.levels[level];
+    const data = t('load.levels')[level];
+    if (this.els.bar) DOM.setStyle(this.els.bar, { width: `${percent}%`, background: color });
+    if (this.els.text) {
+      DOM.setText(this.els.text, `${data.label} · ${percent}%`);
+      this.els.text.style.color = color;
+    }
+    if (this.els.advice) {
+      if (state.checked.length) this.els.advice.innerHTML = data.advice;
+      else DOM.setText(this.els.advice, t('load.empty'));
+    }
+    if (this.els.form) this.els.form.hidden = state.custom.length >= this.maxCustom;
+
+    this.renderSnapshots(state);
+  },
+
+  /** Compara la foto más reciente de esta semana con la de la semana pasada (semanas de lunes a domingo). */
+  renderSnapshots(state) {
+    if (this.els.compare) {
+      const now = new Date();
+      const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7)).getTime();
+      const lastMonday = monday - 7 * 86400000;
+      const current = [...state.snapshots].reverse().find(s => s.ts >= monday);
+      const previous = [...state.snapshots].reverse().find(s => s.ts >= lastMonday && s.ts < monday);
+
+      if (!current && !previous) DOM.setText(this.els.compare, t('load.snapshots.none'));
+      else if (!previous) DOM.setText(this.els.compare, t('load.snapshots.onlyCurrent', { percent: current.percent }));
+      else if (!current) DOM.setText(this.els.compare, t('load.snapshots.onlyPrevious', { percent: previous.percent }));
+      else {
+        const diff = current.percent - previous.percent;
+        const key = diff > 0 ? 'up' : diff < 0 ? 'down' : 'same';
+        DOM.setText(this.els.compare, t(`load.snapshots.${key}`, { current: current.percent, previous: previous.percent, diff: Math.abs(diff) }));
+      }
+    }
+
+    if (!this.els.history) return;
+    DOM.clear(this.els.history);
+    const levels = t('load.levels');
+    state.snapshots.slice(-8).reverse().forEach(s => {
+      const date = new Date(s.ts).toLocaleDateString(I18N.intl, { weekday: 'short', day: 'numeric', month: 'short' });
+      const level = levels[this.levelFor(s.percent)];
+      this.els.history.appendChild(DOM.create('li', {
+        attrs: Array.isArray(s.items) && s.items.length ? { title: s.items.join(', ') } : {},
+        children: [
+          DOM.create('span', { text: date }),
+          DOM.create('strong', { text: `${s.percent}% · ${level.label}`, style: { color: this.levels[this.levelFor(s.percent)].color } })
+        ]
+      }));
+    });
+  }
+};
+
+/**
+ * Motor de cuestionarios declarativos. Cada definición describe sus ítems, opciones,
+ * ítems inversos, bandas de puntaje con sus CTAs y, opcionalmente, una regla de seguridad.
+ * Los textos salen de `questionnaires.*` en el idioma activo; aquí quedan los puntajes y colores.
+ */
+const Questionnaires = {
+  get definitions() {
+    const scale = (key) => t(`questionnaires.scales.${key}`).map((label, value) => ({ label, value }));
+    const freq2w = scale('freq2w');
+    const cta = (key, props) => ({ label: t(`questionnaires.cta.${key}`), ...props });
+    const wa = (name, key = 'result') => t(`questionnaires.whatsapp.${key}`, { name });
+    // Une los textos de cada banda (nivel y consejo) con su tope, color y CTAs
+    const bands = (id, specs) => specs.map((band, i) => ({ ...t(`questionnaires.${id}.bands`)[i], ...band }));
+
+    return {
+      phq4: {
+        name: 'PHQ-4',
+        prompt: t('questionnaires.prompt2w'),
+        options: freq2w,
+        items: t('questionnaires.phq4.items'),
+        // El PHQ-4 tiene tarjeta propia (subescalas GAD-2/PHQ-2) e historial
+        onResult(answers, box, session) {
+          const { band } = Tools.calculatePHQ4(answers, box);
+          // Corregir una respuesta actualiza el registro de esta sesión en lugar de duplicarlo
+          if (!session.recordTs) Analytics.emit(`phq4.result:${band}`);
+          session.recordTs = QuizHistory.save(answers, session.recordTs);
+        }
+      },
+
+      gad7: {
+        name: 'GAD-7',
+        title: t('questionnaires.gad7.title'),
+        prompt: t('questionnaires.prompt2w'),
+        options: freq2w,
+        items: t('questionnaires.gad7.items'),
+        bands: bands('gad7', [
+          { max: 4, color: '#10B981', ctas: [cta('jar', { cls: 'btn-green', href: '#jar-display' })] },
+          { max: 9, color: '#F59E0B', ctas: [cta('breathing', { cls: 'btn-orange', action: 'start-breathing-calm' })] },
+          { max: 14, color: '#F97316',
+            ctas: [
+              cta('grounding', { cls: 'btn-green', action: 'start-grounding-direct' }),
+              cta('pro', { cls: 'btn-orange', whatsapp: wa('GAD-7') })
+            ] },
+          { max: 21, color: '#EF4444', ctas: [cta('priority', { cls: 'btn-purple', whatsapp: wa('GAD-7', 'priority') })] }
+        ])
+      },
+
+      phq9: {
+        name: 'PHQ-9',
+        title: t('questionnaires.phq9.title'),
+        prompt: t('questionnaires.prompt2w'),
+        options: freq2w,
+        items: t('questionnaires.phq9.items'),
+        // Cualquier respuesta distinta de "Nunca" en el ítem 9 abre el flujo SOS antes del resultado
+        safety: {
+          item: 9,
+          min: 1,
+          screen: 'sos-screen-suicide-validation',
+          message: t('questionnaires.phq9.safety')
+        },
+        bands: bands('phq9', [
+          { max: 4, color: '#10B981', ctas: [cta('jar', { cls: 'btn-green', href: '#jar-display' })] },
+          { max: 9, color: '#F59E0B', ctas: [cta('emotions', { cls: 'btn-orange', href: '#bubbles-container' })] },
+          { max: 14, color: '#F97316', ctas: [cta('pro', { cls: 'btn-orange', whatsapp: wa('PHQ-9') })] },
+          { max: 19, color: '#EF4444', ctas: [cta('priority', { cls: 'btn-purple', whatsapp: wa('PHQ-9', 'priority') })] },
+          { max: 27, color: '#B91C1C', ctas: [cta('priority', { cls: 'btn-purple', whatsapp: wa('PHQ-9', 'priority') })] }
+        ])
+      },
+
+      pss10: {
+        name: 'PSS-10',
+        title: t('questionnaires.pss10.title'),
+        prompt: t('questionnaires.pss10.prompt'),
+        options: scale('freq1m'),
+        items: t('questionnaires.pss10.items'),
+        reverse: [4, 5, 7, 8],
+        bands: bands('pss10', [
+          { max: 13, color: '#10B981', ctas: [cta('balance', { cls: 'btn-green', href: '#respiracion-v2' })] },
+          { max: 26, color: '#F97316', ctas: [cta('bodyscan', { cls: 'btn-orange', action: 'start-bodyscan-direct' })] },
+          { max: 40, color: '#EF4444', ctas: [cta('pro', { cls: 'btn-purple', whatsapp: wa('PSS-10') })] }
+        ])
+      }
+    };
+  },
+
+  init() {
+    DOM.getAll('[data-questionnaire]').forEach(container => {
+      this.mount(container, container.dataset.questionnaire);
+    });
+
+    DOM.getAll('[data-questionnaire-select]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = DOM.get(btn.dataset.target);
+        if (!target) return;
+        DOM.getAll(`[data-questionnaire-select][data-target="${btn.dataset.target}"]`).forEach(b => {
+          DOM.removeClass(b, 'active');
+          DOM.setAttr(b, 'aria-pressed', 'false');
+        });
+        DOM.addClass(btn, 'active');
+        DOM.setAttr(btn, 'aria-pressed', 'true');
+        this.mount(target, btn.dataset.questionnaireSelect);
+      });
+    });
+  },
+
+  mount(container, id) {
+    const def = this.definitions[id];
+    if (!def) return;
+
+    const resultBox = DOM.get(container.dataset.result);
+    const answers = {};
+    const session = {};
+    const maxOption = Math.max(...def.options.map(o => o.value));
+    const minOption = Math.min(...def.options.map(o => o.value));
+
+    DOM.clear(container);
+    if (resultBox) {
+      DOM.clear(resultBox);
+      resultBox.style.display = 'none';
+    }
+
+    if (def.title) container.appendChild(DOM.create('h4', { className: 'questionnaire-title', text: `${def.title} (${def.name})` }));
+    container.appendChild(DOM.create('p', { className: 'questionnaire-prompt', text: def.prompt }));
+
+    def.items.forEach((text, i) => {
+      const q = i + 1;
+      const group = DOM.create('div', {
+        className: 'quiz-options-group',
+        attrs: { 'data-q': q, 'data-options': def.options.length, role: 'group', 'aria-label': text },
+        children: def.options.map(opt => DOM.create('button', {
+          className: 'option-btn',
+          text: opt.label,
+          attrs: { type: 'button', 'data-val': opt.value }
+        }))
+      });
+
+      group.addEventListener('click', (e) => {
+        const btn = e.target.closest('.option-btn');
+        if (!btn) return;
+        group.querySelectorAll('.option-btn').forEach(b => DOM.removeClass(b, 'selected'));
+        DOM.addClass(btn, 'selected');
+
+        answers[Validators.number(group.dataset.q, 1, def.items.length)] = Validators.number(btn.dataset.val, minOption, maxOption);
+
+        // La ruta de seguridad no espera al resultado: basta con contestar el ítem que la dispara
+        if (Object.keys(answers).length === def.items.length) this.complete(def, answers, resultBox, session);
+        else this.checkSafety(def, answers, resultBox, session);
+      });
+
+      container.appendChild(DOM.create('div', {
+        className: 'quiz-item',
+        children: [DOM.create('span', { className: 'quiz-label', text: `${q}. ${text}` }), group]
+      }));
+    });
+  },
+
+  score(def, answers) {
+    const maxOption = Math.max(...def.options.map(o => o.value));
+    const reverse = def.reverse || [];
+    const total = def.items.reduce((sum, _, i) => {
+      const q = i + 1;
+      const val = answers[q] ?? 0;
+      return sum + (reverse.includes(q) ? maxOption - val : val);
+    }, 0);
+    const band = (def.bands || []).find(b => total <= b.max) || null;
+
+    return { total, max: def.items.length * maxOption, band };
+  },
+
+  complete(def, answers, box, session) {
+    if (!box) return;
+    if (def.onResult) return def.onResult(answers, box, session);
+
+    const result = this.score(def, answers);
+    const safety = this.safetyHit(def, answers);
+    const { band } = result;
+    if (!band) return;
+
+    const fill = (text) => text.replace(/\{(\w+)\}/g, (_, k) => (k === 'level' ? band.level : result[k] ?? ''));
+
+    DOM.clear(box);
+    box.style.display = 'block';
+    box.style.borderLeft = `5px solid ${safety ? '#DC2626' : band.color}`;
+
+    if (safety) box.appendChild(this.safetyPrompt(def));
+
+    box.appendChild(DOM.create('div', { className: 'questionnaire-score', text: t('questionnaires.score', { name: def.name, total: result.total, max: result.max }) }));
+    box.appendChild(DOM.create('h4', { text: band.level, style: { color: band.color, marginBottom: '0.5rem', fontSize: '1.2rem' } }));
+    box.appendChild(DOM.create('p', { className: 'questionnaire-advice', text: band.advice }));
+    band.ctas.forEach(cta => box.appendChild(this.renderCta(cta, fill)));
+
+    if (safety && !session.safetyShown) this.openSafety(def, session);
+    else box.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  },
+
+  safetyHit(def, answers) {
+    return !!def.safety && (answers[def.safety.item] ?? 0) >= def.safety.min;
+  },
+
+  /** Con el cuestionario a medias: muestra el aviso y abre el SOS en cuanto el ítem cruza el umbral. */
+  checkSafety(def, answers, box, session) {
+    if (!box || session.safetyShown || !this.safetyHit(def, answers)) return;
+    DOM.clear(box);
+    box.style.display = 'block';
+    box.style.borderLeft = '5px solid #DC2626';
+    box.appendChild(this.safetyPrompt(def));
+    this.openSafety(def, session);
+  },
+
+  /** Una sola vez por sesión del cuestionario; el aviso con el botón sigue visible después. */
+  openSafety(def, session) {
+    session.safetyShown = true;
+    if (typeof SOS !== 'undefined') SOS.open(def.safety.screen);
+  },
+
+  safetyPrompt(def) {
+    return DOM.create('div', {
+      className: 'questionnaire-safety',
+      children: [
+        DOM.create('strong', { text: t('questionnaires.safety.title') }),
+        DOM.create('p', { text: def.safety.message }),
+        DOM.create('button', {
+          className: 'btn-tool btn-purple questionnaire-cta',
+          text: t('questionnaires.safety.open'),
+          attrs: { type: 'button', 'data-action': 'open-sos-safety', 'data-sos-screen': def.safety.screen }
+        })
+      ]
+    });
+  },
+
+  renderCta(cta, fill) {
+    const className = `btn-tool ${cta.cls} questionnaire-cta`;
+    if (cta.action) {
+      return DOM.create('button', { className, text: cta.label, attrs: { type: 'button', 'data-action': cta.action } });
+    }
+    const href = cta.whatsapp
+      ? `https://wa.me/5214491996086?text=${encodeURIComponent(fill(cta.whatsapp))}`
+      : cta.href;
+    const attrs = { href };
+    if (cta.whatsapp) Object.assign(attrs, { target: '_blank', rel: 'noopener noreferrer' });
+    return DOM.create('a', { className, text: cta.label, attrs });
+  }
+};
+
+const QuizHistory = {
+  maxEntries: 100,
+  els: {},
+
+  init() {
+    this.els = {
+      panel: DOM.get('phq4-history'),
+      chart: DOM.get('phq4-history-chart'),
+      delta: DOM.get('phq4-history-delta'),
+      count: DOM.get('phq4-history-count'),
+      csv: DOM.get('btn-phq4-export-csv'),
+      json: DOM.get('btn-phq4-export-json'),
+      status: DOM.get('phq4-history-status')
+    };
+    if (!this.els.panel) return;
+
+    this.els.csv?.addEventListener('click', () => this.exportCSV());
+    this.els.json?.addEventListener('click', () => this.exportJSON());
+    Vault.onChange(() => this.render());
+    this.render();
+  },
+
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.quiz);
+    return Array.isArray(data) ? data.filter(e => e && typeof e.ts === 'number') : [];
+  },
+
+  save(scores, ts = null) {
+    const { items, total, anxiety, depression } = Tools.scorePHQ4(scores);
+    const entry = { ts: ts || Date.now(), items, total, anxiety, depression };
+
+    const history = this.load().filter(e => e.ts !== entry.ts);
+    history.push(entry);
+    history.sort((a, b) => a.ts - b.ts);
+    const key = CONFIG.storageKeys.quiz;
+    Storage.report(key, Storage.set(key, history.slice(-this.maxEntries)), this.els.status);
+
+    this.render();
+    return entry.ts;
+  },
+
+  formatDate(ts) {
+    return new Date(ts).toLocaleDateString(I18N.intl, { day: '2-digit', month: 'short' });
+  },
+
+  render() {
+    if (!this.els.panel) return;
+    const history = this.load();
+
+    if (!history.length) {
+      DOM.setStyle(this.els.panel, { display: 'none' });
+      return;
+    }
+    DOM.setStyle(this.els.panel, { display: 'block' });
+    DOM.setText(this.els.count, t('quizHistory.records', { count: history.length }));
+
+    this.renderDelta(history);
+    this.renderChart(history);
+  },
+
+  renderDelta(history) {
+    if (!this.els.delta) return;
+    if (history.length < 2) {
+      DOM.setText(this.els.delta, t('quizHistory.first'));
+      this.els.delta.style.color = '#6B7280';
+      return;
+    }
+
+    const last = history[history.length - 1];
+    const prev = history[history.length - 2];
+    const diff = last.total - prev.total;
+    const since = t('quizHistory.since', { date: this.formatDate(prev.ts) });
+
+    if (diff === 0) {
+      DOM.setText(this.els.delta, t('quizHistory.same', { since }));
+      this.els.delta.style.color = '#6B7280';
+    } else if (diff > 0) {
+      DOM.setText(this.els.delta, t('quizHistory.up', { diff, since }));
+      this.els.delta.style.color = '#EF4444';
+    } else {
+      DOM.setText(this.els.delta, t('quizHistory.down', { diff, since }));
+      this.els.delta.style.color = '#10B981';
+    }
+  },
+
+  renderChart(history) {
+    if (!this.els.chart) return;
+    const NS = 'http://www.w3.org/2000/svg';
+    const svgEl = (tag, attrs) => {
+      const el = document.createElementNS(NS, tag);
+      Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+      return el;
+    };
+
+    const w = 300, h = 120, pad = 12, max = 12;
+    const points = history.slice(-12);
+    const step = points.length > 1 ? (w - pad * 2) / (points.length - 1) : 0;
+    const x = (i) => points.length > 1 ? pad + i * step : w / 2;
+    const y = (v) => h - pad - (v / max) * (h - pad * 2);
+
+    const svg = svgEl('svg', { viewBox: `0 0 ${w} ${h}`, class: 'quiz-history-svg', role: 'img',
+      'aria-label': t('quizHistory.chart', { values: points.map(p => p.total).join(', ') }) });
+
+    // Líneas de corte de las bandas (leve, moderada, severa)
+    [3, 6, 9].forEach(v => svg.appendChild(svgEl('line', { x1: pad, x2: w - pad, y1: y(v), y2: y(v), class: 'quiz-history-grid' })));
+
+    if (points.length > 1) {
+      svg.appendChild(svgEl('polyline', { points: points.map((p, i) => `${x(i)},${y(p.total)}`).join(' '), class: 'quiz-history-line' }));
+    }
+
+    points.forEach((p, i) => {
+      const dot = svgEl('circle', { cx: x(i), cy: y(p.total), r: 4, class: 'quiz-history-dot' });
+      const title = svgEl('title', {});
+      title.textContent = t('quizHistory.point', { date: this.formatDate(p.ts), total: p.total, anxiety: p.anxiety, depression: p.depression });
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+
+    DOM.clear(this.els.chart);
+    this.els.chart.appendChild(svg);
+  },
+
+  exportCSV() {
+    const rows = this.load().map(e => [new Date(e.ts).toISOString(), ...e.items, e.total, e.anxiety, e.depression].join(','));
+    const header = 'fecha,item1,item2,item3,item4,total,ansiedad_gad2,depresion_phq2';
+    DOM.download([header, ...rows].join('\n'), 'adpsike-phq4-historial.csv', 'text/csv');
+  },
+
+  exportJSON() {
+    const data = this.load().map(e => ({ ...e, date: new Date(e.ts).toISOString() }));
+    DOM.download(JSON.stringify(data, null, 2), 'adpsike-phq4-historial.json', 'application/json');
+  }
+};
+
+/**
+ * Tarro de la Calma. Las frases salen de una bolsa barajada que se guarda entre visitas,
+ * así no se repiten hasta agotar el tarro. Las frases base se identifican por su índice
+ * (b0, b1...) para que favoritas y bolsa sigan valiendo al cambiar de idioma; las que
+ * escribe la persona (u...) guardan su texto.
+ */
+const Jar = {
+  maxCustom: 50,
+  els: {},
+
+  get frases() {
+    return t('jar.phrases');
+  },
+
+  init() {
+    this.els = {
+      btn: DOM.get('btn-open-jar'),
+      display: DOM.get('jar-display'),
+      daily: DOM.get('jar-daily'),
+      favorites: DOM.get('jar-favorites'),
+      custom: DOM.get('jar-custom'),
+      form: DOM.get('jar-custom-form'),
+      input: DOM.get('jar-custom-input'),
+      status: DOM.get('jar-status')
+    };
+    const { btn, display } = this.els;
+    if (!btn || !display) return;
+
+    btn.addEventListener('click', () => {
+      DOM.setStyle(display, { transform: 'scale(0.98)', opacity: '0.8' });
+      setTimeout(() => {
+        this.show(this.draw());
+        DOM.setStyle(display, { transform: 'scale(1)', opacity: '1' });
+        DOM.setText(btn, t('jar.again'));
+      }, 200);
+    });
+
+    this.els.form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.addCustom(this.els.input.value)) this.els.input.value = '';
+    });
+
+    // Estrellas y botones de borrar viven en varias listas; un solo listener por contenedor
+    [display, this.els.daily, this.els.favorites, this.els.custom].forEach(el => {
+      el?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-jar]');
+        if (!btn) return;
+        if (btn.dataset.jar === 'favorite') this.toggleFavorite(btn.dataset.id);
+        if (btn.dataset.jar === 'remove') this.removeCustom(btn.dataset.id);
+      });
+    });
+
+    Vault.onChange(() => this.render());
+    this.render();
+  },
+
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.jar) || {};
+    const custom = Array.isArray(data.custom)
+      ? data.custom.filter(p => p && typeof p.id === 'string' && typeof p.text === 'string' && p.text.trim())
+      : [];
+    const state = { bag: [], last: null, favorites: [], custom };
+    const valid = new Set(this.pool(state));
+    state.bag = Array.isArray(data.bag) ? data.bag.filter(id => valid.has(id)) : [];
+    state.favorites = Array.isArray(data.favorites) ? data.favorites.filter(id => valid.has(id)) : [];
+    state.last = valid.has(data.last) ? data.last : null;
+    return state;
+  },
+
+  /** @returns {boolean} false si el cambio se descartó (datos bloqueados); el aviso queda en #jar-status */
+  save(state) {
+    const key = CONFIG.storageKeys.jar;
+    return Storage.report(key, Storage.set(key, state), this.els.status);
+  },
+
+  pool(state) {
+    return [...this.frases.map((_, i) => `b${i}`), ...state.custom.map(p => p.id)];
+  },
+
+  text(id, state = this.load()) {
+    if (id.startsWith('b')) return this.frases[Number(id.slice(1))];
+    return state.custom.find(p => p.id === id)?.text;
+  },
+
+  shuffle(list) {
+    const arr = [...list];
+    for (let i = arr.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  },
+
+  /** Saca la siguiente frase de la bolsa; al vaciarse se rebaraja sin repetir la última. */
+  draw() {
+    const state = this.load();
+    if (!state.bag.length) {
+      state.bag = this.shuffle(this.pool(state));
+      if (state.bag.length > 1 && state.bag[0] === state.last) state.bag.push(state.bag.shift());
+    }
+    state.last = state.bag.shift();
+    // La bolsa no es algo que la persona escribió: si no se guarda, solo puede repetirse una frase
+    Storage.set(CONFIG.storageKeys.jar, state);
+    Analytics.emit('jar.draw');
+    return state.last;
+  },
+
+  /** Frase del día: la misma durante toda la fecha local, elegida entre las frases base. */
+  dailyId(date = new Date()) {
+    const key = ActivityLog.dayKey(date.getTime());
+    const hash = [...key].reduce((acc, ch) => (acc * 31 + ch.charCodeAt(0)) >>> 0, 7);
+    return `b${hash % this.frases.length}`;
+  },
+
+  favoriteButton(id, state) {
+    const saved = state.favorites.includes(id);
+    return DOM.create('button', {
+      className: 'jar-chip-btn',
+      text: saved ? t('jar.favorited') : t('jar.favorite'),
+      attrs: { type: 'button', 'data-jar': 'favorite', 'data-id': id, 'aria-pressed': String(saved), 'aria-label': t('jar.favoriteLabel') }
+    });
+  },
+
+  show(id) {
+    const state = this.load();
+    DOM.clear(this.els.display);
+    this.els.display.dataset.phrase = id;
+    this.els.display.appendChild(DOM.create('div', {
+      className: 'jar-message',
+      children: [
+        DOM.create('p', { className: 'jar-message-text', text: `"${this.text(id, state)}"` }),
+        DOM.create('div', {
+          className: 'jar-message-actions',
+          children: [
+            this.favoriteButton(id, state),
+            DOM.create('button', { className: 'jar-chip-btn', text: t('shareCard.create'), attrs: { type: 'button', 'data-share-card': 'jar' } })
+          ]
+        })
+      ]
+    }));
+  },
+
+  toggleFavorite(id) {
+    const state = this.load();
+    state.favorites = state.favorites.includes(id) ? state.favorites.filter(f => f !== id) : [id, ...state.favorites];
+    this.save(state);
+    this.render();
+  },
+
+  addCustom(value) {
+    const text = String(value || '').trim().slice(0, 140);
+    if (!text) return false;
+    const state = this.load();
+    if (state.custom.length >= this.maxCustom) return false;
+    const id = `u${Date.now().toString(36)}`;
+    state.custom.push({ id, text });
+    // Entra a la bolsa actual en una posición al azar para que salga en esta vuelta
+    state.bag.splice(Math.floor(Math.random() * (state.bag.length + 1)), 0, id);
+    if (!this.save(state)) return false;
+    this.render();
+    return true;
+  },
+
+  removeCustom(id) {
+    const state = this.load();
+    state.custom = state.custom.filter(p => p.id !== id);
+    state.bag = state.bag.filter(b => b !== id);
+    state.favorites = state.favorites.filter(f => f !== id);
+    if (state.last === id) state.last = null;
+    this.save(state);
+    this.render();
+  },
+
+  render() {
+    const state = this.load();
+    const shown = this.els.display.dataset.phrase;
+    if (shown && this.text(shown, state) !== undefined) this.show(shown);
+
+    if (this.els.daily) {
+      const id = this.dailyId();
+      DOM.clear(this.els.daily);
+      this.els.daily.append(
+        DOM.create('span', { className: 'jar-daily-label', text: t('jar.daily') }),
+        DOM.create('span', { className: 'jar-daily-text', text: `"${this.text(id, state)}"` }),
+        this.favoriteButton(id, state)
+      );
+      this.els.daily.hidden = false;
+    }
+
+    this.renderList(this.els.favorites, state.favorites, state, t('jar.noFavorites'), id => this.favoriteButton(id, state));
+    this.renderList(this.els.custom, state.custom.map(p => p.id), state, t('jar.noCustom'), id =>
+      DOM.create('button', { className: 'btn-link-simple', text: t('common.delete'), attrs: { type: 'button', 'data-jar': 'remove', 'data-id': id } })
+    );
+  },
+
+  renderList(list, ids, state, emptyText, action) {
+    if (!list) return;
+    DOM.clear(list);
+    if (!ids.length) {
+      list.appendChild(DOM.create('li', { className: 'jar-list-empty', text: emptyText }));
+      return;
+    }
+    ids.forEach(id => {
+      list.appendChild(DOM.create('li', {
+        children: [DOM.create('span', { text: `"${this.text(id, state)}"` }), action(id)]
+      }));
+    });
+  }
+};
+
+const Emotions = {
+  current: null,
+  // Colores y tamaños fijos; nombre, descripción, matices y misión salen de emotions.items.<id>
+  palette: [
+    { id: 'anger', color: 'linear-gradient(135deg, #EF4444, #B91C1C)', emoji: '😡', size: 'bubble-lg' },
+    { id: 'sadness', color: 'linear-gradient(135deg, #3B82F6, #1D4ED8)', emoji: '😢', size: 'bubble-md' },
+    { id: 'anxiety', color: 'linear-gradient(135deg, #A855F7, #7E22CE)', emoji: '😰', size: 'bubble-lg' },
+    { id: 'calm', color: 'linear-gradient(135deg, #10B981, #047857)', emoji: '😌', size: 'bubble-sm' },
+    { id: 'exhausted', color: 'linear-gradient(135deg, #F59E0B, #B45309)', emoji: '😫', size: 'bubble-md' },
+    { id: 'confusion', color: 'linear-gradient(135deg, #64748B, #334155)', emoji: '🌀', size: 'bubble-sm' }
+  ],
+
+  get data() {
+    return this.palette.map(emo => ({ ...emo, ...t(`emotions.items.${emo.id}`) }));
+  },
+
+  init() {
+    const container = DOM.get('bubbles-container');
+    const overlay = DOM.get('emotion-card-overlay');
+    if (!container || !overlay) return;
+
+    DOM.clear(container);
+
+    this.data.forEach(emo => {
+      const b = DOM.create('div', {
+        className: `emotion-bubble ${emo.size}`,
+        text: emo.name,
+        style: { background: emo.color },
+        attrs: { role: 'button', tabindex: '0' }
+      });
+
+      const open = () => this.open(emo, overlay);
+      b.onclick = open;
+      b.onkeydown = (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          open();
+        }
+      };
+      container.appendChild(b);
+    });
+
+    DOM.get('close-emotion-btn')?.addEventListener('click', () => Modals.close(overlay));
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) Modals.close(overlay); });
+  },
+
+  open(data, overlay) {
+    const els = {
+      title: DOM.get('emotion-title'),
+      icon: DOM.get('emotion-icon'),
+      desc: DOM.get('emotion-desc'),
+      tip: DOM.get('emotion-tip'),
+      header: DOM.get('emotion-header-bg')
+    };
+
+    if (els.title) DOM.setText(els.title, data.name);
+    if (els.icon) DOM.setText(els.icon, data.emoji);
+    if (els.header) els.header.style.background = data.color;
+
+    if (els.desc) {
+      const colorMatch = data.color.match(/#[A-Fa-f0-9]{6}/);
+      const hexColor = colorMatch ? colorMatch[0] : '#8B5CF6';
+
+      const r = parseInt(hexColor.slice(1, 3), 16);
+      const g = parseInt(hexColor.slice(3, 5), 16);
+      const b = parseInt(hexColor.slice(5, 7), 16);
+      const pastelBg = `rgba(${r}, ${g}, ${b}, 0.08)`;
+      const pastelBorder = `rgba(${r}, ${g}, ${b}, 0.2)`;
+
+      els.desc.innerHTML = `
+        <div style="margin-bottom:1.2rem;">
+            <strong>${t('emotions.message')}</strong><br>
+            <span style="color:#4B5563;">${data.desc}</span>
+        </div>
+        <div class="emotion-nuances-box" style="background:${pastelBg}; border:1px solid ${pastelBorder};">
+            <strong>${t('emotions.feelsLike')}</strong>
+            <span class="emotion-nuance-list" role="group" aria-label="${t('emotions.pickNuance')}"></span>
+        </div>
+    `;
+
+      const list = els.desc.querySelector('.emotion-nuance-list');
+      list.style.setProperty('--chip-color', hexColor);
+      data.nuances.forEach((nuance, i) => list.appendChild(DOM.create('button', {
+        className: 'emotion-nuance-chip',
+        text: nuance,
+        attrs: { type: 'button', 'data-nuance': i, 'aria-pressed': 'false' }
+      })));
+    }
+
+    if (els.tip) DOM.setText(els.tip, data.tip);
+
+    this.current = data;
+    ActivityLog.log('emotion', data.id);
+    EmotionJournal.prepare(data);
+    Modals.open(overlay);
+  }
+};
+
+
+/**
+ * Diario emocional: desde la tarjeta de emoción se elige un matiz, la intensidad y una nota breve.
+ */
+const EmotionJournal = {
+  maxEntries: 500,
+  current: null,
+  els: {},
+
+  init() {
+    this.els = {
+      form: DOM.get('emotion-journal-form'),
+      desc: DOM.get('emotion-desc'),
+      intensity: DOM.get('emotion-intensity'),
+      intensityVal: DOM.get('emotion-intensity-val'),
+      note: DOM.get('emotion-note'),
+      status: DOM.get('emotion-journal-status'),
+      panel: DOM.get('emotion-journal'),
+      freq: DOM.get('emotion-journal-freq'),
+      timeline: DOM.get('emotion-journal-timeline')
+    };
+    if (!this.els.form) return;
+
+    this.els.desc?.addEventListener('click', (e) => {
+      const chip = e.target.closest('.emotion-nuance-chip');
+      if (!chip) return;
+      const pressed = chip.getAttribute('aria-pressed') === 'true';
+      this.els.desc.querySelectorAll('.emotion-nuance-chip').forEach(c => DOM.setAttr(c, 'aria-pressed', 'false'));
+      DOM.setAttr(chip, 'aria-pressed', String(!pressed));
+    });
+
+    this.els.intensity?.addEventListener('input', () => DOM.setText(this.els.intensityVal, this.els.intensity.value));
+
+    this.els.note?.addEventListener('input', (e) => {
+      const safeValue = e.target.value.replace(/[<>]/g, '');
+      if (safeValue !== e.target.value) e.target.value = safeValue;
+    });
+
+    this.els.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    Vault.onChange(() => this.render());
+    this.render();
+  },
+
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.emotionJournal);
+    return Array.isArray(data) ? data.filter(e => e && typeof e.ts === 'number' && e.emotion) : [];
+  },
+
+  prepare(emotion) {
+    this.current = emotion;
+    if (!this.els.form) return;
+    this.els.form.reset();
+    DOM.setText(this.els.intensityVal, this.els.intensity?.value || '5');
+    DOM.setText(this.els.status, '');
+  },
+
+  save() {
+    if (!this.current) return;
+    const chip = this.els.desc?.querySelector('.emotion-nuance-chip[aria-pressed="true"]');
+    const nuance = chip ? Validators.number(chip.dataset.nuance, 0, this.current.nuances.length - 1, -1) : -1;
+    // Se guardan el id de la emoción y el índice del matiz para que el diario no dependa del idioma
+    const entry = {
+      ts: Date.now(),
+      emotion: this.current.id,
+      nuance: nuance >= 0 ? nuance : null,
+      intensity: Validators.number(this.els.intensity?.value, 1, 10, 5),
+      note: (this.els.note?.value || '').replace(/[<>]/g, '').trim().slice(0, 280)
+    };
+
+    const entries = this.load();
+    entries.push(entry);
+    const key = CONFIG.storageKeys.emotionJournal;
+    const saved = Storage.set(key, entries.slice(-this.maxEntries));
+    if (!saved && !Storage.inMemory(key)) {
+      DOM.setText(this.els.status, Storage.notSavedText(key));
+      return;
+    }
+
+    const label = entry.nuance !== null ? this.current.nuances[entry.nuance] : this.current.name;
+    DOM.setText(this.els.status, saved ? t('emotionJournal.saved', { label, intensity: entry.intensity }) : Storage.notSavedText(key));
+    this.render();
+  },
+
+  /** Acepta el id de la emoción o el nombre en español de los registros anteriores. */
+  emotionFor(value) {
+    const legacy = Object.entries(I18N.lookup(I18N.fallback, 'emotions.items') || {}).find(([, e]) => e.name === value);
+    const id = legacy ? legacy[0] : value;
+    return Emotions.data.find(e => e.id === id);
+  },
+
+  /** Matiz en el idioma activo: índice (registros nuevos) o texto en español (anteriores). */
+  nuanceLabel(emo, nuance) {
+    if (nuance === null || nuance === undefined || !emo) return nuance || null;
+    const idx = typeof nuance === 'number' ? nuance : (I18N.lookup(I18N.fallback, `emotions.items.${emo.id}.nuances`) || []).indexOf(nuance);
+    return emo.nuances[idx] || (typeof nuance === 'string' ? nuance : null);
+  },
+
+  render() {
+    if (!this.els.panel) return;
+    const entries = this.load();
+    this.els.panel.hidden = !entries.length;
+    if (!entries.length) return;
+
+    this.renderFrequency(entries);
+    this.renderTimeline(entries);
+  },
+
+  renderFrequency(entries) {
+    if (!this.els.freq) return;
+    const since = Date.now() - 30 * 86400000;
+    const counts = {};
+    entries.filter(e => e.ts >= since).forEach(e => {
+      const emo = this.emotionFor(e.emotion);
+      const key = emo?.id || e.emotion;
+      const c = counts[key] = counts[key] || { emo, total: 0, nuances: {} };
+      const nuance = this.nuanceLabel(emo, e.nuance);
+      c.total++;
+      if (nuance) c.nuances[nuance] = (c.nuances[nuance] || 0) + 1;
+    });
+    const max = Math.max(1, ...Object.values(counts).map(c => c.total));
+
+    DOM.clear(this.els.freq);
+    Object.entries(counts).sort((a, b) => b[1].total - a[1].total).forEach(([key, c]) => {
+      const emo = c.emo;
+      const top = Object.entries(c.nuances).sort((a, b) => b[1] - a[1])[0];
+      const mostly = top ? t('emotionJournal.mostly', { nuance: top[0] }) : '';
+      this.els.freq.appendChild(DOM.create('li', {
+        className: 'emotion-freq-row',
+        children: [
+          DOM.create('span', { className: 'emotion-freq-label', text: `${emo?.emoji || ''} ${emo?.name || key}${mostly}` }),
+          DOM.create('span', {
+            className: 'emotion-freq-track',
+            children: [DOM.create('span', { className: 'emotion-freq-bar', style: { width: `${(c.total / max) * 100}%`, background: emo?.color || '#8B5CF6' } })]
+          }),
+          DOM.create('strong', { text: String(c.total) })
+        ]
+      }));
+    });
+  },
+
+  renderTimeline(entries) {
+    if (!this.els.timeline) return;
+    DOM.clear(this.els.timeline);
+    entries.slice(-15).reverse().forEach(e => {
+      const emo = this.emotionFor(e.emotion);
+      const nuance = this.nuanceLabel(emo, e.nuance);
+      const when = new Date(e.ts).toLocaleString(I18N.intl, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+      this.els.timeline.appendChild(DOM.create('li', {
+        className: 'emotion-timeline-item',
+        style: { borderLeftColor: (emo?.color.match(/#[A-Fa-f0-9]{6}/) || ['#8B5CF6'])[0] },
+        children: [
+          DOM.create('span', { className: 'emotion-timeline-date', text: when }),
+          DOM.create('strong', { text: `${emo?.emoji || ''} ${emo?.name || e.emotion}${nuance ? ` → ${nuance}` : ''} · ${e.intensity}/10` }),
+          e.note ? DOM.create('p', { text: e.note }) : null
+        ]
+      }));
+    });
+  }
+};
+
+
+/**
+ * Tarjetas para compartir: dibuja en canvas la frase del tarro o la misión de la tarjeta de
+ * emoción con los colores del sitio (o el degradado de la emoción) y permite bajarla como PNG
+ * o mandarla con Web Share. Sin soporte para compartir archivos, se descarga.
+ */
+const ShareCard = {
+  size: 1080,
+  // Degradado de marca (--primary-500 → --accent-500) para las tarjetas que no son de una emoción
+  brand: ['#8B5CF6', '#EC4899'],
+  els: {},
+  blob: null,
+  filename: '',
+  text: '',
+
+  init() {
+    this.els = {
+      modal: DOM.get('share-card-modal'),
+      preview: DOM.get('share-card-preview'),
+      status: DOM.get('share-card-status'),
+      download: DOM.get('btn-share-card-download'),
+      share: DOM.get('btn-share-card-share')
+    };
+    if (!this.els.modal) return;
+
+    document.body.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-share-card]');
+      if (!btn) return;
+      const card = this.source(btn.dataset.shareCard);
+      if (card) this.open(card).catch(err => console.warn('No se pudo crear la tarjeta:', err));
+    });
+
+    this.els.download?.addEventListener('click', () => this.download());
+    this.els.share?.addEventListener('click', () => this.share());
+    if (this.els.share) this.els.share.hidden = !navigator.share;
+  },
+
+  /** Arma la tarjeta a partir de lo que está en pantalla. */
+  source(kind) {
+    if (kind === 'jar') {
+      const id = DOM.get('jar-display')?.dataset.phrase;
+      const text = id && Jar.text(id);
+      return text ? { text: `"${text}"`, title: t('shareCard.jarTitle'), emoji: '🍯', colors: this.brand, slug: 'tarro' } : null;
+    }
+    if (kind === 'emotion') {
+      const data = Emotions.current;
+      if (!data) return null;
+      const colors = data.color.match(/#[A-Fa-f0-9]{6}/g) || this.brand;
+      return { text: data.tip, title: t('shareCard.emotionTitle', { name: data.name }), emoji: data.emoji, colors, slug: data.id };
+    }
+    return null;
+  },
+
+  async open(card) {
+    DOM.setText(this.els.status, '');
+    const canvas = await this.render(card);
+    this.blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    this.filename = `adpsike-${card.slug}.png`;
+    this.text = card.text;
+    // La CSP solo deja cargar imágenes data:, no blob:
+    this.els.preview.src = canvas.toDataURL('image/png');
+    this.els.preview.alt = `${card.title}: ${card.text}`;
+    Modals.open(this.els.modal);
+  },
+
+  async render({ text, title, emoji, colors }) {
+    const size = this.size;
+    const canvas = DOM.create('canvas', { attrs: { width: size, height: size } });
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas no disponible');
+
+    // Las fuentes del sitio cargan con la página; se espera por si la tarjeta se pide muy pronto
+    await document.fonts?.ready;
+
+    const bg = ctx.createLinearGradient(0, 0, size, size);
+    bg.addColorStop(0, colors[0]);
+    bg.addColorStop(1, colors[1] || colors[0]);
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, size, size);
+
+    const pad = 90;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.94)';
+    this.roundRect(ctx, pad, pad, size - pad * 2, size - pad * 2, 48);
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = '110px sans-serif';
+    ctx.fillText(emoji, size / 2, 250);
+
+    ctx.fillStyle = colors[1] || colors[0];
+    ctx.font = '700 40px Outfit, Inter, sans-serif';
+    ctx.fillText(title.toUpperCase(), size / 2, 360);
+
+    // Se achica la letra hasta que el texto quepa en el área central
+    const maxWidth = size - pad * 2 - 120;
+    let fontSize = 64;
+    let lines;
+    for (; ; fontSize -= 4) {
+      ctx.font = `600 ${fontSize}px Outfit, Inter, sans-serif`;
+      lines = this.wrap(ctx, text, maxWidth);
+      if (lines.length * fontSize * 1.35 <= 420 || fontSize <= 32) break;
+    }
+    const lineHeight = fontSize * 1.35;
+    const top = 620 - ((lines.length - 1) * lineHeight) / 2;
+    ctx.fillStyle = '#1F2937';
+    lines.forEach((line, i) => ctx.fillText(line, size / 2, top + i * lineHeight));
+
+    ctx.fillStyle = '#6B7280';
+    ctx.font = '500 30px Inter, sans-serif';
+    ctx.fillText(t('shareCard.footer'), size / 2, size - pad - 70);
+
+    return canvas;
+  },
+
+  wrap(ctx, text, maxWidth) {
+    return String(text).split(/\s+/).reduce((lines, word) => {
+      const last = lines[lines.length - 1];
+      if (last && ctx.measureText(`${last} ${word}`).width <= maxWidth) lines[lines.length - 1] = `${last} ${word}`;
+      else lines.push(word);
+      return lines;
+    }, []);
+  },
+
+  roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  },
+
+  download() {
+    if (!this.blob) return;
+    DOM.download(this.blob, this.filename, 'image/png');
+    DOM.setText(this.els.status, t('shareCard.downloaded'));
+  },
+
+  async share() {
+    if (!this.blob) return;
+    const file = new File([this.blob], this.filename, { type: 'image/png' });
+    if (!navigator.canShare?.({ files: [file] })) {
+      this.download();
+      return;
+    }
+    try {
+      await navigator.share({ files: [file], title: 'Adpsike', text: this.text });
+    } catch (e) {
+      // Cancelar el diálogo de compartir no es un error que mostrar
+      if (e.name !== 'AbortError') this.download();
+    }
+  }
+};
+
+/* =========================================
+   6. COMPLEX TOOLS (BREATHING, BODY SCAN, SOS)
+   ========================================= */
+
+/**
+ * Programador de secuencias de fases compartido por los ejercicios con tiempo.
+ * El reloj es inyectable ({ now, request, cancel }) para poder probar el tiempo sin rAF real.
+ * Solo una sesión exclusiva corre a la vez: iniciar otra detiene la anterior.
+ *
+ * Eventos: start, phase(phase, info), tick(info), cycle(n), pause, resume, stop, complete.
+ */
+const PhaseScheduler = {
+  active: new Set(),
+  clock: {
+    now: () => performance.now(),
+    request: (fn) => requestAnimationFrame(fn),
+    cancel: (id) => cancelAnimationFrame(id)
+  },
+
+  stopAll(except = null) {
+    [...this.active].forEach(session => { if (session !== except) session.stop(); });
+  },
+
+  create({ phases, cycles = 1, clock = this.clock, exclusive = true, pauseOnHidden = true }) {
+    const registry = this.active;
+    const stopOthers = () => this.stopAll(api);
+    const seq = phases.map(p => ({ ...p, d: Math.max(1, p.d) }));
+    const handlers = {};
+    const s = { running: false, paused: false, hiddenPause: false, idx: 0, cycle: 1, phaseStart: 0, pausedAt: 0, frame: null };
+
+    const emit = (evt, ...args) => (handlers[evt] || []).forEach(fn => fn(...args));
+    const info = () => ({ index: s.idx, cycle: s.cycle, cycles });
+
+    const halt = () => {
+      s.running = false;
+      s.paused = false;
+      if (s.frame !== null) clock.cancel(s.frame);
+      s.frame = null;
+      registry.delete(api);
+      if (pauseOnHidden && typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibility);
+    };
+
+    const advance = () => {
+      const previous = seq[s.idx];
+      s.idx++;
+      if (s.idx >= seq.length) {
+        s.idx = 0;
+        s.cycle++;
+        if (s.cycle > cycles) {
+          halt();
+          emit('complete');
+          return false;
+        }
+        emit('cycle', s.cycle);
+      }
+      emit('phase', seq[s.idx], { ...info(), previous });
+      return true;
+    };
+
+    const loop = () => {
+      s.frame = null;
+      if (!s.running || s.paused) return;
+
+      const now = clock.now();
+      // El excedente pasa a la siguiente fase, así el ritmo no se desfasa con frames lentos
+      while (now - s.phaseStart >= seq[s.idx].d) {
+        s.phaseStart += seq[s.idx].d;
+        if (!advance() || !s.running || s.paused) return;
+      }
+
+      const phase = seq[s.idx];
+      const elapsed = now - s.phaseStart;
+      emit('tick', { ...info(), phase, elapsed, progress: elapsed / phase.d, remaining: phase.d - elapsed });
+      s.frame = clock.request(loop);
+    };
+
+    const onVisibility = () => {
+      if (document.hidden && s.running && !s.paused) {
+        s.hiddenPause = true;
+        api.pause();
+      } else if (!document.hidden && s.hiddenPause) {
+        s.hiddenPause = false;
+        api.resume();
+      }
+    };
+
+    const api = {
+      on(evt, fn) {
+        (handlers[evt] = handlers[evt] || []).push(fn);
+        return api;
+      },
+
+      start() {
+        if (exclusive) stopOthers();
+        halt();
+        Object.assign(s, { running: true, paused: false, hiddenPause: false, idx: 0, cycle: 1, phaseStart: clock.now() });
+        registry.add(api);
+        if (pauseOnHidden && typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibility);
+
+        emit('start');
+        emit('phase', seq[0], { ...info(), previous: null });
+        loop();
+        return api;
+      },
+
+      pause() {
+        if (!s.running || s.paused) return;
+        s.paused = true;
+        s.pausedAt = clock.now();
+        if (s.frame !== null) clock.cancel(s.frame);
+        s.frame = null;
+        emit('pause');
+      },
+
+      resume() {
+        if (!s.running || !s.paused) return;
+        s.phaseStart += clock.now() - s.pausedAt;
+        s.paused = false;
+        s.hiddenPause = false;
+        emit('resume');
+        loop();
+      },
+
+      toggle() {
+        s.paused ? api.resume() : api.pause();
+      },
+
+      skip() {
+        if (!s.running) return;
+        const now = clock.now();
+        s.phaseStart = now;
+        if (s.paused) s.pausedAt = now;
+        if (advance() && !s.paused && s.frame === null) loop();
+      },
+
+      stop() {
+        if (!s.running) return;
+        halt();
+        emit('stop');
+      },
+
+      isRunning: () => s.running,
+      isPaused: () => s.paused,
+      current: () => ({ ...info(), phase: seq[s.idx] })
+    };
+
+    return api;
+  }
+};
+
+/**
+ * Capa opcional de señales (tono, vibración y voz) para seguir los ejercicios con los ojos cerrados.
+ * Los ejercicios solo llaman a Cues.phase(label) en cada transición; la configuración es global.
+ */
+const Cues = {
+  defaults: { muted: true, volume: 0.6, voice: false, haptics: true },
+  settings: null,
+  ctx: null,
+
+  init() {
+    this.settings = { ...this.defaults, ...(Storage.get(CONFIG.storageKeys.cues) || {}) };
+
+    DOM.getAll('[data-cue-control]').forEach(control => {
+      control.addEventListener('click', (e) => {
+        if (e.target.closest('[data-cue="mute"]')) this.update({ muted: !this.settings.muted });
+      });
+      control.addEventListener('change', (e) => {
+        const cue = e.target.dataset.cue;
+        if (cue === 'voice' || cue === 'haptics') this.update({ [cue]: e.target.checked });
+      });
+      control.addEventListener('input', (e) => {
+        if (e.target.dataset.cue === 'volume') this.update({ volume: Validators.number(e.target.value, 0, 100) / 100, muted: false });
+      });
+    });
+
+    this.sync();
+  },
+
+  update(patch) {
+    this.settings = { ...this.settings, ...patch };
+    Storage.set(CONFIG.storageKeys.cues, this.settings);
+    this.sync();
+    if (patch.muted === false || 'volume' in patch) this.tone('hold');
+  },
+
+  // Todos los controles reflejan la misma configuración
+  sync() {
+    const { muted, volume, voice, haptics } = this.settings;
+    DOM.getAll('[data-cue-control]').forEach(control => {
+      const mute = control.querySelector('[data-cue="mute"]');
+      if (mute) {
+        DOM.setText(mute, t(muted ? 'cues.muted' : 'cues.active'));
+        DOM.setAttr(mute, 'aria-pressed', !muted);
+      }
+      const vol = control.querySelector('[data-cue="volume"]');
+      if (vol) vol.value = Math.round(volume * 100);
+      const voiceBox = control.querySelector('[data-cue="voice"]');
+      if (voiceBox) voiceBox.checked = voice;
+      const hapticsBox = control.querySelector('[data-cue="haptics"]');
+      if (hapticsBox) hapticsBox.checked = haptics;
+    });
+  },
+
+  /**
+   * Las fases se identifican por su etiqueta en español (así se guardan los patrones);
+   * `label` da el texto en pantalla e `id` recupera el identificador desde una etiqueta traducida.
+   */
+  label(id) {
+    const key = String(id).toUpperCase();
+    return I18N.exists(`phases.${key}`) ? t(`phases.${key}`) : String(id);
+  },
+
+  id(label) {
+    const text = String(label).trim().toUpperCase();
+    const phases = t('phases');
+    if (phases[text]) return text;
+    return Object.keys(phases).find(id => phases[id].toUpperCase() === text) || text;
+  },
+
+  kind(label) {
+    const l = this.id(label);
+    if (l.startsWith('INHALA') || l === 'TENSA') return 'in';
+    if (l.startsWith('EXHALA') || l === 'RELAJA') return 'out';
+    if (l === 'FIN') return 'end';
+    return 'hold';
+  },
+
+  phase(label) {
+    if (!this.settings || this.settings.muted) return;
+    const kind = this.kind(label);
+    this.tone(kind);
+    this.vibrate(kind);
+    this.speak(label);
+  },
+
+  complete() {
+    this.phase('FIN');
+  },
+
+  tone(kind) {
+    if (!this.settings || this.settings.muted || !this.settings.volume) return;
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+
+    try {
+      this.ctx = this.ctx || new AudioCtx();
+      if (this.ctx.state === 'suspended') this.ctx.resume();
+
+      const notes = { in: [392, 523], out: [523, 330], hold: [440, 440], end: [523, 784] }[kind] || [440, 440];
+      const now = this.ctx.currentTime;
+      const osc = this.ctx.createOscillator();
+      const gain = this.ctx.createGain();
+
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(notes[0], now);
+      osc.frequency.linearRampToValueAtTime(notes[1], now + 0.6);
+      gain.gain.setValueAtTime(0.0001, now);
+      gain.gain.exponentialRampToValueAtTime(0.25 * this.settings.volume + 0.0001, now + 0.05);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.9);
+
+      osc.connect(gain).connect(this.ctx.destination);
+      osc.start(now);
+      osc.stop(now + 1);
+    } catch (e) {
+      console.warn('Audio no disponible:', e);
+    }
+  },
+
+  vibrate(kind) {
+    if (!this.settings.haptics || typeof navigator.vibrate !== 'function') return;
+    const patterns = { in: [120], out: [300], hold: [40, 60, 40], end: [80, 80, 80, 80, 200] };
+    navigator.vibrate(patterns[kind] || [60]);
+  },
+
+  speak(label) {
+    if (!this.settings.voice || !('speechSynthesis' in window)) return;
+    const text = t('cues.spoken')[this.id(label)] || String(label).toLowerCase();
+    const utter = new SpeechSynthesisUtterance(text);
+    const speech = t('meta.speech');
+    const voice = window.speechSynthesis.getVoices().find(v => v.lang && v.lang.toLowerCase().startsWith(speech));
+    utter.lang = voice?.lang || I18N.intl;
+    if (voice) utter.voice = voice;
+    utter.volume = this.settings.volume;
+    utter.rate = 0.9;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utter);
+  }
+};
+
+const BreathingTool = {
+  // Las técnicas base toman su explicación de breathing.modes.<clave>.text; los patrones propios traen `text`
+  modes: {
+    calm: {
+      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "RETÉN", d: 7000, s: 1.3 }, { l: "EXHALA", d: 8000, s: 1.0 }],
+      color: "#3B82F6", max: 4
+    },
+    focus: {
+      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "AGUANTA", d: 4000, s: 1.3 }, { l: "EXHALA", d: 4000, s: 1.0 }, { l: "ESPERA", d: 4000, s: 1.0 }],
+      color: "#8B5CF6", max: 4
+    },
+    sleep: {
+      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "EXHALA", d: 8000, s: 1.0 }],
+      color: "#4F46E5", max: 10
+    },
+    balance: {
+      phases: [{ l: "INHALA", d: 5000, s: 1.3 }, { l: "EXHALA", d: 5000, s: 1.0 }],
+      color: "#10B981", max: 6
+    }
+  },
+  state: { isRunning: false, isPaused: false, mode: null, baseScale: 1.0, session: null },
+  els: {},
+
+  init() {
+    this.els = {
+      circle: DOM.get('btCircle'),
+      label: DOM.get('btLabel'),
+      cycle: DOM.get('btCycleCount'),
+      max: DOM.get('btMaxCycles'),
+      timer: DOM.get('btTimer'),
+      pause: DOM.get('btPauseBtn'),
+      reset: DOM.get('btResetBtn'),
+      instr: DOM.get('btInstructions')
+    };
+    if (!this.els.circle) return;
+
+    // Los modos personalizados se registran antes para poder restaurar el último usado
+    if (typeof BreathingBuilder !== 'undefined') BreathingBuilder.register();
+
+    const savedMode = Storage.get(CONFIG.storageKeys.breathingMode);
+    DOM.getAll('.bt-mode-btn').forEach(btn => {
+      if (this.modes[btn.dataset.mode] && btn.dataset.mode === savedMode) DOM.addClass(btn, 'active');
+    });
+
+    // Delegado: los chips personalizados se agregan y eliminan en caliente
+    document.querySelector('.bt-mode-selector')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.bt-mode-btn');
+      if (btn) this.select(btn.dataset.mode);
+    });
+
+    this.els.pause?.addEventListener('click', () => this.togglePause());
+    this.els.reset?.addEventListener('click', () => this.reset(true));
+  },
+
+  select(modeKey) {
+    if (!this.modes[modeKey]) return;
+    DOM.getAll('.bt-mode-btn').forEach(b => {
+      b.dataset.mode === modeKey ? DOM.addClass(b, 'active') : DOM.removeClass(b, 'active');
+    });
+    MoodCheck.before('breathing', () => this.start(modeKey));
+  },
+
+  start(modeKey, { persist = true } = {}) {
+    if (!this.modes[modeKey]) return;
+
+    this.state.session?.stop();
+
+    if (persist) Storage.set(CONFIG.storageKeys.breathingMode, modeKey);
+
+    this.state = {
+      isRunning: true,
+      isPaused: false,
+      mode: this.modes[modeKey],
+      baseScale: 1.0,
+      session: null
+    };
+
+    if (this.els.max) DOM.setText(this.els.max, this.state.mode.max);
+
+    if (this.els.instr) {
+      DOM.setText(this.els.instr, this.state.mode.text || t(`breathing.modes.${modeKey}.text`));
+      DOM.setStyle(this.els.instr, {
+        backgroundColor: this.state.mode.color + '25',
+        border: `1px solid ${this.state.mode.color}40`,
+        padding: '1rem',
+        borderRadius: '16px',
+        color: '#1F2937',
+        transition: 'all 0.3s ease'
+      });
+    }
+
+    this.updateUI(true);
+    // Las vistas previas del constructor no cuentan como práctica
+    if (persist) ActivityLog.begin('breathing', this.state.mode.name || modeKey);
+
+    this.state.session = PhaseScheduler.create({ phases: this.state.mode.phases, cycles: this.state.mode.max })
+      .on('phase', (phase, { previous }) => {
+        if (previous) this.state.baseScale = previous.s;
+        Cues.phase(phase.l);
+      })
+      .on('cycle', (cycle) => {
+        if (this.els.cycle) DOM.setText(this.els.cycle, cycle);
+      })
+      .on('tick', ({ phase, progress, remaining }) => {
+        if (this.els.timer) DOM.setText(this.els.timer, Math.ceil(remaining / 1000) + "s");
+        this.render(progress, phase);
+      })
+      .on('pause', () => {
+        this.state.isPaused = true;
+        if (this.els.pause) DOM.setText(this.els.pause, t('breathing.resume'));
+      })
+      .on('resume', () => {
+        this.state.isPaused = false;
+        if (this.els.pause) DOM.setText(this.els.pause, t('common.pause'));
+      })
+      // Otro ejercicio tomó el control del programador
+      .on('stop', () => {
+        ActivityLog.end('breathing', 'abandoned');
+        this.state.isRunning = false;
+        this.state.isPaused = false;
+        if (this.els.pause) {
+          this.els.pause.disabled = true;
+          DOM.setText(this.els.pause, t('common.pause'));
+        }
+      })
+      .on('complete', () => this.complete())
+      .start();
+  },
+
+  render(progress, phase) {
+    const ease = -(Math.cos(Math.PI * progress) - 1) / 2;
+    const currentScale = this.state.baseScale + (phase.s - this.state.baseScale) * ease;
+
+    if (this.els.circle) {
+      DOM.setStyle(this.els.circle, {
+        transform: `scale(${currentScale})`,
+        backgroundColor: this.state.mode.color
+      });
+    }
+    if (this.els.label) {
+      DOM.setText(this.els.label, Cues.label(phase.l));
+      DOM.setStyle(this.els.label, { transform: `scale(${1/currentScale})` });
+    }
+  },
+
+  togglePause() {
+    if (!this.state.isRunning) return;
+    this.state.session?.toggle();
+  },
+
+  complete() {
+    this.state.isRunning = false;
+    MoodCheck.after(ActivityLog.end('breathing', 'completed'));
+    Cues.complete();
+    if (this.els.label) DOM.setText(this.els.label, t('breathing.well'));
+    if (this.els.timer) DOM.setText(this.els.timer, t('breathing.end'));
+    if (this.els.instr) DOM.setText(this.els.instr, t('breathing.completed'));
+    if (this.els.pause) this.els.pause.disabled = true;
+  },
+
+  reset(clearUI) {
+    this.state.session?.stop();
+    this.state.isRunning = false;
+
+    if (clearUI) {
+      DOM.setStyle(this.els.circle, { transform: 'scale(1)', backgroundColor: '#E2E8F0' });
+      if (this.els.label) {
+        DOM.setText(this.els.label, t('breathing.choose'));
+        this.els.label.style.transform = 'scale(1)';
+      }
+      if (this.els.cycle) DOM.setText(this.els.cycle, "0");
+      if (this.els.max) DOM.setText(this.els.max, "-");
+      if (this.els.timer) DOM.setText(this.els.timer, "0:00");
+
+      if (this.els.instr) {
+        DOM.setText(this.els.instr, t('breathing.idle'));
+        DOM.setStyle(this.els.instr, {
+          backgroundColor: 'transparent',
+          border: 'none',
+          padding: '0',
+          color: 'inherit'
+        });
+      }
+
+      if (this.els.pause) {
+        this.els.pause.disabled = true;
+        DOM.setText(this.els.pause, t('common.pause'));
+      }
+      DOM.getAll('.bt-mode-btn').forEach(b => DOM.removeClass(b, 'active'));
+    }
+  },
+
+  updateUI(running) {
+    if (this.els.pause) {
+      this.els.pause.disabled = !running;
+      DOM.setText(this.els.pause, t('common.pause'));
+    }
+    if (this.els.reset) this.els.reset.disabled = !running;
+    if (this.els.cycle) DOM.setText(this.els.cycle, "1");
+  }
+};
+
+const BreathingBuilder = {
+  prefix: 'custom-',
+  maxPhases: 8,
+  palette: ['#F59E0B', '#EC4899', '#0EA5E9', '#14B8A6', '#F97316'],
+  presets: {
+    '426': {
+      max: 6,
+      phases: [{ l: 'INHALA', d: 4000, s: 1.3 }, { l: 'RETÉN', d: 2000, s: 1.3 }, { l: 'EXHALA', d: 6000, s: 1.0 }]
+    },
+    sigh: {
+      max: 5,
+      phases: [{ l: 'INHALA', d: 2000, s: 1.25 }, { l: 'INHALA +', d: 1000, s: 1.4 }, { l: 'EXHALA', d: 6000, s: 1.0 }]
+    }
+  },
+  els: {},
+
+  init() {
+    this.els = {
+      form: DOM.get('bt-builder-form'),
+      name: DOM.get('bt-builder-name'),
+      cycles: DOM.get('bt-builder-cycles'),
+      phases: DOM.get('bt-builder-phases'),
+      error: DOM.get('bt-builder-error'),
+      saved: DOM.get('bt-builder-saved')
+    };
+    if (!this.els.form) return;
+
+    this.fill({ name: '', max: 4, phases: [{ l: 'INHALA', d: 4000, s: 1.3 }, { l: 'EXHALA', d: 6000, s: 1.0 }] });
+    this.renderSaved();
+
+    this.els.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+
+    this.els.form.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-builder]');
+      if (!btn) return;
+      const cmd = btn.dataset.builder;
+
+      if (cmd === 'add-phase') this.addPhase({ l: 'EXHALA', d: 4000, s: 1.0 });
+      if (cmd === 'remove-phase') btn.closest('.bt-builder-phase')?.remove();
+      if (cmd === 'preview') this.preview();
+      if (cmd === 'preset' && this.presets[btn.dataset.preset]) {
+        this.fill({ ...this.presets[btn.dataset.preset], name: t(`builder.presets.${btn.dataset.preset}`) });
+      }
+    });
+
+    this.els.saved?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-builder="delete"]');
+      if (btn) this.remove(btn.dataset.mode);
+    });
+  },
+
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.breathingCustom);
+    if (!Array.isArray(data)) return [];
+    return data.map(m => this.sanitize(m)).filter(Boolean);
+  },
+
+  /** Normaliza un patrón guardado; devuelve null si no es utilizable. */
+  sanitize(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.phases)) return null;
+    const id = Validators.safeId(String(raw.id || ''));
+    const name = String(raw.name || '').replace(/[<>]/g, '').trim().slice(0, 30);
+    const phases = raw.phases.slice(0, this.maxPhases).map(p => ({
+      l: String(p?.l || '').replace(/[<>]/g, '').trim().toUpperCase().slice(0, 12),
+      d: Validators.number(p?.d, 500, 60000, 0),
+      s: Validators.decimal(p?.s, 0.8, 1.5, 1.0)
+    })).filter(p => p.l && p.d);
+
+    if (!id || !name || !phases.length) return null;
+    return { id, name, max: Validators.number(raw.max, 1, 30, 4), color: raw.color || this.palette[0], phases };
+  },
+
+  toMode(pattern) {
+    const summary = pattern.phases.map(p => `${p.d / 1000}s ${Cues.label(p.l)}`).join(' · ');
+    return {
+      phases: pattern.phases,
+      color: pattern.color,
+      max: pattern.max,
+      text: t('builder.summary', { summary }),
+      custom: true,
+      name: pattern.name
+    };
+  },
+
+  /** Sincroniza los patrones guardados con BreathingTool.modes y con los chips del selector. */
+  register() {
+    Object.keys(BreathingTool.modes).filter(k => k.startsWith(this.prefix)).forEach(k => delete BreathingTool.modes[k]);
+    DOM.getAll('.bt-mode-btn.bt-mode-custom').forEach(el => el.remove());
+
+    const selector = document.querySelector('.bt-mode-selector');
+    this.load().forEach(pattern => {
+      const key = this.prefix + pattern.id;
+      BreathingTool.modes[key] = this.toMode(pattern);
+      if (!selector) return;
+
+      selector.appendChild(DOM.create('button', {
+        className: 'bt-mode-btn bt-mode-custom',
+        attrs: { type: 'button', 'data-mode': key, role: 'radio', 'aria-checked': 'false', 'aria-label': t('builder.modeLabel', { name: pattern.name }) },
+        children: [
+          DOM.create('span', { className: 'bt-mode-icon', text: '✨' }),
+          DOM.create('div', {
+            className: 'bt-mode-info',
+            children: [
+              DOM.create('span', { className: 'bt-mode-name', text: pattern.name }),
+              DOM.create('span', { className: 'bt-mode-subtitle', text: pattern.phases.map(p => p.d / 1000).join('-') })
+            ]
+          })
+        ]
+      }));
+    });
+  },
+
+  fill(pattern) {
+    if (this.els.name) this.els.name.value = pattern.name;
+    if (this.els.cycles) this.els.cycles.value = pattern.max;
+    DOM.clear(this.els.phases);
+    pattern.phases.forEach(p => this.addPhase(p));
+    DOM.setText(this.els.error, '');
+  },
+
+  addPhase(phase) {
+    if (!this.els.phases || this.els.phases.children.length >= this.maxPhases) return;
+    const n = this.els.phases.children.length + 1;
+
+    this.els.phases.appendChild(DOM.create('div', {
+      className: 'bt-builder-phase',
+      children: [
+        DOM.create('input', { className: 'reason-input', attrs: { type: 'text', name: 'label', value: Cues.label(phase.l), maxlength: '12', list: 'bt-builder-labels', 'aria-label': t('builder.phaseName', { n }) } }),
+        DOM.create('input', { className: 'reason-input', attrs: { type: 'number', name: 'seconds', value: phase.d / 1000, min: '0.5', max: '60', step: '0.5', 'aria-label': t('builder.phaseSeconds', { n }) } }),
+        DOM.create('input', { className: 'reason-input', attrs: { type: 'number', name: 'scale', value: phase.s, min: '0.8', max: '1.5', step: '0.05', 'aria-label': t('builder.phaseScale', { n }) } }),
+        DOM.create('button', { className: 'bt-builder-remove', text: '✕', attrs: { type: 'button', 'data-builder': 'remove-phase', 'aria-label': t('builder.removePhase', { n }) } })
+      ]
+    }));
+  },
+
+  readForm() {
+    const phases = Array.from(this.els.phases?.querySelectorAll('.bt-builder-phase') || []).map(row => ({
+      // Las etiquetas traducidas vuelven a su identificador para que el patrón sirva en cualquier idioma
+      l: Cues.id(row.querySelector('[name="label"]').value),
+      d: Math.round(Validators.decimal(row.querySelector('[name="seconds"]').value, 0.5, 60, 0) * 1000),
+      s: row.querySelector('[name="scale"]').value
+    }));
+
+    const existing = this.load();
+    const pattern = this.sanitize({
+      id: `p${Date.now().toString(36)}`,
+      name: this.els.name?.value,
+      max: this.els.cycles?.value,
+      color: this.palette[existing.length % this.palette.length],
+      phases
+    });
+
+    if (!this.els.name?.value.trim()) return { error: t('builder.errorName') };
+    if (!pattern || pattern.phases.length !== phases.length) return { error: t('builder.errorPhases') };
+    return { pattern };
+  },
+
+  preview() {
+    const { pattern, error } = this.readForm();
+    DOM.setText(this.els.error, error || '');
+    if (!pattern) return;
+
+    BreathingTool.modes.preview = { ...this.toMode(pattern), max: 1 };
+    DOM.getAll('.bt-mode-btn').forEach(b => DOM.removeClass(b, 'active'));
+    BreathingTool.start('preview', { persist: false });
+  },
+
+  save() {
+    const { pattern, error } = this.readForm();
+    DOM.setText(this.els.error, error || '');
+    if (!pattern) return;
+
+    Storage.set(CONFIG.storageKeys.breathingCustom, [...this.load(), pattern]);
+    this.register();
+    this.renderSaved();
+    BreathingTool.select(this.prefix + pattern.id);
+  },
+
+  remove(key) {
+    const id = String(key || '').replace(this.prefix, '');
+    Storage.set(CONFIG.storageKeys.breathingCustom, this.load().filter(p => p.id !== id));
+    if (BreathingTool.state.mode === BreathingTool.modes[key]) BreathingTool.reset(true);
+    this.register();
+    this.renderSaved();
+  },
+
+  renderSaved() {
+    if (!this.els.saved) return;
+    DOM.clear(this.els.saved);
+    this.load().forEach(p => {
+      this.els.saved.appendChild(DOM.create('li', {
+        children: [
+          DOM.create('span', { text: `${p.name} (${p.phases.map(ph => ph.d / 1000).join('-')}, ${t('builder.cycles', { count: p.max })})` }),
+          DOM.create('button', { className: 'btn-link-simple', text: t('common.delete'), attrs: { type: 'button', 'data-builder': 'delete', 'data-mode': this.prefix + p.id } })
+        ]
+      }));
+    });
+  }
+};
+
+const BodyScan = {
+  state: { active: false, step: 0, paused: false, phase: null, session: null },
+  zones: ['svg-head', 'svg-shoulders', 'svg-arms', 'svg-torso', 'svg-legs'],
+
+  get steps() {
+    const labels = t('bodyscan.steps');
+    return this.zones.map((id, i) => ({ id, label: labels[i] }));
+  },
+
+  init() {
+    // Inicialización pasiva
+  },
+
+  open() {
+    SOS.open('sos-screen-bs-intro');
+  },
+
+  /** La pantalla la decide SOS_FLOW: se llama al entrar en 'sos-screen-bs-active'. */
+  start() {
+    this.stop();
+    this.state.step = 0;
+    this.state.active = true;
+    this.state.paused = false;
+
+    const btn = DOM.get('btn-bs-pause');
+    if (btn) {
+      DOM.setText(btn, t('common.pause'));
+      DOM.removeClass(btn, 'paused');
+    }
+
+    // Cada zona: 4 s tensando y 4 s relajando
+    const phases = this.steps.flatMap((step, i) => [
+      { l: 'TENSA', kind: 'tense', step: i, d: 4000 },
+      { l: 'RELAJA', kind: 'relax', step: i, d: 4000 }
+    ]);
+
+    ActivityLog.begin('bodyscan', 'progresivo');
+    this.state.session = PhaseScheduler.create({ phases })
+      .on('phase', (phase) => this.showPhase(phase))
+      .on('pause', () => {
+        this.state.paused = true;
+        if (btn) {
+          DOM.setText(btn, t('bodyscan.resume'));
+          DOM.addClass(btn, 'paused');
+        }
+        DOM.setText(DOM.get('bs-text-instruction'), t('bodyscan.paused'));
+      })
+      .on('resume', () => {
+        this.state.paused = false;
+        if (btn) {
+          DOM.setText(btn, t('common.pause'));
+          DOM.removeClass(btn, 'paused');
+        }
+        if (this.state.phase) DOM.setText(DOM.get('bs-text-instruction'), this.instruction(this.state.phase));
+      })
+      .on('stop', () => {
+        this.state.active = false;
+        ActivityLog.end('bodyscan', 'abandoned');
+      })
+      .on('complete', () => {
+        this.state.active = false;
+        MoodCheck.after(ActivityLog.end('bodyscan', 'completed'));
+        Cues.complete();
+        SOS.go('done');
+      })
+      .start();
+  },
+
+  instruction(phase) {
+    const label = this.steps[phase.step].label;
+    return t(phase.kind === 'tense' ? 'bodyscan.tense' : 'bodyscan.relax', { label });
+  },
+
+  showPhase(phase) {
+    this.state.phase = phase;
+    this.state.step = phase.step;
+    const svg = DOM.get(this.steps[phase.step].id);
+
+    DOM.setText(DOM.get('bs-text-instruction'), this.instruction(phase));
+    Cues.phase(phase.l);
+
+    if (phase.kind === 'tense') {
+      DOM.getAll('.bs-dot').forEach((d, i) => {
+        if (i < phase.step) DOM.addClass(d, 'completed');
+        else if (i === phase.step) DOM.addClass(d, 'active');
+        else DOM.removeClass(d, 'active');
+      });
+      if (svg) DOM.addClass(svg, 'fill-active');
+    } else if (svg) {
+      DOM.removeClass(svg, 'fill-active');
+      DOM.addClass(svg, 'fill-relax');
+    }
+  },
+
+  toggle() {
+    if (!this.state.active) return;
+    this.state.session?.toggle();
+  },
+
+  stop() {
+    this.state.session?.stop();
+    this.state.session = null;
+    this.state.active = false;
+    this.state.paused = false;
+    this.state.phase = null;
+    DOM.getAll('.body-path, .bs-dot').forEach(e => {
+      DOM.removeClass(e, 'fill-active');
+      DOM.removeClass(e, 'fill-relax');
+      DOM.removeClass(e, 'active');
+      DOM.removeClass(e, 'completed');
+    });
+  }
+};
+
+/**
+ * Flujo de crisis declarativo: cada pantalla define sus transiciones (`on`), y opcionalmente
+ * acciones de entrada/salida (métodos de SOS) y un check-in SUDS previo (`checkIn`).
+ * `safe` marca las pantallas donde una ruta puede terminar; `transient` las que se saltan al volver.
+ * El nombre de cada pantalla en la ruta recorrida está en sos.crumbs.<id>.
+ * tests/sos-flow.test.js lo revisa con SOS.auditFlow(): `npm test` falla si alguna ruta queda insegura.
+ */
+const SOS_FLOW = {
+  start: 'sos-screen-1',
+  screens: {
+    'sos-screen-1': { on: { yes: 'sos-screen-suicide-validation', no: 'sos-screen-triage-2', plan: 'sos-screen-plan' } },
+    'sos-screen-plan': { safe: true, enter: 'planShow', on: { continue: 'sos-screen-1' } },
+    'sos-screen-triage-2': { on: { panic: 'sos-screen-calm-intro', disconnect: 'sos-screen-bs-intro', risk: 'sos-screen-risk' } },
+    'sos-screen-risk': { safe: true },
+
+    'sos-screen-calm-intro': { on: { start: { to: 'sos-screen-grounding', checkIn: 'grounding' } } },
+    'sos-screen-grounding': {
+      transient: true, enter: 'groundingStart', exit: 'groundingExit',
+      on: { done: 'sos-screen-final' }
+    },
+    'sos-screen-final': { safe: true },
+
+    'sos-screen-bs-intro': { on: { start: { to: 'sos-screen-bs-active', checkIn: 'bodyscan' } } },
+    'sos-screen-bs-active': {
+      transient: true, enter: 'bodyScanStart', exit: 'bodyScanStop',
+      on: { done: 'sos-screen-bs-final', skip: 'sos-screen-bs-final' }
+    },
+    'sos-screen-bs-final': { safe: true, on: { repeat: { to: 'sos-screen-bs-active', checkIn: 'bodyscan' } } },
+
+    'sos-screen-suicide-validation': { on: { next: 'sos-screen-suicide-breathing', urgent: 'sos-screen-risk' } },
+    'sos-screen-suicide-breathing': {
+      transient: true, enter: 'crisisStart', exit: 'crisisStop',
+      on: { next: 'sos-screen-suicide-reasons' }
+    },
+    'sos-screen-suicide-reasons': { exit: 'reasonsSave', on: { next: 'sos-screen-suicide-contract' } },
+    'sos-screen-suicide-contract': { on: { commit: 'sos-screen-suicide-final', hours: 'sos-screen-suicide-final', urgent: 'sos-screen-risk' } },
+    'sos-screen-suicide-final': { safe: true, on: { plan: 'sos-screen-plan' } }
+  }
+};
+
+const SOS = {
+  state: { crisis: null, groundingIdx: 0 },
+  flow: { current: null, history: [] },
+
+  // La indicación de cada fase está en sos.crisis.<etiqueta>
+  crisisPhases: [
+    { l: 'INHALA', d: 4000, from: 1, to: 1.2 },
+    { l: 'RETÉN', d: 7000, from: 1.2, to: 1.2 },
+    { l: 'EXHALA', d: 8000, from: 1.2, to: 1 }
+  ],
+
+  get groundingSteps() {
+    const texts = t('sos.grounding');
+    return [
+      { icon: '👁️', color: '#3B82F6' },
+      { icon: '✋', color: '#F59E0B' },
+      { icon: '👂', color: '#10B981' },
+      { icon: '🐓', color: '#EC4899' },
+      { icon: '❤️', color: '#8B5CF6' }
+    ].map((step, i) => ({ ...step, ...texts[i] }));
+  },
+
+  init() {
+    const trigger = DOM.get('btn-sos-trigger');
+    const overlay = DOM.get('sos-overlay');
+    if (!trigger || !overlay) return;
+
+    // El botón de apertura usa data-action="open-sos" (delegación centralizada)
+    DOM.get('close-sos-btn')?.addEventListener('click', () => this.close());
+
+    DOM.get('sos-breadcrumb')?.addEventListener('click', (e) => {
+      const crumb = e.target.closest('[data-sos-crumb]');
+      if (crumb) this.backTo(Validators.number(crumb.dataset.sosCrumb, 0, this.flow.history.length - 1));
+    });
+
+    // Acceso directo de la app instalada (manifest.webmanifest)
+    if (window.location.hash === '#sos') this.open();
+  },
+
+  /**
+   * Abre el asistente en `screenId`; ese punto de entrada es la raíz del historial.
+   * Sin pantalla explícita, muestra primero el plan de seguridad si la persona tiene uno,
+   * también si está cifrado y bloqueado (la pantalla pide el PIN y se puede saltar).
+   */
+  open(screenId) {
+    const overlay = DOM.get('sos-overlay');
+    if (!overlay) return;
+    if (typeof BodyScan !== 'undefined') BodyScan.stop();
+    Modals.open(overlay, { onEscape: () => this.close() });
+
+    const entry = screenId || (SafetyPlan.exists() || SafetyPlan.sealed() ? 'sos-screen-plan' : SOS_FLOW.start);
+    this.reset(SOS_FLOW.screens[entry] ? entry : SOS_FLOW.start);
+    Analytics.emit('sos.open');
+  },
+
+  /** Dispara una transición del flujo desde la pantalla actual. */
+  go(event) {
+    if (event === 'back') return this.back();
+    const node = SOS_FLOW.screens[this.flow.current];
+    const transition = node?.on?.[event];
+    if (!transition) return;
+    // Sin analítica de rutas: cada evento es una respuesta del triaje (p. ej. "yes" a pensamientos
+    // suicidas). Qué ejercicio se eligió ya se cuenta con grounding.start y bodyscan.start.
+
+    const { to, checkIn } = typeof transition === 'string' ? { to: transition } : transition;
+    if (checkIn) {
+      const from = this.flow.current;
+      // Si la persona navegó a otra pantalla mientras contestaba, no la movemos
+      MoodCheck.before(checkIn, () => { if (this.flow.current === from) this.enter(to); });
+    } else {
+      this.enter(to);
+    }
+  },
+
+  back() {
+    const { history } = this.flow;
+    let idx = history.length - 2;
+    while (idx > 0 && SOS_FLOW.screens[history[idx]]?.transient) idx--;
+    if (idx >= 0) this.backTo(idx);
+  },
+
+  backTo(idx) {
+    if (idx < 0 || idx >= this.flow.history.length - 1) return;
+    const target = this.flow.history[idx];
+    this.flow.history = this.flow.history.slice(0, idx);
+    this.enter(target);
+  },
+
+  enter(id, { root = false } = {}) {
+    const node = SOS_FLOW.screens[id];
+    if (!node) return;
+
+    const prev = SOS_FLOW.screens[this.flow.current];
+    if (prev?.exit) this[prev.exit]();
+
+    this.flow.history = root ? [id] : [...this.flow.history, id];
+    this.flow.current = id;
+    this.screen(id);
+    this.renderBreadcrumb();
+    if (node.enter) this[node.enter]();
+  },
+
+  renderBreadcrumb() {
+    const nav = DOM.get('sos-breadcrumb');
+    if (!nav) return;
+    const { history } = this.flow;
+    const list = nav.querySelector('ol');
+    DOM.clear(list);
+    nav.hidden = history.length < 2;
+
+    history.forEach((id, i) => {
+      const label = t(`sos.crumbs.${id}`);
+      const isLast = i === history.length - 1;
+      const item = isLast
+        ? DOM.create('span', { text: label, attrs: { 'aria-current': 'step' } })
+        : DOM.create('button', { className: 'sos-crumb', text: label, attrs: { type: 'button', 'data-sos-crumb': i } });
+      list.appendChild(DOM.create('li', { children: [item] }));
+    });
+  },
+
+  /**
+   * Revisa el grafo: destinos y acciones existentes, pantallas alcanzables, toda pantalla final
+   * marcada como segura y toda ruta con salida hacia alguna pantalla segura.
+   * @returns {string[]} Lista de problemas (vacía si el flujo es válido)
+   */
+  auditFlow(flow = SOS_FLOW, effects = this) {
+    const problems = [];
+    const ids = Object.keys(flow.screens);
+    const targets = (node) => Object.values(node.on || {}).map(t => (typeof t === 'string' ? t : t.to));
+
+    if (!flow.screens[flow.start]) problems.push(`Inicio desconocido: ${flow.start}`);
+    ids.forEach(id => {
+      const node = flow.screens[id];
+      targets(node).forEach(to => { if (!flow.screens[to]) problems.push(`${id} → ${to}: pantalla inexistente`); });
+      ['enter', 'exit'].forEach(hook => {
+        if (node[hook] && typeof effects[node[hook]] !== 'function') problems.push(`${id}: acción "${node[hook]}" no existe`);
+      });
+      if (!targets(node).length && !node.safe) problems.push(`${id}: termina sin ser pantalla segura`);
+    });
+
+    const reachable = new Set();
+    const walk = (id) => {
+      if (reachable.has(id) || !flow.screens[id]) return;
+      reachable.add(id);
+      targets(flow.screens[id]).forEach(walk);
+    };
+    walk(flow.start);
+    ids.filter(id => !reachable.has(id)).forEach(id => problems.push(`${id}: inalcanzable desde ${flow.start}`));
+
+    // Punto fijo hacia atrás: pantallas que pueden llegar a una segura
+    const safe = new Set(ids.filter(id => flow.screens[id].safe));
+    let grew = true;
+    while (grew) {
+      grew = false;
+      ids.forEach(id => {
+        if (!safe.has(id) && targets(flow.screens[id]).some(to => safe.has(to))) {
+          safe.add(id);
+          grew = true;
+        }
+      });
+    }
+    ids.filter(id => !safe.has(id)).forEach(id => problems.push(`${id}: ninguna ruta llega a una pantalla segura`));
+
+    return problems;
+  },
+
+  screen(id) {
+    if (!Validators.safeId(id)) return;
+    DOM.hideAll('.sos-screen');
+    const el = DOM.get(id);
+    if (!el) return;
+    DOM.addClass(el, 'active');
+
+    // Llevar el foco al título de la pantalla nueva para que el lector de pantalla la anuncie
+    const overlay = DOM.get('sos-overlay');
+    if (Modals.top()?.modal === overlay) {
+      const heading = el.querySelector('h2, h3') || el;
+      if (!heading.hasAttribute('tabindex')) DOM.setAttr(heading, 'tabindex', '-1');
+      setTimeout(() => heading.focus({ preventScroll: true }), 20);
+    }
+  },
+
+  isOpen() {
+    const overlay = DOM.get('sos-overlay');
+    return !!overlay && Modals.stack.some(entry => entry.modal === overlay);
+  },
+
+  close(silent = false) {
+    const overlay = DOM.get('sos-overlay');
+    if (!overlay) return;
+
+    Modals.close(overlay, { immediate: silent });
+    this.stopAll();
+  },
+
+  reset(screenId = SOS_FLOW.start) {
+    this.stopAll();
+    this.flow.current = null;
+    this.enter(screenId, { root: true });
+  },
+
+  stopAll() {
+    this.crisisStop();
+    MoodCheck.dismiss();
+    ActivityLog.end('grounding', 'abandoned');
+    this.state.groundingIdx = 0;
+    if (typeof BodyScan !== 'undefined') BodyScan.stop();
+  },
+
+  crisisStart() {
+    this.crisisStop();
+    const instrElement = DOM.get('sosInstructionText');
+    const label = DOM.get('sosLabel');
+    const circle = DOM.get('sosCircle');
+
+    this.state.crisis = PhaseScheduler.create({ phases: this.crisisPhases, cycles: Infinity })
+      .on('phase', (phase) => {
+        DOM.setText(label, Cues.label(phase.l));
+        DOM.setText(instrElement, t(`sos.crisis.${phase.l}`));
+        Cues.phase(phase.l);
+      })
+      .on('tick', ({ phase, progress }) => {
+        if (circle) circle.style.transform = `scale(${phase.from + (phase.to - phase.from) * progress})`;
+      })
+      .start();
+  },
+
+  crisisStop() {
+    this.state.crisis?.stop();
+    this.state.crisis = null;
+  },
+
+  groundingStart() {
+    this.state.groundingIdx = 0;
+    ActivityLog.begin('grounding');
+    this.groundingUpdateUI();
+  },
+
+  groundingExit() {
+    ActivityLog.end('grounding', 'abandoned');
+  },
+
+  bodyScanStart() {
+    BodyScan.start();
   },
 
-  calculate() {
-    const days = Validators.number(this.els.days.value, 0, 30);
-    const intensity = Validators.number(this.els.int.value, 1, 10);
-    const value = Validators.number(this.els.val.value, 200, 3000);
-    const therapyCost = 1400;
+  bodyScanStop() {
+    BodyScan.stop();
+  },
 
-    DOM.setText(this.els.dispDays, `${days} días/mes`);
-    DOM.setText(this.els.dispInt, `Nivel ${intensity}`);
-    DOM.setText(this.els.dispVal, `$${value}`);
+  planShow() {
+    SafetyPlan.renderInto(DOM.get('sos-plan-view'));
+  },
 
-    const factor = intensity / 10;
-    const emotionalCost = Math.round(days * value * factor);
-    
-    let multiplier = (emotionalCost / therapyCost).toFixed(1);
-    if(multiplier < 0.5) multiplier = "0.5";
+  reasonsSave() {
+    if (!DOM.get('reasons-save')?.checked) return;
+    const values = Array.from(DOM.getAll('#sos-screen-suicide-reasons .reason-input'), input => input.value);
+    SafetyPlan.addReasons(values);
+  },
 
-    const hours = days * 4;
+  groundingNext() {
+    this.state.groundingIdx++;
+    if (this.state.groundingIdx < this.groundingSteps.length) {
+      this.groundingUpdateUI();
+    } else {
+      MoodCheck.after(ActivityLog.end('grounding', 'completed'));
+      this.go('done');
+    }
+  },
 
-    DOM.setText(this.els.resX, `${multiplier}x`);
+  groundingUpdateUI() {
+    const step = this.groundingSteps[this.state.groundingIdx];
+    const icon = DOM.get('grounding-icon');
+    const title = DOM.get('grounding-title');
+    const text = DOM.get('grounding-text');
 
-    const total = emotionalCost + therapyCost;
-    const percent = Math.min(95, Math.max(5, (emotionalCost / total) * 100));
-    if (this.els.chart) {
-      this.els.chart.style.background = `conic-gradient(#EF4444 0% ${percent}%, #10B981 ${percent}% 100%)`;
-    }
+    DOM.setStyle(icon, { transform: 'scale(0.8)', opacity: '0' });
+    setTimeout(() => {
+      if (icon) DOM.setText(icon, step.icon);
+      if (title) {
+        DOM.setText(title, step.title);
+        title.style.color = step.color;
+      }
+      if (text) DOM.setText(text, step.text);
 
-    const benefitText = this.contexts[this.state.context].benefit;
-    if (this.els.interp) {
-      this.els.interp.innerHTML = `
-        Recuperas <span class="highlight-brown">${multiplier} veces</span> tu inversión en calidad de vida.
-        <br><br>
-        Esto equivale a ganar <span class="highlight-purple">${hours} horas al mes</span> libres de malestar para 
-        <span>${benefitText}</span>
-      `;
-    }
+      DOM.getAll('.grounding-dot').forEach((d, i) => {
+        i <= this.state.groundingIdx ? DOM.addClass(d, 'active') : DOM.removeClass(d, 'active');
+      });
+      DOM.setStyle(icon, { transform: 'scale(1)', opacity: '1', transition: 'all 0.3s ease' });
+    }, 150);
   }
 };
 
 
-/* =========================================
-   5. WELLNESS TOOLS (QUIZ, JAR, EMOTIONS)
-   ========================================= */
+/**
+ * Plan de seguridad (modelo Stanley–Brown). Se guarda solo en el dispositivo; el código
+ * opcional se guarda como hash SHA-256 con sal y solo oculta el plan en pantalla: el texto
+ * queda en claro salvo que el cifrado con PIN de Vault esté activo.
+ */
+const SafetyPlan = {
+  keys: ['warning', 'coping', 'distraction', 'contacts', 'professionals', 'environment', 'reasons'],
 
-const Tools = {
-  init() {
-    this.setupToggles();
-    this.setupAnxietyQuiz();
-    this.setupLoadCheckbox();
+  get sections() {
+    return this.keys.map(key => ({ key, ...t(`safetyPlan.sections.${key}`) }));
   },
+  maxItems: 12,
+  unlocked: false,
+  els: {},
 
-  setupToggles() {
-    [['btn-text-quiz', 'content-quiz'], ['btn-text-load', 'content-load']].forEach(([btnId, contentId]) => {
-      const btn = DOM.get(btnId),
-        content = DOM.get(contentId);
-      if (btn && content) {
-        btn.addEventListener('click', () => {
-          const isActive = DOM.toggleClass(content, 'active');
-          DOM.setText(btn, isActive ? 'Cerrar Herramienta' : (btnId.includes('quiz') ? 'Iniciar Mini Test' : 'Medir mi Carga'));
-        });
-      }
+  init() {
+    this.els = {
+      form: DOM.get('safety-plan-form'),
+      fields: DOM.get('safety-plan-fields'),
+      passcode: DOM.get('safety-plan-passcode'),
+      status: DOM.get('safety-plan-status'),
+      lock: DOM.get('safety-plan-lock')
+    };
+    this.syncLinks();
+    if (!this.els.form) return;
+
+    this.sections.forEach(({ key, title, hint }) => {
+      const id = `safety-plan-${key}`;
+      this.els.fields.appendChild(DOM.create('div', {
+        className: 'safety-plan-field',
+        children: [
+          DOM.create('label', { text: title, attrs: { for: id } }),
+          DOM.create('p', { className: 'safety-plan-hint', text: hint }),
+          DOM.create('textarea', { className: 'reason-input', attrs: { id, name: key, rows: '3', maxlength: '600' } })
+        ]
+      }));
+    });
+
+    this.els.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    this.els.lock?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlock(e.target.elements.code.value).then(ok => {
+        if (ok) this.renderEditor();
+        else DOM.setText(this.els.status, t('safetyPlan.wrongCode'));
+      });
+    });
+    DOM.get('btn-safety-plan-print')?.addEventListener('click', () => this.print());
+    DOM.get('btn-safety-plan-export')?.addEventListener('click', () => this.exportHTML());
+    DOM.get('btn-safety-plan-delete')?.addEventListener('click', () => this.remove());
+
+    Vault.onChange(() => {
+      this.syncLinks();
+      this.renderEditor();
     });
+    this.renderEditor();
   },
 
-  setupAnxietyQuiz() {
-    const scores = { 1: null, 2: null, 3: null, 4: null };
-    const resultBox = DOM.get('phq4-result');
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.safetyPlan);
+    if (!data || typeof data.items !== 'object') return null;
+    return data;
+  },
 
-    DOM.getAll('.quiz-options-group .option-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const parent = btn.closest('.quiz-options-group');
-        const qId = Validators.number(parent.dataset.q, 1, 4);
-        const val = Validators.number(btn.dataset.val, 0, 3);
+  exists() {
+    const plan = this.load();
+    return !!plan && Object.values(plan.items).some(list => Array.isArray(list) && list.length);
+  },
 
-        parent.querySelectorAll('.option-btn').forEach(b => DOM.removeClass(b, 'selected'));
-        DOM.addClass(btn, 'selected');
+  /** Hay un plan guardado, pero cifrado con el PIN de Vault y bloqueado: load() no puede leerlo. */
+  sealed() {
+    return Vault.enabled && !Vault.unlocked && Storage.read(CONFIG.storageKeys.safetyPlan) !== null;
+  },
 
-        scores[qId] = val;
+  isLocked(plan = this.load()) {
+    return !!plan?.passcode && !this.unlocked;
+  },
 
-        if (scores[1] !== null && scores[2] !== null && scores[3] !== null && scores[4] !== null) {
-          this.calculatePHQ4(scores, resultBox);
-        }
-      });
-    });
+  clean(lines) {
+    return lines
+      .map(line => String(line).replace(/[<>]/g, '').trim().slice(0, 200))
+      .filter(Boolean)
+      .slice(0, this.maxItems);
   },
 
-  calculatePHQ4(scores, container) {
-    const total = scores[1] + scores[2] + scores[3] + scores[4];
-    let level = '', color = '', advice = '', cta = '';
+  async hash(code, salt) {
+    const bytes = new TextEncoder().encode(`${salt}:${code}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  },
 
-    if (total <= 2) {
-      level = "Rango Normal";
-      color = "#10B981";
-      advice = "No presentas síntomas significativos de ansiedad o depresión actualmente.";
-      cta = `<a href="#jar-display" class="btn-tool btn-green" style="margin-top:10px; font-size:0.9rem; width:100%; display:block; text-decoration:none;">Fortalece tu mente (Tarro de Calma)</a>`;
-    } else if (total <= 5) {
-      level = "Sintomatología Leve";
-      color = "#F59E0B";
-      advice = "Podrías estar experimentando inquietud ligera o días bajos. Es preventivo actuar ahora.";
-      cta = `<button type="button" class="btn-tool btn-orange" data-action="start-bodyscan-direct" style="margin-top:10px; font-size:0.9rem; width:100%;">Regularme con Escaneo Corporal</button>`;
-    } else if (total <= 8) {
-      level = "Sintomatología Moderada";
-      color = "#F97316";
-      advice = "Es probable que la ansiedad o el desánimo estén complicando tu rutina diaria.";
-      cta = `<a href="https://wa.me/5214491996086?text=Hola,%20hice%20el%20test%20PHQ4%20y%20salió%20Moderado." target="_blank" rel="noopener noreferrer" class="btn-tool btn-orange" style="margin-top:10px; font-size:0.9rem; display:block; text-decoration:none; width:100%;">Consultar Evaluación Pro</a>`;
-    } else {
-      level = "Sintomatología Severa";
-      color = "#EF4444";
-      advice = "Estos niveles indican una carga emocional alta que merece atención profesional prioritaria.";
-      cta = `<a href="https://wa.me/5214491996086?text=Hola,%20hice%20el%20test%20PHQ4%20y%20salió%20Alto." target="_blank" rel="noopener noreferrer" class="btn-tool btn-purple" style="margin-top:10px; font-size:0.9rem; display:block; text-decoration:none; width:100%;">Agendar Cita Prioritaria</a>`;
+  async unlock(code) {
+    const plan = this.load();
+    if (!plan?.passcode) return (this.unlocked = true);
+    this.unlocked = (await this.hash(code, plan.passcode.salt)) === plan.passcode.hash;
+    return this.unlocked;
+  },
+
+  async save() {
+    const previous = this.load();
+    if (this.isLocked(previous)) return;
+
+    const items = {};
+    this.sections.forEach(({ key }) => {
+      items[key] = this.clean((this.els.form.elements[key]?.value || '').split('\n'));
+    });
+
+    let passcode = previous?.passcode || null;
+    const code = this.els.passcode?.value.trim();
+    if (code) {
+      const salt = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, '0')).join('');
+      passcode = { salt, hash: await this.hash(code, salt) };
     }
 
-    container.style.display = 'block';
-    container.style.borderLeft = `5px solid ${color}`;
-    container.innerHTML = `
-            <div style="margin-bottom:5px; font-size:0.85rem; text-transform:uppercase; color:#6B7280; font-weight:700;">Puntaje PHQ-4: ${total}/12</div>
-            <h4 style="color:${color}; margin-bottom:0.5rem; font-size:1.2rem;">${level}</h4>
-            <p style="font-size:0.95rem; line-height:1.5; margin-bottom:1rem;">${advice}</p>
-            ${cta}
-        `;
-    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    const key = CONFIG.storageKeys.safetyPlan;
+    const saved = Storage.set(key, { items, passcode, updated: Date.now() });
+    // Descartado (datos bloqueados): el formulario conserva lo escrito para intentarlo de nuevo
+    if (!saved && !Storage.inMemory(key)) {
+      DOM.setText(this.els.status, Storage.notSavedText(key));
+      return;
+    }
+    if (code) this.els.passcode.value = '';
+    this.unlocked = true;
+    // El código solo oculta el plan; el cifrado real lo da Vault (PIN de "Mis datos")
+    if (!saved) DOM.setText(this.els.status, Storage.notSavedText(key));
+    else DOM.setText(this.els.status, t(Vault.enabled ? 'safetyPlan.savedEncrypted' : passcode ? 'safetyPlan.savedLocked' : 'safetyPlan.saved'));
+    this.syncLinks();
   },
 
-  setupLoadCheckbox() {
-    const items = DOM.getAll('.check-item');
-    const bar = DOM.get('load-bar');
-    const text = DOM.get('load-text');
-    const advice = DOM.get('load-advice');
-    
-    if (!items.length) return;
-
-    const updates = {
-      0: { l: "Baja", c: "#10B981", t: "Tu mochila está ligera. Es un buen momento para disfrutar o avanzar en proyectos personales." },
-      1: { l: "Manejable", c: "#10B981", t: "Tienes retos, pero son sostenibles. Enfócate en resolver uno a la vez para mantener el equilibrio." },
-      2: { l: "Moderada", c: "#F59E0B", t: "Empieza a pesar. <strong>Estrategia:</strong> Escribe tus pendientes en papel para sacarlos de tu cabeza." },
-      3: { l: "Elevada", c: "#F97316", t: "Cuidado. <strong>Estrategia:</strong> Aplica la regla 'Eliminar, Delegar o Posponer'. Suelta una cosa hoy." },
-      4: { l: "Muy Alta", c: "#EF4444", t: "Estás en zona de riesgo. <strong>Estrategia:</strong> Detente. No aceptes ni un solo compromiso más esta semana." },
-      5: { l: "Crítica", c: "#EF4444", t: "Sobrecarga total. Tu única prioridad ahora es descansar. Pide ayuda o reprograma todo lo no esencial." },
-      6: { l: "Crítica", c: "#EF4444", t: "Sobrecarga total. Tu única prioridad ahora es descansar. Pide ayuda o reprograma todo lo no esencial." }
-    };
+  /** Añade respuestas escritas en la pantalla de razones del SOS sin duplicar las existentes. */
+  addReasons(values) {
+    const fresh = this.clean(values);
+    if (!fresh.length) return;
+    const plan = this.load() || { items: {}, passcode: null };
+    const current = plan.items.reasons || [];
+    plan.items.reasons = this.clean([...current, ...fresh.filter(v => !current.includes(v))]);
+    plan.updated = Date.now();
+    Storage.set(CONFIG.storageKeys.safetyPlan, plan);
+    this.syncLinks();
+    if (!this.isLocked(plan)) this.renderEditor();
+  },
 
-    items.forEach(item => {
-      item.addEventListener('click', () => {
-        DOM.toggleClass(item, 'active');
-        if (DOM.hasClass(item, 'active')) {
-          DOM.setStyle(item, { background: '#F0FDF4', borderColor: '#10B981', fontWeight: '700' });
-        } else {
-          DOM.setStyle(item, { background: '#fff', borderColor: 'rgba(0,0,0,0.05)', fontWeight: '400' });
-        }
+  remove() {
+    if (this.isLocked() || !confirm(t('safetyPlan.confirmDelete'))) return;
+    Storage.remove(CONFIG.storageKeys.safetyPlan);
+    this.unlocked = false;
+    this.els.form.reset();
+    DOM.setText(this.els.status, t('safetyPlan.deleted'));
+    this.syncLinks();
+  },
+
+  /** Muestra u oculta los accesos al plan dentro del SOS. */
+  syncLinks() {
+    const has = this.exists() || this.sealed();
+    DOM.getAll('[data-safety-plan-link]').forEach(el => { el.hidden = !has; });
+  },
+
+  renderEditor() {
+    if (!this.els.form) return;
+    const plan = this.load();
+    const locked = this.isLocked(plan);
+    this.els.form.hidden = locked;
+    if (this.els.lock) this.els.lock.hidden = !locked;
+    if (locked) return;
+
+    this.sections.forEach(({ key }) => {
+      const field = this.els.form.elements[key];
+      if (field) field.value = (plan?.items[key] || []).join('\n');
+    });
+  },
+
+  /** Construye la vista del plan con enlaces tel: cuando una línea trae un número. */
+  buildView(plan) {
+    return DOM.create('div', {
+      className: 'safety-plan-view',
+      children: this.sections
+        .filter(({ key }) => plan.items[key]?.length)
+        .map(({ key, title }, i) => DOM.create('section', {
+          className: 'safety-plan-step',
+          children: [
+            DOM.create('h3', { text: `${i + 1}. ${title}` }),
+            DOM.create('ul', {
+              children: plan.items[key].map(line => {
+                const phone = line.match(/\+?\d[\d\s-]{6,}\d/);
+                if (!phone || !['contacts', 'professionals'].includes(key)) return DOM.create('li', { text: line });
+                return DOM.create('li', {
+                  children: [DOM.create('a', { text: line, attrs: { href: `tel:${phone[0].replace(/[\s-]/g, '')}` } })]
+                });
+              })
+            })
+          ]
+        }))
+    });
+  },
+
+  renderInto(container) {
+    if (!container) return;
+    DOM.clear(container);
 
-        const activeCount = DOM.getAll('.check-item.active').length;
-        const percent = (activeCount / items.length) * 100;
-        const data = updates[activeCount];
+    // Cifrado y bloqueado: se pide el PIN de "Mis datos"; "Continuar al asistente" sirve para saltarlo
+    if (this.sealed()) {
+      container.appendChild(this.unlockForm({
+        label: t('safetyPlan.pinLabel'),
+        hint: t('safetyPlan.sealed'),
+        wrong: t('safetyPlan.wrongPinSos'),
+        check: (pin) => Vault.unlock(pin),
+        done: () => this.renderInto(container)
+      }));
+      return;
+    }
 
-        if (bar) DOM.setStyle(bar, { width: `${percent}%`, background: data.c });
-        if (text) {
-          DOM.setText(text, data.l);
-          text.style.color = data.c;
+    const plan = this.load();
+    if (!plan) return;
+
+    if (this.isLocked(plan)) {
+      container.appendChild(this.unlockForm({
+        label: t('safetyPlan.codeLabel'),
+        wrong: t('safetyPlan.wrongCodeSos'),
+        check: (code) => this.unlock(code),
+        done: () => {
+          this.renderInto(container);
+          this.renderEditor();
         }
-        if (advice) advice.innerHTML = data.t;
+      }));
+      return;
+    }
+
+    container.appendChild(this.buildView(plan));
+  },
+
+  /** Formulario de código o PIN dentro del SOS; `check` resuelve true si abrió. */
+  unlockForm({ label, hint = '', wrong, check, done }) {
+    const input = DOM.create('input', {
+      className: 'reason-input',
+      attrs: { type: 'password', inputmode: 'numeric', autocomplete: 'off', 'aria-label': label }
+    });
+    const submit = DOM.create('button', { className: 'btn-sos-next', text: t('safetyPlan.open'), attrs: { type: 'submit' } });
+    const msg = DOM.create('p', { className: 'safety-plan-hint', text: hint, attrs: { role: 'status' } });
+    const form = DOM.create('form', { className: 'safety-plan-unlock', children: [input, submit, msg] });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit.disabled = true;
+      check(input.value).then(ok => {
+        submit.disabled = false;
+        if (!ok) return DOM.setText(msg, wrong);
+        done();
       });
     });
+    return form;
+  },
+
+  /** Documento HTML autocontenido, listo para imprimir o guardar como PDF. */
+  toHTML() {
+    const plan = this.load();
+    if (!plan || this.isLocked(plan)) return null;
+    const date = new Date(plan.updated || Date.now()).toLocaleDateString(I18N.intl, { day: 'numeric', month: 'long', year: 'numeric' });
+    const title = t('safetyPlan.title');
+    return `<!DOCTYPE html>
+<html lang="${I18N.locale}">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 680px; margin: 2rem auto; padding: 0 1rem; color: #1F2937; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  .safety-plan-step { border: 1px solid #D1D5DB; border-radius: 10px; padding: 0.75rem 1rem; margin: 1rem 0; break-inside: avoid; }
+  .safety-plan-step h3 { margin: 0 0 0.5rem; font-size: 1.05rem; }
+  a { color: inherit; }
+  footer { margin-top: 2rem; font-size: 0.85rem; color: #6B7280; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>${t('safetyPlan.updated', { date })}</p>
+${this.buildView(plan).outerHTML}
+<footer>${this.footer()}</footer>
+</body>
+</html>`;
+  },
+
+  footer() {
+    const { name, emergency, lines } = CrisisResources.current();
+    const phones = lines.filter(l => l.tel).map(l => `${l.name}: ${l.tel}`);
+    const text = [`${name} · ${t('safetyPlan.emergency', { number: emergency })}`, ...phones].join(' · ');
+    return DOM.create('span', { text }).innerHTML;
+  },
+
+  exportHTML() {
+    const html = this.toHTML();
+    if (html) DOM.download(html, t('safetyPlan.filename'), 'text/html');
+  },
+
+  print() {
+    const html = this.toHTML();
+    if (!html) return;
+    const win = window.open('', '_blank');
+    // Si el navegador bloquea la ventana, se descarga el archivo para imprimirlo desde ahí
+    if (!win) return this.exportHTML();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.print();
   }
 };
 
-const Jar = {
-  frases: [
-    "No tienes que poder con todo.", "Hacer una pausa es avanzar.", "Eres suficiente tal como eres.",
-    "Respira, es solo un momento.", "Sé amable contigo mismo hoy.", "Tu paz mental es una prioridad.",
-    "Un día a la vez es suficiente.", "Está bien no estar bien a veces.", "Confía en tu propio proceso.",
-    "Eres más fuerte de lo que crees.", "Esto también pasará.", "Mereces descansar sin sentir culpa.",
-    "Pequeños pasos también te llevan lejos.", "Escucha lo que tu cuerpo necesita hoy.",
-    "No te compares, tu camino es único.", "Lo estás haciendo lo mejor que puedes.",
-    "Date permiso para sentir tus emociones.", "Hoy es una nueva oportunidad para empezar.",
-    "Abraza tus emociones, son solo mensajeras.", "La calma es un superpoder que llevas dentro.",
-    "Eres capaz de cosas asombrosas.", "Inhala paz, exhala lo que no puedes controlar.",
-    "Tu valor no depende de tu productividad.", "Agradece a tu cuerpo por sostenerte.",
-    "Todo empieza con amarte a ti mismo.", "Eres luz, incluso en los días grises.",
-    "Suelta lo que pesa y vuela ligero.", "Tu presencia es un regalo para el mundo.",
-    "Cuidar de ti no es egoísmo, es necesidad.", "Sigue adelante, el mundo te necesita."
-  ],
-  init() {
-    const btn = DOM.get('btn-open-jar');
-    const display = DOM.get('jar-display');
-    if (!btn || !display) return;
 
-    btn.addEventListener('click', () => {
-      DOM.setStyle(display, { transform: 'scale(0.98)', opacity: '0.8' });
-      setTimeout(() => {
-        const frase = this.frases[Math.floor(Math.random() * this.frases.length)];
-        DOM.clear(display);
-        const p = DOM.create('p', { className: 'jar-message-text', text: `"${frase}"` });
-        display.appendChild(p);
-        DOM.setStyle(display, { transform: 'scale(1)', opacity: '1' });
-        DOM.setText(btn, "✨ Abrir otra dosis ✨");
-      }, 200);
-    });
+/**
+ * Directorio de líneas de crisis incluido en el código para que funcione sin conexión.
+ * `states` agrega recursos locales a los del país; `sms` acepta un texto opcional (`smsBody`).
+ * En México están las 32 entidades para que cada quien elija la suya: 911 y las líneas nacionales
+ * funcionan en todas, y solo se agregan líneas estatales confirmadas con la fuente oficial del estado.
+ */
+const CRISIS_DIRECTORY = {
+  MX: {
+    name: 'México',
+    emergency: '911',
+    lines: [
+      { name: 'Línea de la Vida', tel: '8009112000', hours: '24/7' },
+      { name: 'SAPTEL (Cruz Roja)', tel: '5552598121', hours: '24/7' }
+    ],
+    states: {
+      AGS: { name: 'Aguascalientes' },
+      BC: { name: 'Baja California' },
+      BCS: { name: 'Baja California Sur' },
+      CAMP: { name: 'Campeche' },
+      CHIS: { name: 'Chiapas' },
+      CHIH: { name: 'Chihuahua' },
+      CDMX: {
+        name: 'Ciudad de México',
+        lines: [{ name: 'Línea de Seguridad y Chat de Confianza', tel: '5555335533', hours: '24/7' }]
+      },
+      COAH: { name: 'Coahuila' },
+      COL: { name: 'Colima' },
+      DGO: { name: 'Durango' },
+      MEX: { name: 'Estado de México' },
+      GTO: { name: 'Guanajuato' },
+      GRO: { name: 'Guerrero' },
+      HGO: { name: 'Hidalgo' },
+      JAL: { name: 'Jalisco' },
+      MICH: { name: 'Michoacán' },
+      MOR: { name: 'Morelos' },
+      NAY: { name: 'Nayarit' },
+      NL: { name: 'Nuevo León' },
+      OAX: { name: 'Oaxaca' },
+      PUE: { name: 'Puebla' },
+      QRO: { name: 'Querétaro' },
+      QROO: { name: 'Quintana Roo' },
+      SLP: { name: 'San Luis Potosí' },
+      SIN: { name: 'Sinaloa' },
+      SON: { name: 'Sonora' },
+      TAB: { name: 'Tabasco' },
+      TAMPS: { name: 'Tamaulipas' },
+      TLAX: { name: 'Tlaxcala' },
+      VER: { name: 'Veracruz' },
+      YUC: { name: 'Yucatán' },
+      ZAC: { name: 'Zacatecas' }
+    }
+  },
+  US: {
+    name: 'Estados Unidos',
+    emergency: '911',
+    lines: [
+      { name: '988 Suicide & Crisis Lifeline (español: opción 2)', tel: '988', sms: '988', hours: '24/7' },
+      { name: 'Crisis Text Line', sms: '741741', smsBody: 'AYUDA', hours: '24/7' }
+    ]
+  },
+  CA: {
+    name: 'Canadá',
+    emergency: '911',
+    lines: [{ name: '988 Suicide Crisis Helpline', tel: '988', sms: '988', hours: '24/7' }]
+  },
+  ES: {
+    name: 'España',
+    emergency: '112',
+    lines: [
+      { name: 'Línea 024 de atención a la conducta suicida', tel: '024', hours: '24/7' },
+      { name: 'Teléfono de la Esperanza', tel: '717003717', hours: '24/7' }
+    ]
+  },
+  AR: {
+    name: 'Argentina',
+    emergency: '911',
+    lines: [{ name: 'Centro de Asistencia al Suicida', tel: '135', hours: '24/7' }]
+  },
+  CO: {
+    name: 'Colombia',
+    emergency: '123',
+    lines: [{ name: 'Línea 106 (Bogotá)', tel: '106', hours: '24/7' }]
+  },
+  CL: {
+    name: 'Chile',
+    emergency: '131',
+    lines: [{ name: 'Línea de Prevención del Suicidio', tel: '*4141', hours: '24/7' }]
+  },
+  PE: {
+    name: 'Perú',
+    emergency: '105',
+    lines: [{ name: 'Línea 113 (opción 5, salud mental)', tel: '113', hours: '24/7' }]
+  },
+  GB: {
+    name: 'Reino Unido',
+    emergency: '999',
+    lines: [
+      { name: 'Samaritans', tel: '116123', hours: '24/7' },
+      { name: 'Shout', sms: '85258', smsBody: 'SHOUT', hours: '24/7' }
+    ]
   }
 };
 
-const Emotions = {
-  data: [{
-      name: 'Enojo',
-      color: 'linear-gradient(135deg, #EF4444, #B91C1C)',
-      emoji: '😡',
-      size: 'bubble-lg',
-      desc: 'Respuesta de defensa. Algo o alguien ha cruzado un límite o ha sido injusto.',
-      nuances: 'Frustración • Irritabilidad • Rencor • Envidia • Indignación',
-      tip: 'Misión: "Descarga Segura". Escribe lo que te molesta en un papel con fuerza, y luego rómpelo.'
-    },
-    {
-      name: 'Tristeza',
-      color: 'linear-gradient(135deg, #3B82F6, #1D4ED8)',
-      emoji: '😢',
-      size: 'bubble-md',
-      desc: 'Proceso de duelo. Tu mente necesita pausa para procesar una pérdida o cambio.',
-      nuances: 'Desánimo • Nostalgia • Soledad • Decepción • Culpabilidad',
-      tip: 'Misión: "Refugio". Abrázate a ti mismo/a por 30 segundos o envuélvete en una manta. Date calor.'
-    },
-    {
-      name: 'Ansiedad',
-      color: 'linear-gradient(135deg, #A855F7, #7E22CE)',
-      emoji: '😰',
-      size: 'bubble-lg',
-      desc: 'Alerta de futuro. Tu cerebro percibe una amenaza incierta y prepara el cuerpo para huir.',
-      nuances: 'Nerviosismo • Preocupación • Pánico • Inseguridad • Miedo',
-      tip: 'Misión: "Aterrizaje". Toca 4 objetos con texturas diferentes a tu alrededor ahora mismo.'
-    },
-    {
-      name: 'Calma',
-      color: 'linear-gradient(135deg, #10B981, #047857)',
-      emoji: '😌',
-      size: 'bubble-sm',
-      desc: 'Estado de seguridad. Tu sistema nervioso está en equilibrio y recuperación.',
-      nuances: 'Paz • Gratitud • Alivio • Confianza • Claridad',
-      tip: 'Misión: "Anclaje". Respira hondo y guarda una foto mental de este momento para cuando lo necesites.'
-    },
-    {
-      name: 'Agotado',
-      color: 'linear-gradient(135deg, #F59E0B, #B45309)',
-      emoji: '😫',
-      size: 'bubble-md',
-      desc: 'Deuda energética. Has gastado más recursos físicos o mentales de los que tenías.',
-      nuances: 'Fatiga • Hartazgo • Burnout • Pesadez • Apatía',
-      tip: 'Misión: "Modo Avión". Cierra los ojos 5 minutos. No intentes resolver nada ahora.'
-    },
-    {
-      name: 'Confusión',
-      color: 'linear-gradient(135deg, #64748B, #334155)',
-      emoji: '🌀',
-      size: 'bubble-sm',
-      desc: 'Sobrecarga de información. Muchas emociones están mezcladas y compitiendo.',
-      nuances: 'Duda • Bloqueo • Aturdimiento • Indecisión • Caos',
-      tip: 'Misión: "Vaciado". Escribe una lista rápida de todo lo que tienes en la cabeza sin filtro.'
-    }
-  ],
+/**
+ * Elige la región (ajuste guardado o `navigator.language`) y pinta los números locales
+ * en cada contenedor `[data-crisis-resources]` del SOS.
+ */
+const CrisisResources = {
+  fallback: 'MX',
+
   init() {
-    const container = DOM.get('bubbles-container');
-    const overlay = DOM.get('emotion-card-overlay');
-    if (!container || !overlay) return;
+    this.render();
+    document.addEventListener('change', (e) => {
+      if (!e.target.matches('.crisis-region-select')) return;
+      this.setRegion(e.target.value);
+    });
+  },
 
-    DOM.clear(container);
+  parse(code) {
+    const [country, state] = String(code || '').toUpperCase().split('-');
+    if (!CRISIS_DIRECTORY[country]) return null;
+    return { country, state: CRISIS_DIRECTORY[country].states?.[state] ? state : null };
+  },
 
-    this.data.forEach(emo => {
-      const b = DOM.create('div', {
-        className: `emotion-bubble ${emo.size}`,
-        text: emo.name,
-        style: { background: emo.color },
-        attrs: { role: 'button', tabindex: '0' }
-      });
+  detect() {
+    const langs = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const lang of langs) {
+      const region = String(lang || '').split('-')[1];
+      if (region && this.parse(region)) return this.parse(region);
+    }
+    return this.parse(this.fallback);
+  },
 
-      const open = () => this.open(emo, overlay);
-      b.onclick = open;
-      b.onkeydown = (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          open();
-        }
-      };
-      container.appendChild(b);
-    });
+  region() {
+    return this.parse(Storage.get(CONFIG.storageKeys.crisisRegion)) || this.detect();
+  },
 
-    DOM.get('close-emotion-btn')?.addEventListener('click', () => Modals.close(overlay));
-    overlay.addEventListener('click', (e) => { if (e.target === overlay) Modals.close(overlay); });
+  setRegion(code) {
+    if (!this.parse(code)) return;
+    Storage.set(CONFIG.storageKeys.crisisRegion, code);
+    this.render();
   },
 
-  open(data, overlay) {
-    const els = {
-      title: DOM.get('emotion-title'),
-      icon: DOM.get('emotion-icon'),
-      desc: DOM.get('emotion-desc'),
-      tip: DOM.get('emotion-tip'),
-      header: DOM.get('emotion-header-bg')
-    };
+  /** Nombre del país o estado en el idioma activo (crisis.regions.<código>); el directorio trae el español. */
+  regionName(code, fallback) {
+    return I18N.exists(`crisis.regions.${code}`) ? t(`crisis.regions.${code}`) : fallback;
+  },
 
-    if (els.title) DOM.setText(els.title, data.name);
-    if (els.icon) DOM.setText(els.icon, data.emoji);
-    if (els.header) els.header.style.background = data.color;
+  /** @returns {{ name: string, emergency: string, lines: Object[] }} Recursos del país más los del estado, si hay */
+  current() {
+    const { country, state } = this.region();
+    const data = CRISIS_DIRECTORY[country];
+    const local = state ? data.states[state] : null;
+    const name = this.regionName(country, data.name);
+    return {
+      name: local ? `${name} · ${this.regionName(`${country}-${state}`, local.name)}` : name,
+      emergency: data.emergency,
+      lines: [...(local?.lines || []), ...data.lines]
+    };
+  },
 
-    if (els.desc) {
-      const colorMatch = data.color.match(/#[A-Fa-f0-9]{6}/);
-      const hexColor = colorMatch ? colorMatch[0] : '#8B5CF6';
+  options() {
+    return Object.entries(CRISIS_DIRECTORY).flatMap(([code, data]) => {
+      const name = this.regionName(code, data.name);
+      return [
+        { value: code, label: name },
+        ...Object.entries(data.states || {}).map(([st, local]) => ({
+          value: `${code}-${st}`,
+          label: `${name} · ${this.regionName(`${code}-${st}`, local.name)}`
+        }))
+      ];
+    });
+  },
 
-      const r = parseInt(hexColor.slice(1, 3), 16);
-      const g = parseInt(hexColor.slice(3, 5), 16);
-      const b = parseInt(hexColor.slice(5, 7), 16);
-      const pastelBg = `rgba(${r}, ${g}, ${b}, 0.08)`;
-      const pastelBorder = `rgba(${r}, ${g}, ${b}, 0.2)`;
+  links(line) {
+    const links = [];
+    if (line.tel) links.push({ href: `tel:${line.tel}`, text: t('crisis.call', { number: line.tel }) });
+    if (line.sms) links.push({ href: `sms:${line.sms}${line.smsBody ? `?body=${encodeURIComponent(line.smsBody)}` : ''}`, text: t('crisis.sms', { number: line.sms }) });
+    if (line.whatsapp) links.push({ href: `https://wa.me/${line.whatsapp}`, text: t('crisis.whatsapp'), external: true });
+    return links;
+  },
 
-      els.desc.innerHTML = `
-        <div style="margin-bottom:1.2rem;">
-            <strong>🔍 El Mensaje:</strong><br>
-            <span style="color:#4B5563;">${data.desc}</span>
-        </div>
-        <div class="emotion-nuances-box" style="background:${pastelBg}; border:1px solid ${pastelBorder};">
-            <strong>SE PUEDE SENTIR COMO:</strong>
-            <span style="font-weight:600; color:#475569;">${data.nuances}</span>
-        </div>
-    `;
-    }
+  render() {
+    const { country, state } = this.region();
+    const selected = state ? `${country}-${state}` : country;
+    const data = this.current();
 
-    if (els.tip) DOM.setText(els.tip, data.tip);
+    DOM.getAll('[data-crisis-resources]').forEach(container => {
+      DOM.clear(container);
 
-    Modals.open(overlay);
-    setTimeout(() => overlay.querySelector('.close-modal-btn')?.focus(), 50);
+      const select = DOM.create('select', {
+        className: 'crisis-region-select reason-input',
+        attrs: { 'aria-label': t('crisis.regionLabel') },
+        children: this.options().map(({ value, label }) => DOM.create('option', { text: label, attrs: { value } }))
+      });
+      select.value = selected;
+
+      container.appendChild(DOM.create('label', {
+        className: 'crisis-region',
+        children: [DOM.create('span', { text: t('crisis.numbersFor') }), select]
+      }));
+      container.appendChild(DOM.create('a', {
+        className: 'btn-emergency-call',
+        text: t('crisis.emergency', { number: data.emergency }),
+        attrs: { href: `tel:${data.emergency}` }
+      }));
+
+      data.lines.forEach(line => {
+        container.appendChild(DOM.create('div', {
+          className: 'crisis-line',
+          children: [
+            DOM.create('strong', { text: line.name }),
+            DOM.create('span', { className: 'crisis-line-hours', text: line.hours }),
+            DOM.create('div', {
+              className: 'crisis-line-links',
+              children: this.links(line).map(({ href, text, external }) => DOM.create('a', {
+                text,
+                attrs: external ? { href, target: '_blank', rel: 'noopener noreferrer' } : { href }
+              }))
+            })
+          ]
+        }));
+      });
+    });
   }
 };
 
 
-/* =========================================
-   6. COMPLEX TOOLS (BREATHING, BODY SCAN, SOS)
-   ========================================= */
-
-const BreathingTool = {
-  modes: {
-    calm: {
-      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "RETÉN", d: 7000, s: 1.3 }, { l: "EXHALA", d: 8000, s: 1.0 }],
-      color: "#3B82F6", max: 4,
-      text: "Estimula el nervio vago para 'apagar' la alerta cerebral y bajar el ritmo cardíaco."
-    },
-    focus: {
-      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "AGUANTA", d: 4000, s: 1.3 }, { l: "EXHALA", d: 4000, s: 1.0 }, { l: "ESPERA", d: 4000, s: 1.0 }],
-      color: "#8B5CF6", max: 4,
-      text: "Equilibra el CO2 en sangre para recuperar la claridad mental y el enfoque."
-    },
-    sleep: {
-      phases: [{ l: "INHALA", d: 4000, s: 1.3 }, { l: "EXHALA", d: 8000, s: 1.0 }],
-      color: "#4F46E5", max: 10,
-      text: "Imita el ritmo respiratorio del sueño profundo para facilitar el descanso."
-    },
-    balance: {
-      phases: [{ l: "INHALA", d: 5000, s: 1.3 }, { l: "EXHALA", d: 5000, s: 1.0 }],
-      color: "#10B981", max: 6,
-      text: "Genera coherencia cardíaca para regular emociones intensas y volver a tu centro."
-    }
+/**
+ * Diario local de práctica: cada ejercicio registra inicio y cierre (completado o abandonado).
+ * En recursos.html se muestra como mapa de calor con rachas y totales semanales.
+ */
+const ActivityLog = {
+  maxEntries: 1000,
+  weeks: 12,
+  // El nombre de cada tipo está en activity.types.<tipo>
+  types: {
+    breathing: { icon: '🌬️' },
+    bodyscan: { icon: '🧘' },
+    grounding: { icon: '👁️' },
+    emotion: { icon: '🎨' }
   },
-  state: { isRunning: false, isPaused: false, mode: null, phaseIdx: 0, cycle: 1, startTs: 0, pauseAcc: 0, rafId: null },
+  open: {},
   els: {},
 
   init() {
     this.els = {
-      circle: DOM.get('btCircle'),
-      label: DOM.get('btLabel'),
-      cycle: DOM.get('btCycleCount'),
-      max: DOM.get('btMaxCycles'),
-      timer: DOM.get('btTimer'),
-      pause: DOM.get('btPauseBtn'),
-      reset: DOM.get('btResetBtn'),
-      instr: DOM.get('btInstructions')
+      heatmap: DOM.get('activity-heatmap'),
+      streak: DOM.get('activity-streak'),
+      best: DOM.get('activity-best'),
+      weekly: DOM.get('activity-weekly'),
+      recent: DOM.get('activity-recent'),
+      status: DOM.get('activity-status')
     };
-    if (!this.els.circle) return;
-
-    const savedMode = Storage.get(CONFIG.storageKeys.breathingMode);
-
-    DOM.getAll('.bt-mode-btn').forEach(btn => {
-      const modeKey = btn.dataset.mode;
-      if (this.modes[modeKey] && modeKey === savedMode) DOM.addClass(btn, 'active');
-
-      btn.addEventListener('click', () => {
-        if (!this.modes[modeKey]) return;
-        DOM.getAll('.bt-mode-btn').forEach(b => DOM.removeClass(b, 'active'));
-        DOM.addClass(btn, 'active');
-        this.start(modeKey);
-      });
-    });
+    // Si se cierra la página a mitad de un ejercicio, queda como abandonado
+    window.addEventListener('pagehide', () => Object.keys(this.open).forEach(type => this.end(type, 'abandoned')));
+    Vault.onChange(() => this.render());
+    this.render();
+  },
 
-    this.els.pause?.addEventListener('click', () => this.togglePause());
-    this.els.reset?.addEventListener('click', () => this.reset(true));
+  load() {
+    const data = Storage.get(CONFIG.storageKeys.activity);
+    return Array.isArray(data) ? data.filter(e => e && this.types[e.type] && typeof e.ts === 'number') : [];
   },
 
-  start(modeKey) {
-    if (!this.modes[modeKey]) return;
+  append(entry) {
+    const entries = this.load();
+    entries.push(entry);
+    this.save(entries.slice(-this.maxEntries));
+    Analytics.emit(`${entry.type}.${entry.status === 'completed' ? 'complete' : entry.status}`);
+    this.render();
+  },
 
-    if (this.state.rafId) {
-      cancelAnimationFrame(this.state.rafId);
-      this.state.rafId = null;
-    }
+  begin(type, mode) {
+    if (this.open[type]) this.end(type, 'abandoned');
+    this.open[type] = { type, mode: String(mode || ''), ts: Date.now() };
+    Analytics.emit(`${type}.start`);
+  },
 
-    Storage.set(CONFIG.storageKeys.breathingMode, modeKey);
+  end(type, status) {
+    const entry = this.open[type];
+    if (!entry) return null;
+    delete this.open[type];
+    const record = { ...entry, duration: Date.now() - entry.ts, status };
+    this.append(record);
+    return record;
+  },
 
-    this.state = {
-      isRunning: true,
-      isPaused: false,
-      mode: this.modes[modeKey],
-      phaseIdx: 0,
-      cycle: 1,
-      startTs: Date.now(),
-      pauseAcc: 0,
-      rafId: null,
-      baseScale: 1.0,
-      lastPauseTs: 0
-    };
+  annotate(type, patch) {
+    if (this.open[type]) Object.assign(this.open[type], patch);
+  },
 
-    if (this.els.max) DOM.setText(this.els.max, this.state.mode.max);
+  update(record, patch) {
+    const entries = this.load();
+    const target = entries.find(e => e.ts === record.ts && e.type === record.type);
+    if (!target) return;
+    Object.assign(target, patch);
+    this.save(entries);
+    this.render();
+  },
 
-    if (this.els.instr) {
-      DOM.setText(this.els.instr, this.state.mode.text);
-      DOM.setStyle(this.els.instr, {
-        backgroundColor: this.state.mode.color + '25',
-        border: `1px solid ${this.state.mode.color}40`,
-        padding: '1rem',
-        borderRadius: '16px',
-        color: '#1F2937',
-        transition: 'all 0.3s ease'
-      });
-    }
+  /** Con los datos bloqueados el registro se pierde; #activity-status lo dice al volver a "Mi práctica". */
+  save(entries) {
+    const key = CONFIG.storageKeys.activity;
+    return Storage.report(key, Storage.set(key, entries), this.els.status);
+  },
 
-    this.updateUI(true);
-    this.tick();
+  /** Registro instantáneo (p. ej. abrir una tarjeta de emoción). */
+  log(type, mode) {
+    this.append({ type, mode: String(mode || ''), ts: Date.now(), duration: 0, status: 'completed' });
   },
 
-  tick() {
-    if (!this.state.isRunning || this.state.isPaused) return;
+  /** "🌬️ Respiración (Calma Rápida)": el modo se guarda como clave y se traduce al mostrarlo. */
+  describe(type, mode) {
+    const label = `${this.types[type].icon} ${t(`activity.types.${type}`)}`;
+    if (!mode) return label;
 
-    const now = Date.now();
-    const elapsed = now - this.state.startTs - this.state.pauseAcc;
-    const phase = this.state.mode.phases[this.state.phaseIdx];
-    const progress = Math.min(elapsed / phase.d, 1);
+    let name = mode;
+    if (type === 'emotion') name = EmotionJournal.emotionFor(mode)?.name || mode;
+    else if (type === 'breathing' && I18N.exists(`breathing.modes.${mode}.name`)) name = t(`breathing.modes.${mode}.name`);
+    else if (I18N.exists(`activity.modes.${mode}`)) name = t(`activity.modes.${mode}`);
+    return `${label} (${name})`;
+  },
 
-    if (this.els.timer) DOM.setText(this.els.timer, Math.ceil((phase.d - elapsed) / 1000) + "s");
+  dayKey(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  },
 
-    if (progress >= 1) {
-      this.state.baseScale = phase.s;
-      this.state.phaseIdx++;
-      this.state.startTs = now;
-      this.state.pauseAcc = 0;
+  byDay(entries) {
+    return entries.reduce((acc, e) => {
+      if (e.status !== 'completed') return acc;
+      const key = this.dayKey(e.ts);
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+  },
 
-      if (this.state.phaseIdx >= this.state.mode.phases.length) {
-        this.state.phaseIdx = 0;
-        this.state.cycle++;
-        if (this.els.cycle) DOM.setText(this.els.cycle, this.state.cycle);
+  streaks(days, today = new Date()) {
+    const cursor = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    // La racha sigue viva si hoy todavía no se ha practicado pero ayer sí
+    if (!days[this.dayKey(cursor.getTime())]) cursor.setDate(cursor.getDate() - 1);
 
-        if (this.state.cycle > this.state.mode.max) return this.complete();
-      }
+    let current = 0;
+    while (days[this.dayKey(cursor.getTime())]) {
+      current++;
+      cursor.setDate(cursor.getDate() - 1);
     }
 
-    this.render(progress, phase);
-    this.state.rafId = requestAnimationFrame(() => this.tick());
+    let best = 0, run = 0, prev = null;
+    Object.keys(days).sort().forEach(key => {
+      const date = new Date(`${key}T00:00:00`);
+      run = prev && Math.round((date - prev) / 86400000) === 1 ? run + 1 : 1;
+      best = Math.max(best, run);
+      prev = date;
+    });
+
+    return { current, best };
   },
 
-  render(progress, phase) {
-    const ease = -(Math.cos(Math.PI * progress) - 1) / 2;
-    const currentScale = this.state.baseScale + (phase.s - this.state.baseScale) * ease;
+  render() {
+    if (!this.els.heatmap) return;
+    const entries = this.load();
+    const days = this.byDay(entries);
+    const { current, best } = this.streaks(days);
 
-    if (this.els.circle) {
-      DOM.setStyle(this.els.circle, {
-        transform: `scale(${currentScale})`,
-        backgroundColor: this.state.mode.color
-      });
-    }
-    if (this.els.label) {
-      DOM.setText(this.els.label, phase.l);
-      DOM.setStyle(this.els.label, { transform: `scale(${1/currentScale})` });
-    }
-  },
+    DOM.setText(this.els.streak, t('activity.days', { count: current }));
+    DOM.setText(this.els.best, t('activity.days', { count: best }));
 
-  togglePause() {
-    if (!this.state.isRunning) return;
-    this.state.isPaused = !this.state.isPaused;
+    this.renderHeatmap(days);
+    this.renderWeekly(entries);
+    this.renderRecent(entries);
+    if (typeof MoodCheck !== 'undefined') MoodCheck.renderSummary(entries);
+  },
 
-    if (this.state.isPaused) {
-      this.state.lastPauseTs = Date.now();
-      if (this.els.pause) DOM.setText(this.els.pause, "▶️ Continuar");
-      cancelAnimationFrame(this.state.rafId);
-    } else {
-      this.state.pauseAcc += (Date.now() - this.state.lastPauseTs);
-      if (this.els.pause) DOM.setText(this.els.pause, "⏸ Pausar");
-      this.tick();
+  renderHeatmap(days) {
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    // Columnas por semana empezando en lunes
+    start.setDate(start.getDate() - (this.weeks - 1) * 7 - ((start.getDay() + 6) % 7));
+
+    DOM.clear(this.els.heatmap);
+    for (let i = 0; i < this.weeks * 7; i++) {
+      const date = new Date(start);
+      date.setDate(start.getDate() + i);
+      const key = this.dayKey(date.getTime());
+      const count = days[key] || 0;
+      const future = date > today;
+      const label = t('activity.cell', { date: date.toLocaleDateString(I18N.intl, { day: 'numeric', month: 'short' }), count });
+
+      this.els.heatmap.appendChild(DOM.create('div', {
+        className: `activity-cell${future ? ' is-future' : ''}`,
+        attrs: { 'data-level': Math.min(count, 4), title: label, 'aria-label': label, role: 'gridcell' }
+      }));
     }
   },
 
-  complete() {
-    this.state.isRunning = false;
-    if (this.state.rafId) {
-      cancelAnimationFrame(this.state.rafId);
-      this.state.rafId = null;
+  renderWeekly(entries) {
+    if (!this.els.weekly) return;
+    const now = new Date();
+    const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+
+    DOM.clear(this.els.weekly);
+    for (let w = 0; w < 4; w++) {
+      const from = new Date(monday);
+      from.setDate(monday.getDate() - w * 7);
+      const to = new Date(from);
+      to.setDate(from.getDate() + 7);
+
+      const week = entries.filter(e => e.status === 'completed' && e.ts >= from.getTime() && e.ts < to.getTime());
+      const minutes = Math.round(week.reduce((sum, e) => sum + (e.duration || 0), 0) / 60000);
+      const label = w === 0 ? t('activity.thisWeek') : w === 1 ? t('activity.lastWeek') : t('activity.weeksAgo', { count: w });
+
+      this.els.weekly.appendChild(DOM.create('li', {
+        children: [
+          DOM.create('span', { text: label }),
+          DOM.create('strong', { text: t('activity.practices', { count: week.length, minutes }) })
+        ]
+      }));
     }
-    if (this.els.label) DOM.setText(this.els.label, "¡BIEN!");
-    if (this.els.timer) DOM.setText(this.els.timer, "FIN");
-    if (this.els.instr) DOM.setText(this.els.instr, "Ejercicio completado. ¡Bien hecho!");
-    if (this.els.pause) this.els.pause.disabled = true;
   },
 
-  reset(clearUI) {
-    if (this.state.rafId) {
-      cancelAnimationFrame(this.state.rafId);
-      this.state.rafId = null;
-    }
-    this.state.isRunning = false;
+  renderRecent(entries) {
+    if (!this.els.recent) return;
+    DOM.clear(this.els.recent);
+    entries.slice(-5).reverse().forEach(e => {
+      const when = new Date(e.ts).toLocaleString(I18N.intl, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+      const status = e.status === 'completed' ? '✅' : '⏹️';
+      this.els.recent.appendChild(DOM.create('li', {
+        text: `${status} ${this.describe(e.type, e.mode)} · ${when}`
+      }));
+    });
+  }
+};
 
-    if (clearUI) {
-      DOM.setStyle(this.els.circle, { transform: 'scale(1)', backgroundColor: '#E2E8F0' });
-      if (this.els.label) {
-        DOM.setText(this.els.label, "ELEGIR");
-        this.els.label.style.transform = 'scale(1)';
-      }
-      if (this.els.cycle) DOM.setText(this.els.cycle, "0");
-      if (this.els.max) DOM.setText(this.els.max, "-");
-      if (this.els.timer) DOM.setText(this.els.timer, "0:00");
 
-      if (this.els.instr) {
-        DOM.setText(this.els.instr, "Selecciona un modo arriba para comenzar");
-        DOM.setStyle(this.els.instr, {
-          backgroundColor: 'transparent',
-          border: 'none',
-          padding: '0',
-          color: 'inherit'
-        });
-      }
+/**
+ * Check-in de malestar (SUDS 0-10) antes y después de cada ejercicio, solo si la persona lo activa
+ * en "Mi práctica": a alguien en crisis no se le pide una calificación antes de ayudarle.
+ * El par se guarda en el registro del ActivityLog como { suds: { pre, post } }.
+ */
+const MoodCheck = {
+  els: {},
+  pending: null,
+  stage: null,
 
-      if (this.els.pause) {
-        this.els.pause.disabled = true;
-        DOM.setText(this.els.pause, "⏸ Pausar");
-      }
-      DOM.getAll('.bt-mode-btn').forEach(b => DOM.removeClass(b, 'active'));
+  init() {
+    this.els = {
+      prompt: DOM.get('suds-prompt'),
+      title: DOM.get('suds-title'),
+      scale: DOM.get('suds-scale'),
+      toggle: DOM.get('suds-enabled'),
+      summary: DOM.get('activity-suds')
+    };
+    if (!this.els.prompt) return;
+
+    for (let i = 0; i <= 10; i++) {
+      this.els.scale.appendChild(DOM.create('button', {
+        className: 'suds-btn',
+        text: String(i),
+        attrs: { type: 'button', 'data-suds': i, 'aria-label': t('moodCheck.level', { n: i }) }
+      }));
     }
-  },
 
-  updateUI(running) {
-    if (this.els.pause) {
-      this.els.pause.disabled = !running;
-      DOM.setText(this.els.pause, "⏸ Pausar");
+    this.els.prompt.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-suds]');
+      if (!btn) return;
+      const val = btn.dataset.suds;
+      if (val === 'never') Storage.set(CONFIG.storageKeys.suds, false);
+      this.resolve(val === 'skip' || val === 'never' ? null : Validators.number(val, 0, 10));
+    });
+
+    if (this.els.toggle) {
+      this.els.toggle.checked = this.enabled();
+      this.els.toggle.addEventListener('change', () => Storage.set(CONFIG.storageKeys.suds, this.els.toggle.checked));
     }
-    if (this.els.reset) this.els.reset.disabled = !running;
-    if (this.els.cycle) DOM.setText(this.els.cycle, "1");
-  }
-};
 
-const BodyScan = {
-  state: { active: false, step: 0, timer: null, paused: false, sessionId: 0 },
-  steps: [
-    { id: 'svg-head', label: 'Cabeza y Cara' },
-    { id: 'svg-shoulders', label: 'Hombros y Cuello' },
-    { id: 'svg-arms', label: 'Brazos y Manos' },
-    { id: 'svg-torso', label: 'Pecho y Estómago' },
-    { id: 'svg-legs', label: 'Piernas y Pies' }
-  ],
+    this.renderSummary(ActivityLog.load());
+  },
 
-  init() {
-    // Inicialización pasiva
+  enabled() {
+    return !!this.els.prompt && Storage.get(CONFIG.storageKeys.suds) === true;
   },
 
-  screen(id) {
-    if (!Validators.safeId(id)) return;
-    DOM.hideAll('.sos-screen');
-    const el = DOM.get(id);
-    if (el) DOM.addClass(el, 'active');
+  ask(question, stage) {
+    // Una pregunta nueva reemplaza a la anterior sin disparar su ejercicio
+    this.pending = null;
+    this.stage = stage;
+    DOM.setText(this.els.title, question);
+    this.els.prompt.hidden = false;
+    DOM.addClass(this.els.prompt, 'active');
+    setTimeout(() => this.els.scale.querySelector('.suds-btn')?.focus(), 50);
+    return new Promise(resolve => { this.pending = resolve; });
   },
 
-  open() {
-    if (typeof SOS !== 'undefined') SOS.close(true);
+  resolve(value) {
+    if (!this.pending) return;
+    const done = this.pending;
+    this.hide();
+    done(value);
+  },
 
-    const overlay = DOM.get('sos-overlay');
-    if (overlay) {
-      this.stop();
-      Modals.open(overlay);
-      this.screen('sos-screen-bs-intro');
-    }
+  hide() {
+    this.pending = null;
+    this.stage = null;
+    DOM.removeClass(this.els.prompt, 'active');
+    this.els.prompt.hidden = true;
+    if (this.els.toggle) this.els.toggle.checked = this.enabled();
   },
 
-  start() {
-    this.stop();
-    this.state.sessionId = Date.now();
-    this.state.step = 0;
-    this.state.active = true;
-    this.state.paused = false;
+  /** Cancela un check-in previo pendiente (p. ej. al cerrar el SOS); el posterior se conserva. */
+  dismiss() {
+    if (this.stage === 'before') this.hide();
+  },
 
-    this.screen('sos-screen-bs-active');
+  /** Pregunta (si está activado) y después arranca el ejercicio. */
+  before(type, startFn) {
+    if (!this.enabled()) return startFn();
+    this.ask(t('moodCheck.before'), 'before').then(pre => {
+      startFn();
+      if (pre !== null) ActivityLog.annotate(type, { suds: { pre } });
+    });
+  },
 
-    const btn = DOM.get('btn-bs-pause');
-    if (btn) {
-      DOM.setText(btn, "⏸ Pausar");
-      DOM.removeClass(btn, 'paused');
+  after(record) {
+    if (!record || !record.suds || !this.enabled()) return;
+    this.ask(t('moodCheck.after'), 'after').then(post => {
+      if (post !== null) ActivityLog.update(record, { suds: { ...record.suds, post } });
+    });
+  },
+
+  renderSummary(entries) {
+    if (!this.els.summary) return;
+    const groups = {};
+    entries.forEach(e => {
+      if (typeof e.suds?.pre !== 'number' || typeof e.suds?.post !== 'number') return;
+      const key = e.type === 'breathing' && e.mode ? `${e.type}:${e.mode}` : e.type;
+      (groups[key] = groups[key] || []).push(e.suds.pre - e.suds.post);
+    });
+
+    DOM.clear(this.els.summary);
+    const keys = Object.keys(groups);
+    if (!keys.length) {
+      this.els.summary.appendChild(DOM.create('li', { text: t('moodCheck.empty') }));
+      return;
     }
 
-    setTimeout(() => {
-      this.run(this.state.sessionId);
-    }, 50);
-  },
+    keys
+      .map(key => ({ key, drops: groups[key], avg: groups[key].reduce((a, b) => a + b, 0) / groups[key].length }))
+      .sort((a, b) => b.avg - a.avg)
+      .forEach(({ key, drops, avg }) => {
+        const [type, mode] = key.split(':');
+        const trend = avg > 0 ? t('moodCheck.down', { value: avg.toFixed(1) }) : avg < 0 ? t('moodCheck.up', { value: Math.abs(avg).toFixed(1) }) : t('moodCheck.same');
+        this.els.summary.appendChild(DOM.create('li', {
+          children: [
+            DOM.create('span', { text: ActivityLog.describe(type, mode) }),
+            DOM.create('strong', { text: t('moodCheck.result', { trend, count: drops.length }) })
+          ]
+        }));
+      });
+  }
+};
 
-  run(sessionId) {
-    if (sessionId !== this.state.sessionId) return;
-    if (!this.state.active || this.state.paused) return;
 
-    if (this.state.step >= this.steps.length) return this.screen('sos-screen-bs-final');
 
-    if (this.state.timer) clearTimeout(this.state.timer);
+/**
+ * Panel "Mis datos": activar/quitar el cifrado, desbloquear, auto-bloqueo y borrado de pánico.
+ * La lógica de cifrado vive en Vault; aquí solo se refleja su estado.
+ */
+const VaultPanel = {
+  els: {},
 
-    const data = this.steps[this.state.step];
-    const instr = DOM.get('bs-text-instruction');
-    const svg = DOM.get(data.id);
+  init() {
+    this.els = {
+      status: DOM.get('vault-status'),
+      enableForm: DOM.get('vault-enable-form'),
+      newPin: DOM.get('vault-new-pin'),
+      confirmPin: DOM.get('vault-confirm-pin'),
+      unlockForm: DOM.get('vault-unlock-form'),
+      pin: DOM.get('vault-pin'),
+      unlocked: DOM.get('vault-unlocked'),
+      autoLock: DOM.get('vault-autolock'),
+      error: DOM.get('vault-error'),
+      notice: DOM.get('vault-lock-notice')
+    };
+    if (!this.els.status) return;
 
-    DOM.getAll('.bs-dot').forEach((d, i) => {
-      if (i < this.state.step) DOM.addClass(d, 'completed');
-      else if (i === this.state.step) DOM.addClass(d, 'active');
-      else DOM.removeClass(d, 'active');
+    Vault.autoLockOptions.forEach(min => {
+      this.els.autoLock.appendChild(DOM.create('option', { text: t('vault.minutes', { count: min }), attrs: { value: min } }));
     });
 
-    if (instr) DOM.setText(instr, `Frunce y tensa fuerte: ${data.label}...`);
-    if (svg) DOM.addClass(svg, 'fill-active');
+    this.els.enableForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.enable();
+    });
+    this.els.unlockForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlock();
+    });
+    this.els.autoLock.addEventListener('change', () => Vault.setAutoLock(Validators.number(this.els.autoLock.value, 1, 30)));
 
-    this.state.timer = setTimeout(() => {
-      if (sessionId !== this.state.sessionId) return;
-      if (!this.state.active || this.state.paused) return;
+    document.querySelector('.vault-section').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-vault]')?.dataset.vault;
+      if (action === 'lock') Vault.lock();
+      if (action === 'disable') this.disable();
+      if (action === 'wipe' && confirm(t('vault.confirmWipe'))) Vault.wipe();
+    });
 
-      if (instr) DOM.setText(instr, `Suelta el aire y relaja: ${data.label}...`);
-      if (svg) {
-        DOM.removeClass(svg, 'fill-active');
-        DOM.addClass(svg, 'fill-relax');
-      }
+    Vault.onChange(() => this.render());
+    this.render();
+  },
 
-      this.state.timer = setTimeout(() => {
-        if (sessionId !== this.state.sessionId) return;
-        if (!this.state.active || this.state.paused) return;
+  async enable() {
+    const pin = this.els.newPin.value;
+    if (pin.length < 4) return this.fail(t('vault.tooShort'));
+    if (pin !== this.els.confirmPin.value) return this.fail(t('vault.mismatch'));
+    this.busy(this.els.enableForm, true);
+    try {
+      await Vault.enable(pin);
+      this.els.enableForm.reset();
+      this.render(t('vault.enabled'));
+    } catch (e) {
+      console.warn('No se pudo activar el cifrado:', e);
+      this.fail(t('vault.unsupported'));
+    } finally {
+      this.busy(this.els.enableForm, false);
+    }
+  },
 
-        this.state.step++;
-        this.run(sessionId);
-      }, 4000);
-    }, 4000);
+  async unlock() {
+    this.busy(this.els.unlockForm, true);
+    const ok = await Vault.unlock(this.els.pin.value);
+    this.busy(this.els.unlockForm, false);
+    this.els.pin.value = '';
+    if (!ok) return this.fail(t('vault.wrongPin'));
   },
 
-  toggle() {
-    const btn = DOM.get('btn-bs-pause');
-    const instr = DOM.get('bs-text-instruction');
+  async disable() {
+    if (!confirm(t('vault.confirmDisable'))) return;
+    await Vault.disable();
+    this.render(t('vault.disabled'));
+  },
 
-    if (this.state.paused) {
-      this.state.paused = false;
-      if (btn) {
-        DOM.setText(btn, "⏸ Pausar");
-        DOM.removeClass(btn, 'paused');
-      }
-      if (instr) DOM.setText(instr, "Reanudando...");
-      this.run(this.state.sessionId);
-    } else {
-      this.state.paused = true;
-      if (this.state.timer) clearTimeout(this.state.timer);
-      if (btn) {
-        DOM.setText(btn, "▶️ Reanudar");
-        DOM.addClass(btn, 'paused');
-      }
-      if (instr) DOM.setText(instr, "Ejercicio en pausa");
-    }
+  busy(form, on) {
+    form.querySelector('[type="submit"]').disabled = on;
   },
 
-  stop() {
-    this.state.active = false;
-    this.state.paused = false;
-    if (this.state.timer) {
-      clearTimeout(this.state.timer);
-      this.state.timer = null;
-    }
-    DOM.getAll('.body-path, .bs-dot').forEach(e => {
-      DOM.removeClass(e, 'fill-active');
-      DOM.removeClass(e, 'fill-relax');
-      DOM.removeClass(e, 'active');
-      DOM.removeClass(e, 'completed');
-    });
+  fail(message) {
+    DOM.setText(this.els.error, message);
+  },
+
+  render(message) {
+    const { enabled, unlocked } = Vault;
+    const locked = enabled && !unlocked;
+    this.els.enableForm.hidden = enabled;
+    this.els.unlockForm.hidden = !locked;
+    this.els.unlocked.hidden = !unlocked;
+    if (this.els.notice) this.els.notice.hidden = !locked;
+    if (unlocked) this.els.autoLock.value = String(Vault.meta()?.autoLock || 5);
+    DOM.setText(this.els.error, '');
+    DOM.setText(this.els.status, message || t(locked ? 'vault.statusLocked' : unlocked ? 'vault.statusUnlocked' : 'vault.statusOff'));
   }
 };
 
-const SOS = {
-  state: { crisisActive: false, crisisRaf: null, groundingIdx: 0 },
-
-  groundingSteps: [
-    { icon: '👁️', title: 'Vista', text: 'Encuentra 5 cosas de color azul', color: '#3B82F6' },
-    { icon: '✋', title: 'Tacto', text: 'Toca 4 cosas con texturas diferentes', color: '#F59E0B' },
-    { icon: '👂', title: 'Oído', text: 'Identifica 3 sonidos lejanos', color: '#10B981' },
-    { icon: '🐓', title: 'Olfato', text: 'Identifica 2 olores', color: '#EC4899' },
-    { icon: '❤️', title: 'Emoción', text: 'Di 1 cosa buena sobre ti', color: '#8B5CF6' }
-  ],
+
+
+/**
+ * Panel "Mis datos": lista todo lo guardado bajo el prefijo adpsike_, lo exporta como un
+ * paquete JSON versionado y lo importa en otro dispositivo (combinar o reemplazar).
+ * Con el cifrado activo, exportar e importar piden los datos desbloqueados.
+ */
+const MyData = {
+  prefix: 'adpsike_',
+  app: 'adpsike',
+  bundleVersion: 1,
+  els: {},
 
   init() {
-    const trigger = DOM.get('btn-sos-trigger');
-    const overlay = DOM.get('sos-overlay');
-    if (!trigger || !overlay) return;
+    this.els = {
+      list: DOM.get('data-list'),
+      exportBtn: DOM.get('btn-data-export'),
+      importForm: DOM.get('data-import-form'),
+      file: DOM.get('data-import-file'),
+      status: DOM.get('data-status'),
+      deleteBtn: DOM.get('btn-data-delete')
+    };
+    if (!this.els.list) return;
 
-    trigger.addEventListener('click', () => {
-      if (typeof BodyScan !== 'undefined') BodyScan.stop();
-      Modals.open(overlay);
-      this.reset();
+    this.els.exportBtn.addEventListener('click', () => this.exportBundle());
+    this.els.deleteBtn?.addEventListener('click', () => this.deleteAll());
+    this.els.importForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.importFile();
     });
-
-    DOM.get('close-sos-btn')?.addEventListener('click', () => this.close());
+    Vault.onChange(() => this.render());
+    this.render();
   },
 
-  screen(id) {
-    if (!Validators.safeId(id)) return;
-    DOM.hideAll('.sos-screen');
-    const el = DOM.get(id);
-    if (el) DOM.addClass(el, 'active');
+  /** Claves internas del propio almacenamiento: no son datos de la persona. */
+  internal(key) {
+    return key === Vault.metaKey || key.startsWith(DB.backends.localStorage.prefix);
   },
 
-  close(silent = false) {
-    const overlay = DOM.get('sos-overlay');
-    if (!overlay) return;
-
-    if (silent) {
-      DOM.removeClass(overlay, 'active');
-      DOM.setStyle(overlay, { display: 'none' });
-      document.body.style.overflow = 'auto';
-      this.stopAll();
-      return;
-    }
-
-    Modals.close(overlay);
-    this.stopAll();
+  keys() {
+    let stored = [];
+    try {
+      stored = Object.keys(localStorage);
+    } catch (e) {}
+    const all = new Set([...stored, ...DB.mirror.keys()]);
+    return [...all].filter(k => k.startsWith(this.prefix) && !this.internal(k)).sort();
   },
 
-  reset() {
-    this.stopAll();
-    this.screen('sos-screen-1');
+  /** Lo que importar y borrar pueden tocar: todo salvo la elección de privacidad, que es de cada dispositivo. */
+  personal() {
+    return Object.values(CONFIG.storageKeys).filter(key => key !== CONFIG.storageKeys.consent);
   },
 
-  stopAll() {
-    this.crisisStop();
-    this.state.groundingIdx = 0;
-    if (typeof BodyScan !== 'undefined') BodyScan.stop();
+  /** Nombre en CONFIG.storageKeys de una clave, para rotularla. */
+  nameOf(key) {
+    return Object.keys(CONFIG.storageKeys).find(name => CONFIG.storageKeys[name] === key);
   },
 
-  route(choice) {
-    const map = {
-      'suicide': 'sos-screen-suicide-validation',
-      'triage-2': 'sos-screen-triage-2',
-      'risk': 'sos-screen-risk',
-      'disconnect': 'sos-screen-bs-intro',
-      'panic': 'sos-screen-calm-intro'
-    };
-    if (Object.prototype.hasOwnProperty.call(map, choice)) this.screen(map[choice]);
+  collect() {
+    const data = {};
+    this.keys().forEach(key => {
+      const value = Storage.get(key);
+      if (value !== null && value !== undefined) data[key] = value;
+    });
+    return data;
   },
 
-  crisisStart() {
-    this.crisisStop();
-    this.screen('sos-screen-suicide-breathing');
-    this.state.crisisActive = true;
-    const start = Date.now();
-    const instrElement = DOM.get('sosInstructionText');
-    const label = DOM.get('sosLabel');
-    const circle = DOM.get('sosCircle');
-
-    const tick = () => {
-      if (!this.state.crisisActive) return;
-      const elapsed = (Date.now() - start) % 19000;
-      let scale = 1,
-        text = "INHALA",
-        subText = "";
-
-      if (elapsed < 4000) {
-        scale = 1 + (elapsed / 4000) * 0.2;
-        subText = "Inhala suave por la nariz...";
-      } else if (elapsed < 11000) {
-        scale = 1.2;
-        text = "RETÉN";
-        subText = "Mantén el aire un momento...";
-      } else {
-        scale = 1.2 - ((elapsed - 11000) / 8000) * 0.2;
-        text = "EXHALA";
-        subText = "Suelta todo el aire por la boca...";
-      }
-
-      if (circle) circle.style.transform = `scale(${scale})`;
-      if (label && label.textContent !== text) DOM.setText(label, text);
-      if (instrElement && instrElement.textContent !== subText) DOM.setText(instrElement, subText);
+  locked() {
+    return Vault.enabled && !Vault.unlocked;
+  },
 
-      this.state.crisisRaf = requestAnimationFrame(tick);
+  exportBundle() {
+    if (this.locked()) return this.status(t('myData.locked'), true);
+    const bundle = {
+      app: this.app,
+      version: this.bundleVersion,
+      exportedAt: new Date().toISOString(),
+      data: this.collect()
     };
-    tick();
+    DOM.download(JSON.stringify(bundle, null, 2), t('myData.filename', { date: ActivityLog.dayKey(Date.now()) }), 'application/json');
+    this.status(t(Vault.enabled ? 'myData.exportedPlain' : 'myData.exported'));
   },
 
-  crisisStop() {
-    this.state.crisisActive = false;
-    if (this.state.crisisRaf) {
-      cancelAnimationFrame(this.state.crisisRaf);
-      this.state.crisisRaf = null;
+  /**
+   * Valida un paquete y devuelve solo las claves conocidas (sin la elección de privacidad).
+   * @throws {Error} con el texto a mostrar si el archivo no sirve
+   */
+  parse(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (e) {
+      throw new Error(t('myData.invalid'));
     }
+    if (!bundle || bundle.app !== this.app || typeof bundle.data !== 'object' || !bundle.data || Array.isArray(bundle.data)) {
+      throw new Error(t('myData.invalid'));
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version > this.bundleVersion) {
+      throw new Error(t('myData.newerVersion'));
+    }
+    const known = this.personal();
+    const data = {};
+    Object.entries(bundle.data).forEach(([key, value]) => {
+      if (known.includes(key) && value !== null && value !== undefined) data[key] = value;
+    });
+    if (!Object.keys(data).length) throw new Error(t('myData.empty'));
+    return data;
   },
 
-  groundingStart() {
-    this.state.groundingIdx = 0;
-    this.screen('sos-screen-grounding');
-    this.groundingUpdateUI();
+  /**
+   * Combinar conserva lo de este dispositivo y suma lo nuevo: los historiales se unen
+   * sin duplicados y en orden cronológico; en objetos y ajustes gana el valor actual.
+   */
+  merge(current, incoming) {
+    if (current === null || current === undefined) return incoming;
+    if (Array.isArray(current) && Array.isArray(incoming)) {
+      // Un registro con la misma fecha (y tipo) es el mismo aunque luego se haya anotado
+      const id = e => typeof e?.ts === 'number' ? `${e.ts}:${e.type || ''}` : JSON.stringify(e);
+      const seen = new Set(current.map(id));
+      const merged = [...current, ...incoming.filter(e => !seen.has(id(e)))];
+      return merged.every(e => typeof e?.ts === 'number') ? merged.sort((a, b) => a.ts - b.ts) : merged;
+    }
+    if (typeof current === 'object' && typeof incoming === 'object' && !Array.isArray(current) && !Array.isArray(incoming)) {
+      return { ...incoming, ...current };
+    }
+    return current;
   },
 
-  groundingNext() {
-    this.state.groundingIdx++;
-    if (this.state.groundingIdx < this.groundingSteps.length) {
-      this.groundingUpdateUI();
-    } else {
-      this.screen('sos-screen-final');
+  async importFile() {
+    const file = this.els.file.files?.[0];
+    if (!file) return this.status(t('myData.noFile'), true);
+    if (this.locked()) return this.status(t('myData.locked'), true);
+    const mode = this.els.importForm.querySelector('[name="data-import-mode"]:checked')?.value === 'replace' ? 'replace' : 'merge';
+
+    let data;
+    try {
+      data = this.parse(await file.text());
+    } catch (e) {
+      return this.status(e.message, true);
     }
+    if (Object.keys(data).some(key => !Consent.allows(key))) return this.status(t('myData.noConsent'), true);
+    if (mode === 'replace' && !confirm(t('myData.confirmReplace'))) return;
+
+    const failed = Object.entries(data)
+      .filter(([key, value]) => !Storage.set(key, mode === 'merge' ? this.merge(Storage.get(key), value) : value))
+      .map(([key]) => key);
+    // Se borra después de escribir: sin elección de privacidad, el permiso del historial depende
+    // de que ya haya datos guardados (Consent.stored), y borrar antes lo retiraría a media importación
+    if (mode === 'replace') this.personal().filter(key => !(key in data)).forEach(key => Storage.remove(key));
+    await Vault.queue;
+    await DB.flush();
+    if (failed.length) {
+      this.render();
+      return this.status(Storage.notSavedText(failed[0]), true);
+    }
+    // Igual que al cambiar de idioma: los módulos leen sus datos al iniciar
+    window.location.reload();
   },
 
-  groundingUpdateUI() {
-    const step = this.groundingSteps[this.state.groundingIdx];
-    const icon = DOM.get('grounding-icon');
-    const title = DOM.get('grounding-title');
-    const text = DOM.get('grounding-text');
+  /**
+   * Borra los valores de CONFIG.storageKeys, también los cifrados aunque estén bloqueados.
+   * La elección de privacidad, el PIN y la base de datos se quedan; para quitarlo todo está
+   * el borrado de pánico de Vault.
+   */
+  deleteAll() {
+    if (!confirm(t('myData.confirmDelete'))) return;
+    this.personal().forEach(key => Storage.remove(key));
+    this.render();
+    this.status(t('myData.deleted'));
+  },
 
-    DOM.setStyle(icon, { transform: 'scale(0.8)', opacity: '0' });
-    setTimeout(() => {
-      if (icon) DOM.setText(icon, step.icon);
-      if (title) {
-        DOM.setText(title, step.title);
-        title.style.color = step.color;
-      }
-      if (text) DOM.setText(text, step.text);
+  status(message, isError = false) {
+    DOM.setText(this.els.status, message);
+    this.els.status.classList.toggle('is-error', isError);
+  },
 
-      DOM.getAll('.grounding-dot').forEach((d, i) => {
-        i <= this.state.groundingIdx ? DOM.addClass(d, 'active') : DOM.removeClass(d, 'active');
-      });
-      DOM.setStyle(icon, { transform: 'scale(1)', opacity: '1', transition: 'all 0.3s ease' });
-    }, 150);
+  render() {
+    DOM.clear(this.els.list);
+    if (this.locked()) {
+      this.els.list.appendChild(DOM.create('li', { text: t('myData.locked') }));
+      return;
+    }
+    const data = this.collect();
+    const keys = Object.keys(data);
+    if (!keys.length) {
+      this.els.list.appendChild(DOM.create('li', { text: t('myData.none') }));
+      return;
+    }
+    keys.forEach(key => {
+      const name = this.nameOf(key);
+      const value = data[key];
+      const bytes = JSON.stringify(value).length;
+      const size = bytes < 1024 ? t('myData.bytes', { bytes }) : t('myData.size', { kb: (bytes / 1024).toFixed(1) });
+      const detail = Array.isArray(value) ? `${t('myData.items', { count: value.length })} · ${size}` : size;
+      this.els.list.appendChild(DOM.create('li', {
+        children: [
+          DOM.create('span', { text: name && I18N.exists(`myData.keys.${name}`) ? t(`myData.keys.${name}`) : key }),
+          DOM.create('strong', { text: detail })
+        ]
+      }));
+    });
   }
 };
 
@@ -1216,11 +5805,21 @@ const safeInit = (module, name) => {
   }
 };
 
-document.addEventListener('DOMContentLoaded', () => {
-  // 1. Inicializar Core y Globales
+document.addEventListener('DOMContentLoaded', async () => {
+  // 1. Inicializar Core y Globales (el idioma primero: los demás módulos ya piden sus textos)
+  safeInit(I18N, 'I18N');
   safeInit(Navigation, 'Navigation');
   safeInit(Modals, 'Modals');
   safeInit(Accessibility, 'Accessibility');
+  safeInit(OfflineSupport, 'OfflineSupport');
+
+  // Historiales desde IndexedDB antes de que los lean los módulos; la apertura tiene tiempo límite
+  // para que una base colgada no deje sin SOS (los datos cifrados esperan el PIN)
+  await DB.ready();
+  await Vault.ready();
+  safeInit(PrivacyPrefs, 'PrivacyPrefs');
+  safeInit(Analytics, 'Analytics');
+  safeInit(StatsDashboard, 'StatsDashboard');
 
   const isHomePage = document.querySelector('.hero') !== null;
   const isResourcesPage = document.body.classList.contains('page-recursos') || document.querySelector('.jar-section') !== null;
@@ -1234,12 +5833,25 @@ document.addEventListener('DOMContentLoaded', () => {
 
   if (isResourcesPage) {
     safeInit(Animations, 'Animations');
+    safeInit(Cues, 'Cues');
+    safeInit(ActivityLog, 'ActivityLog');
+    safeInit(MoodCheck, 'MoodCheck');
     safeInit(Tools, 'Tools');
+    safeInit(LoadMeter, 'LoadMeter');
+    safeInit(Questionnaires, 'Questionnaires');
+    safeInit(QuizHistory, 'QuizHistory');
     safeInit(Jar, 'Jar');
     safeInit(Emotions, 'Emotions');
+    safeInit(EmotionJournal, 'EmotionJournal');
+    safeInit(ShareCard, 'ShareCard');
     safeInit(BodyScan, 'BodyScan');
     safeInit(SOS, 'SOS');
+    safeInit(SafetyPlan, 'SafetyPlan');
+    safeInit(CrisisResources, 'CrisisResources');
     safeInit(BreathingTool, 'BreathingTool');
+    safeInit(BreathingBuilder, 'BreathingBuilder');
+    safeInit(VaultPanel, 'VaultPanel');
+    safeInit(MyData, 'MyData');
   }
 
   /* --- 3. DELEGACIÓN DE EVENTOS CENTRALIZADA (Resource Page) --- */
@@ -1247,27 +5859,28 @@ document.addEventListener('DOMContentLoaded', () => {
     const sosOverlay = document.getElementById('sos-overlay');
 
     const actions = {
-      'start-grounding': () => SOS.groundingStart(),
       'next-grounding': () => SOS.groundingNext(),
       'start-bodyscan-direct': () => BodyScan.open(),
-      'start-bodyscan': () => BodyScan.start(),
-      'toggle-pause-bs': () => BodyScan.toggle(),
-      'skip-bs': () => {
-        BodyScan.stop();
-        BodyScan.screen('sos-screen-bs-final');
+      'start-breathing-calm': () => {
+        DOM.get('respiracion-v2')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        BreathingTool.select('calm');
       },
-      'start-crisis-breathing': () => SOS.crisisStart(),
-      'stop-crisis-breathing': () => {
-          SOS.crisisStop();
-          SOS.screen('sos-screen-suicide-reasons');
+      'start-grounding-direct': () => {
+        SOS.open('sos-screen-calm-intro');
+        SOS.go('start');
+      },
+      'toggle-pause-bs': () => BodyScan.toggle(),
+      'edit-safety-plan': () => {
+        SOS.close();
+        const content = DOM.get('content-safety-plan');
+        if (content && !DOM.hasClass(content, 'active')) DOM.get('btn-text-safety-plan')?.click();
+        DOM.get('card-safety-plan')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
       },
-      'show-contract': () => SOS.screen('sos-screen-suicide-contract'),
-      'finish-suicide': () => SOS.screen('sos-screen-suicide-final'),
       'enable-reasons-next': () => {
           const btn = DOM.get('btn-reasons-next');
           if (btn) {
             btn.disabled = false;
-            DOM.setText(btn, "Continuar");
+            DOM.setText(btn, t('common.continue'));
             DOM.setStyle(btn, { opacity: 1, cursor: 'pointer' });
           }
       },
@@ -1285,25 +5898,22 @@ document.addEventListener('DOMContentLoaded', () => {
         if (actions[actionName]) {
           actions[actionName]();
         }
+        if (actionName === 'open-sos-safety') {
+          SOS.open(actionBtn.dataset.sosScreen);
+        }
         if (actionName === 'open-modal') {
           Modals.open(document.getElementById(actionBtn.dataset.target));
         }
         if (actionName === 'open-sos' && sosOverlay) {
-          if (typeof BodyScan !== 'undefined') BodyScan.stop();
-          Modals.open(sosOverlay);
-          SOS.reset();
+          SOS.open();
         }
         return;
       }
 
-      // B. Navegación Interna SOS (data-sos-target)
+      // B. Navegación Interna SOS (transiciones de SOS_FLOW)
       const navBtn = e.target.closest('.js-sos-nav');
       if (navBtn) {
-        const targetId = navBtn.dataset.sosTarget;
-        const screens = document.querySelectorAll('.sos-screen');
-        screens.forEach(s => s.classList.remove('active'));
-        const target = document.getElementById(targetId);
-        if (target) target.classList.add('active');
+        SOS.go(navBtn.dataset.sosEvent);
         return;
       }
 
@@ -0,0 +1,85 @@
+'use strict';
+
+/* =========================================
+   SERVICE WORKER - ADPSIKE
+   Precarga las páginas y herramientas para que funcionen sin conexión.
+   Páginas, código y estilos van primero a la red (la caché es respaldo si falla o tarda), así que un despliegue
+   llega aunque nadie suba VERSION; súbela igual al cambiar PRECACHE para limpiar las cachés viejas.
+   ========================================= */
+const VERSION = 'adpsike-v3';
+
+const PRECACHE = [
+  '/',
+  '/index.html',
+  '/recursos.html',
+  '/privacidad.html',
+  '/gracias.html',
+  '/not_found.html',
+  '/styles.css',
+  '/script.js',
+  '/locales/es.js',
+  '/locales/en.js',
+  '/manifest.webmanifest',
+  '/icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+  // La versión nueva queda en espera hasta que la persona acepte actualizar
+  event.waitUntil(caches.open(VERSION).then(cache => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith('adpsike-') && key !== VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data === 'skip-waiting') self.skipWaiting();
+});
+
+/** Páginas, scripts, estilos y manifiesto: lo que cambia en cada despliegue. */
+const isCode = (request, url) =>
+  request.mode === 'navigate' || /\.(html|js|css|webmanifest)$/.test(url.pathname);
+
+// Una conexión colgada (que ni responde ni falla) no debe dejar al SOS esperando
+const NETWORK_TIMEOUT = 3000;
+
+/**
+ * Red primero; guarda la copia fresca. Sin red, o si la red no contesta en NETWORK_TIMEOUT,
+ * responde desde la caché de esta versión; si no hay copia, sigue esperando a la red.
+ */
+const networkFirst = (request) => {
+  const network = fetch(request).then(response => {
+    if (response.ok) {
+      const copy = response.clone();
+      caches.open(VERSION).then(cache => cache.put(request, copy));
+    }
+    return response;
+  });
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+    .then(() => caches.match(request, { ignoreSearch: true }))
+    .then(cached => cached || network);
+
+  return Promise.race([network, timeout])
+    .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => {
+      if (cached) return cached;
+      // Sin red ni copia, recursos.html para no dejar a nadie sin el SOS
+      if (request.mode === 'navigate') return caches.match('/recursos.html');
+      return Response.error();
+    }));
+};
+
+/** Caché primero para lo que casi no cambia (iconos); sin copia, la red. */
+const cacheFirst = (request) =>
+  caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request).catch(() => Response.error()));
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith(isCode(request, url) ? networkFirst(request) : cacheFirst(request));
+});
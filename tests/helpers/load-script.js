@@ -0,0 +1,102 @@
+'use strict';
+
+/* =========================================
+   CARGADOR DE script.js PARA PRUEBAS
+   Ejecuta script.js en un contexto aislado con un document mínimo y un localStorage falso y
+   devuelve los módulos pedidos. Los módulos que tocan el DOM real no se prueban aquí; solo lógica
+   pura, con reloj inyectable o sobre el almacenamiento.
+   ========================================= */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', '..', 'script.js'), 'utf8');
+
+/** document falso: guarda oyentes y permite disparar eventos como visibilitychange. */
+const fakeDocument = () => {
+  const listeners = new Map();
+  return {
+    hidden: false,
+    addEventListener(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+    },
+    removeEventListener(type, fn) {
+      listeners.get(type)?.delete(fn);
+    },
+    dispatch(type) {
+      [...(listeners.get(type) || [])].forEach(fn => fn({ type }));
+    },
+    listenerCount(type) {
+      return listeners.get(type)?.size || 0;
+    }
+  };
+};
+
+/**
+ * localStorage falso con `seed` como contenido inicial. Las claves son propiedades enumerables,
+ * así que Object.keys(localStorage) funciona como en el navegador.
+ */
+const fakeStorage = (seed = {}) => {
+  const store = {};
+  Object.defineProperties(store, {
+    getItem: { value: (key) => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null) },
+    setItem: { value: (key, value) => { store[key] = String(value); } },
+    removeItem: { value: (key) => { delete store[key]; } },
+    clear: { value: () => Object.keys(store).forEach(key => delete store[key]) }
+  });
+  Object.entries(seed).forEach(([key, value]) => store.setItem(key, value));
+  return store;
+};
+
+/**
+ * Reloj manual para PhaseScheduler: el tiempo solo avanza con advance(), y cada paso
+ * ejecuta los frames pedidos hasta entonces, como haría requestAnimationFrame.
+ */
+const fakeClock = () => {
+  let now = 0;
+  let nextId = 1;
+  const frames = new Map();
+  return {
+    now: () => now,
+    request(fn) {
+      const id = nextId++;
+      frames.set(id, fn);
+      return id;
+    },
+    cancel(id) {
+      frames.delete(id);
+    },
+    pending: () => frames.size,
+    advance(ms, step = 16) {
+      const target = now + ms;
+      while (now < target) {
+        now = Math.min(now + step, target);
+        const due = [...frames.values()];
+        frames.clear();
+        due.forEach(fn => fn());
+      }
+    }
+  };
+};
+
+/**
+ * @param {string[]} names constantes de script.js a exportar (p. ej. ['PhaseScheduler'])
+ * @param {{ storage?: Object, globals?: Object }} [options] `storage`: contenido inicial de localStorage;
+ *   `globals`: más globales del navegador (p. ej. confirm)
+ * @returns {{ modules: Object, document: Object, window: Object, localStorage: Object }}
+ */
+const loadScript = (names, { storage = {}, globals = {} } = {}) => {
+  const document = fakeDocument();
+  const window = { location: { hash: '', hostname: 'localhost', pathname: '/', reload() {} }, addEventListener() {} };
+  const localStorage = fakeStorage(storage);
+  const context = vm.createContext({
+    document, window, console, setTimeout, clearTimeout, setInterval, clearInterval,
+    localStorage, sessionStorage: fakeStorage(), crypto, TextEncoder, TextDecoder, btoa, atob,
+    ...globals
+  });
+  const modules = vm.runInContext(`${SOURCE}\n;({ ${names.join(', ')} });`, context, { filename: 'script.js' });
+  return { modules, document, window, localStorage };
+};
+
+module.exports = { loadScript, fakeClock, fakeStorage };
@@ -0,0 +1,55 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const LOAD = 'adpsike_load';
+const consent = JSON.stringify({ v: 1, ts: 0, history: true, stats: false });
+
+const setup = (stored) => {
+  const storage = { adpsike_consent: consent };
+  if (stored) storage[LOAD] = JSON.stringify(stored);
+  return loadScript(['LoadMeter'], { storage }).modules.LoadMeter;
+};
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const state = (checked, custom = []) => ({ checked, custom, snapshots: [] });
+
+test('LoadMeter.levelFor: cada nivel empieza en su umbral', () => {
+  const LoadMeter = setup();
+  assert.deepEqual([0, 14, 15, 29, 30, 49, 50, 64, 65, 79, 80, 100].map(p => LoadMeter.levelFor(p)), [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5]);
+});
+
+test('LoadMeter.score: porcentaje del peso marcado sobre el peso total', () => {
+  const LoadMeter = setup();
+  // Pesos base: 3 + 3 + 3 + 2 + 2 + 2 = 15
+  assert.deepEqual(plain(LoadMeter.score(state([]))), { percent: 0, level: 0 });
+  assert.deepEqual(plain(LoadMeter.score(state(['work', 'money']))), { percent: 40, level: 2 });
+  assert.deepEqual(plain(LoadMeter.score(state(LoadMeter.defaults.map(d => d.id)))), { percent: 100, level: 5 });
+});
+
+test('LoadMeter.score: los factores propios suman a ambos lados', () => {
+  const LoadMeter = setup();
+  const custom = [{ id: 'c1', label: 'Mudanza', weight: 3 }, { id: 'c2', label: 'Examen', weight: 2 }];
+  // (3 + 2) / (15 + 5)
+  assert.equal(LoadMeter.score(state(['c1', 'family'], custom)).percent, 25);
+  assert.equal(LoadMeter.score(state([], custom)).percent, 0);
+});
+
+test('LoadMeter.load: limpia lo guardado (ids desconocidos, pesos fuera de rango, fotos rotas)', () => {
+  const LoadMeter = setup({
+    custom: [{ id: 'c1', label: 'Mudanza', weight: 9 }, { id: 'c2', label: '  ', weight: 1 }, { id: 3, label: 'x' }],
+    checked: ['work', 'c1', 'c2', 'borrado'],
+    snapshots: [{ ts: 1, percent: 40 }, { ts: 'ayer', percent: 10 }, null]
+  });
+  const loaded = plain(LoadMeter.load());
+  assert.deepEqual(loaded.custom.map(c => [c.id, c.weight]), [['c1', 3]]);
+  assert.deepEqual(loaded.checked, ['work', 'c1']);
+  assert.deepEqual(loaded.snapshots.map(s => s.ts), [1]);
+});
+
+test('LoadMeter.load: sin datos o con basura devuelve un estado vacío', () => {
+  assert.deepEqual(plain(setup().load()), state([]));
+  assert.deepEqual(plain(setup('texto').load()), state([]));
+});
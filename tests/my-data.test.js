@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const ACTIVITY = 'adpsike_activity_log';
+const QUIZ = 'adpsike_quiz_data';
+const JAR = 'adpsike_jar';
+const CONSENT = 'adpsike_consent';
+
+const entry = (ts, type = 'breathing') => ({ type, mode: '', ts, duration: 0, status: 'completed' });
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const bundle = (data, version = 1) => JSON.stringify({ app: 'adpsike', version, exportedAt: '', data });
+
+const { modules } = loadScript(['MyData']);
+const { MyData } = modules;
+
+test('MyData.parse rechaza archivos que no son un paquete válido', () => {
+  assert.throws(() => MyData.parse('{no es json'), { message: 'myData.invalid' });
+  assert.throws(() => MyData.parse(JSON.stringify({ app: 'otra', version: 1, data: {} })), { message: 'myData.invalid' });
+  assert.throws(() => MyData.parse(JSON.stringify({ app: 'adpsike', version: 1, data: [] })), { message: 'myData.invalid' });
+  assert.throws(() => MyData.parse(bundle({ [QUIZ]: [] }, 2)), { message: 'myData.newerVersion' });
+  assert.throws(() => MyData.parse(bundle({ adpsike_otra: 1 })), { message: 'myData.empty' });
+});
+
+test('MyData.parse conserva solo las claves conocidas y deja fuera la elección de privacidad', () => {
+  const data = MyData.parse(bundle({ [QUIZ]: [], [CONSENT]: { v: 1, history: false }, adpsike_vault: {}, [JAR]: null }));
+  assert.deepEqual(Object.keys(data), [QUIZ]);
+});
+
+test('MyData.merge une historiales sin duplicados y en orden; en objetos y ajustes gana lo actual', () => {
+  const merged = MyData.merge([entry(3), entry(1)], [entry(2), entry(1), entry(1, 'bodyscan')]);
+  assert.deepEqual(plain(merged).map(e => `${e.ts}:${e.type}`), ['1:breathing', '1:bodyscan', '2:breathing', '3:breathing']);
+
+  assert.deepEqual(plain(MyData.merge({ a: 1, b: 2 }, { b: 3, c: 4 })), { a: 1, b: 2, c: 4 });
+  assert.equal(MyData.merge('box', 'calm'), 'box');
+  assert.equal(MyData.merge(null, 'calm'), 'calm');
+  assert.deepEqual(plain(MyData.merge(['b0'], ['b0', 'b1'])), ['b0', 'b1']);
+});
+
+/** Importa `data` con el panel falso; `reload` indica si terminó bien (recarga la página). */
+const importInto = async (storage, data, mode) => {
+  const loaded = loadScript(['MyData', 'Storage', 'Consent', 'DB'], { storage, globals: { confirm: () => true } });
+  const { MyData: panel } = loaded.modules;
+  let reloaded = false;
+  loaded.window.location.reload = () => { reloaded = true; };
+  const status = { textContent: '', classList: { toggle() {} } };
+  panel.els = {
+    file: { files: [{ text: async () => bundle(data) }] },
+    importForm: { querySelector: () => ({ value: mode }) },
+    status
+  };
+  await panel.importFile();
+  return { ...loaded, ...loaded.modules, reloaded, status };
+};
+
+test('Reemplazar, sin elección de privacidad y con historial previo, guarda todo en el dispositivo', async () => {
+  const { localStorage, Consent, reloaded, status } = await importInto(
+    { [ACTIVITY]: JSON.stringify([entry(1)]), [JAR]: JSON.stringify({ favorites: ['b1'] }) },
+    { [ACTIVITY]: [entry(2)], [QUIZ]: [] },
+    'replace'
+  );
+
+  assert.equal(status.textContent, '');
+  assert.equal(reloaded, true);
+  assert.equal(Consent.memory.size, 0);
+  assert.deepEqual(JSON.parse(localStorage.getItem(ACTIVITY)), [entry(2)]);
+  assert.equal(localStorage.getItem(QUIZ), '[]');
+  assert.equal(localStorage.getItem(JAR), null, 'lo que el paquete no trae se borra');
+});
+
+test('Reemplazar conserva la elección de privacidad del dispositivo', async () => {
+  const consent = JSON.stringify({ v: 1, ts: 0, history: true, stats: true });
+  const { localStorage, reloaded } = await importInto({ [CONSENT]: consent }, { [QUIZ]: [] }, 'replace');
+  assert.equal(reloaded, true);
+  assert.equal(localStorage.getItem(CONSENT), consent);
+});
+
+test('Combinar suma los registros nuevos a los de este dispositivo', async () => {
+  const { localStorage } = await importInto({ [ACTIVITY]: JSON.stringify([entry(1), entry(3)]) }, { [ACTIVITY]: [entry(2), entry(3)] }, 'merge');
+  assert.deepEqual(JSON.parse(localStorage.getItem(ACTIVITY)).map(e => e.ts), [1, 2, 3]);
+});
+
+test('Importar historial sin permiso para guardarlo avisa y no toca nada', async () => {
+  const { localStorage, reloaded, status } = await importInto({}, { [ACTIVITY]: [entry(1)] }, 'replace');
+  assert.equal(reloaded, false);
+  assert.equal(status.textContent, 'myData.noConsent');
+  assert.equal(localStorage.getItem(ACTIVITY), null);
+});
+
+test('MyData.deleteAll borra los datos y conserva la elección de privacidad', () => {
+  const consent = JSON.stringify({ v: 1, ts: 0, history: true, stats: false });
+  const { modules, localStorage } = loadScript(['MyData'], {
+    storage: { [CONSENT]: consent, [QUIZ]: '[]', adpsike_locale: '"en"' },
+    globals: { confirm: () => true }
+  });
+  const panel = modules.MyData;
+  panel.render = () => {};
+  panel.els = { status: { textContent: '', classList: { toggle() {} } } };
+
+  panel.deleteAll();
+  assert.equal(localStorage.getItem(QUIZ), null);
+  assert.equal(localStorage.getItem('adpsike_locale'), null);
+  assert.equal(localStorage.getItem(CONSENT), consent);
+  assert.equal(panel.els.status.textContent, 'myData.deleted');
+});
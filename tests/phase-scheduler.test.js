@@ -0,0 +1,149 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, fakeClock } = require('./helpers/load-script');
+
+const PHASES = [{ l: 'INHALA', d: 1000 }, { l: 'EXHALA', d: 2000 }];
+
+const setup = (options = {}) => {
+  const { modules, document } = loadScript(['PhaseScheduler']);
+  const clock = fakeClock();
+  const events = [];
+  const session = modules.PhaseScheduler.create({ phases: PHASES, clock, ...options });
+  ['start', 'phase', 'cycle', 'pause', 'resume', 'stop', 'complete'].forEach(evt => {
+    session.on(evt, (arg) => events.push(evt === 'phase' ? `phase:${arg.l}` : evt));
+  });
+  return { PhaseScheduler: modules.PhaseScheduler, document, clock, events, session };
+};
+
+test('avanza de fase justo al cumplirse cada duración y termina tras los ciclos', () => {
+  const { clock, events, session } = setup({ cycles: 2 });
+  session.start();
+  assert.deepEqual(events, ['start', 'phase:INHALA']);
+
+  clock.advance(999);
+  assert.equal(session.current().phase.l, 'INHALA');
+  clock.advance(1);
+  assert.equal(session.current().phase.l, 'EXHALA');
+
+  clock.advance(2000);
+  assert.equal(session.current().cycle, 2);
+  clock.advance(3000);
+  assert.deepEqual(events, ['start', 'phase:INHALA', 'phase:EXHALA', 'cycle', 'phase:INHALA', 'phase:EXHALA', 'complete']);
+  assert.equal(session.isRunning(), false);
+  assert.equal(clock.pending(), 0);
+});
+
+test('un frame tardío no desfasa el ritmo: el excedente pasa a la fase siguiente', () => {
+  const { clock, session } = setup({ cycles: 3 });
+  session.start();
+  clock.advance(1500, 1500);
+  assert.equal(session.current().phase.l, 'EXHALA');
+  clock.advance(1499, 1499);
+  assert.equal(session.current().phase.l, 'EXHALA');
+  clock.advance(1, 1);
+  assert.equal(session.current().phase.l, 'INHALA');
+});
+
+test('pausar congela el tiempo y reanudar continúa donde iba', () => {
+  const { clock, events, session } = setup();
+  session.start();
+  clock.advance(500);
+  session.pause();
+  assert.equal(clock.pending(), 0);
+
+  clock.advance(10000);
+  assert.equal(session.current().phase.l, 'INHALA');
+
+  session.resume();
+  clock.advance(499);
+  assert.equal(session.current().phase.l, 'INHALA');
+  clock.advance(1);
+  assert.equal(session.current().phase.l, 'EXHALA');
+  assert.deepEqual(events.filter(e => e === 'pause' || e === 'resume'), ['pause', 'resume']);
+});
+
+test('saltar reinicia la duración de la fase nueva, también en pausa', () => {
+  const { clock, session } = setup({ cycles: 2 });
+  session.start();
+  clock.advance(800);
+  session.skip();
+  assert.equal(session.current().phase.l, 'EXHALA');
+  clock.advance(1999);
+  assert.equal(session.current().phase.l, 'EXHALA');
+  clock.advance(1);
+  assert.equal(session.current().phase.l, 'INHALA');
+
+  session.pause();
+  session.skip();
+  assert.equal(session.isPaused(), true);
+  assert.equal(session.current().phase.l, 'EXHALA');
+  clock.advance(5000);
+  session.resume();
+  clock.advance(1999);
+  assert.equal(session.isRunning(), true);
+  clock.advance(1);
+  assert.equal(session.isRunning(), false);
+});
+
+test('se pausa al ocultar la pestaña y se reanuda al volver', () => {
+  const { document, clock, session } = setup();
+  session.start();
+  clock.advance(300);
+
+  document.hidden = true;
+  document.dispatch('visibilitychange');
+  assert.equal(session.isPaused(), true);
+  clock.advance(60000);
+
+  document.hidden = false;
+  document.dispatch('visibilitychange');
+  assert.equal(session.isPaused(), false);
+  clock.advance(699);
+  assert.equal(session.current().phase.l, 'INHALA');
+  clock.advance(1);
+  assert.equal(session.current().phase.l, 'EXHALA');
+});
+
+test('una pausa manual no se reanuda sola al volver a la pestaña', () => {
+  const { document, session } = setup();
+  session.start();
+  session.pause();
+  document.hidden = true;
+  document.dispatch('visibilitychange');
+  document.hidden = false;
+  document.dispatch('visibilitychange');
+  assert.equal(session.isPaused(), true);
+});
+
+test('abrir otro ejercicio exclusivo desmonta por completo el anterior', () => {
+  const { PhaseScheduler, document, clock, events, session } = setup();
+  session.start();
+  clock.advance(100);
+  assert.equal(document.listenerCount('visibilitychange'), 1);
+
+  const other = PhaseScheduler.create({ phases: PHASES, clock });
+  other.start();
+
+  assert.equal(session.isRunning(), false);
+  assert.equal(events.at(-1), 'stop');
+  assert.equal(PhaseScheduler.active.has(session), false);
+  assert.equal(PhaseScheduler.active.has(other), true);
+  assert.equal(document.listenerCount('visibilitychange'), 1);
+  assert.equal(clock.pending(), 1);
+
+  PhaseScheduler.stopAll();
+  assert.equal(other.isRunning(), false);
+  assert.equal(PhaseScheduler.active.size, 0);
+  assert.equal(document.listenerCount('visibilitychange'), 0);
+  assert.equal(clock.pending(), 0);
+});
+
+test('las sesiones no exclusivas conviven', () => {
+  const { PhaseScheduler, clock, session } = setup();
+  session.start();
+  PhaseScheduler.create({ phases: PHASES, clock, exclusive: false }).start();
+  assert.equal(session.isRunning(), true);
+  assert.equal(PhaseScheduler.active.size, 2);
+});
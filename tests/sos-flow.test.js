@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const { modules } = loadScript(['SOS', 'SOS_FLOW']);
+const { SOS, SOS_FLOW } = modules;
+
+test('SOS_FLOW: toda ruta llega a una pantalla segura y no hay pantallas rotas', () => {
+  const problems = SOS.auditFlow(SOS_FLOW, SOS);
+  assert.equal(problems.length, 0, `Rutas inseguras en SOS_FLOW:\n${problems.join('\n')}`);
+});
+
+test('SOS_FLOW: las pantallas de riesgo son seguras', () => {
+  ['sos-screen-risk', 'sos-screen-suicide-final'].forEach(id => assert.equal(SOS_FLOW.screens[id]?.safe, true, id));
+});
+
+test('auditFlow detecta callejones sin salida, destinos inexistentes y acciones que no existen', () => {
+  const broken = {
+    start: 'a',
+    screens: {
+      a: { on: { go: 'b', lost: 'nowhere' } },
+      b: { enter: 'noSuchEffect' },
+      orphan: { safe: true }
+    }
+  };
+  const problems = SOS.auditFlow(broken, {});
+  assert.ok(problems.some(p => p.includes('a → nowhere')), 'destino inexistente');
+  assert.ok(problems.some(p => p.startsWith('b: acción "noSuchEffect"')), 'acción inexistente');
+  assert.ok(problems.some(p => p.startsWith('b: termina sin ser pantalla segura')), 'callejón sin salida');
+  assert.ok(problems.some(p => p.startsWith('orphan: inalcanzable')), 'pantalla inalcanzable');
+  assert.ok(problems.some(p => p.startsWith('a: ninguna ruta llega')), 'sin ruta segura');
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const ACTIVITY = 'adpsike_activity_log';
+const QUIZ = 'adpsike_quiz_data';
+const CONSENT = 'adpsike_consent';
+const HISTORY_ON = JSON.stringify({ v: 1, ts: 0, history: true, stats: false });
+
+const entry = (ts, type = 'breathing') => ({ type, mode: '', ts, duration: 1000, status: 'completed' });
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Sustituto de IndexedDB: persistente como la base real, con sus datos en `data` para que
+ * sobrevivan entre "visitas" (cargas nuevas de script.js). `failing` hace fallar las escrituras.
+ */
+const fakeIndexedDB = (DB, data = new Map()) => {
+  const backend = { ...DB.backends.memory, id: 'IndexedDB', persistent: true, data, failing: false };
+  backend.put = async function (store, key, value) {
+    if (this.failing) throw new Error('QuotaExceededError');
+    this.store(store).set(key, value);
+  };
+  DB.backends.indexedDB = backend;
+  return backend;
+};
+
+// Los avisos de almacenamiento no disponible son esperables aquí
+const quiet = { ...console, warn() {} };
+
+const visit = (storage = {}, data) => {
+  const loaded = loadScript(['DB', 'Storage', 'Consent', 'CONFIG'], { storage, globals: { console: quiet } });
+  return { ...loaded, ...loaded.modules, idb: fakeIndexedDB(loaded.modules.DB, data) };
+};
+
+test('DB v1: los historiales pasan de localStorage a la base y se borran de localStorage', async () => {
+  const raw = JSON.stringify([entry(1)]);
+  const { DB, Storage, localStorage, idb } = visit({ [ACTIVITY]: raw, adpsike_locale: '"es"' });
+  await DB.ready();
+
+  assert.equal(DB.backend, idb);
+  assert.equal(await DB.get('meta', 'schema'), 1);
+  assert.equal(idb.data.get('kv').get(ACTIVITY), raw);
+  assert.equal(localStorage.getItem(ACTIVITY), null);
+  assert.equal(localStorage.getItem('adpsike_locale'), '"es"', 'lo que no es historial se queda en localStorage');
+  assert.deepEqual(plain(Storage.get(ACTIVITY)), [entry(1)]);
+});
+
+test('DB: con la base en memoria, adopt copia sin borrar el original de localStorage', async () => {
+  const raw = JSON.stringify([entry(1)]);
+  const { DB, localStorage } = visit({ [ACTIVITY]: raw });
+  DB.backends.indexedDB.open = async () => { throw new Error('IndexedDB no existe'); };
+  DB.backends.localStorage.open = async () => { throw new Error('sin espacio'); };
+  await DB.ready();
+
+  assert.equal(DB.backend.id, 'memoria');
+  assert.equal(DB.read(ACTIVITY), raw);
+  assert.equal(localStorage.getItem(ACTIVITY), raw);
+});
+
+test('DB: una escritura fallida queda de respaldo en localStorage y la siguiente visita la recupera', async () => {
+  const first = visit({ [CONSENT]: HISTORY_ON });
+  await first.DB.ready();
+  first.idb.failing = true;
+  assert.equal(first.Storage.set(ACTIVITY, [entry(1)]), true);
+  await first.DB.flush();
+  assert.equal(first.localStorage.getItem(ACTIVITY), JSON.stringify([entry(1)]));
+
+  const second = visit({ ...first.localStorage }, first.idb.data);
+  await second.DB.ready();
+  assert.deepEqual(plain(second.Storage.get(ACTIVITY)), [entry(1)]);
+  assert.equal(second.localStorage.getItem(ACTIVITY), null);
+
+  // Una escritura confirmada no deja respaldo
+  second.Storage.set(ACTIVITY, [entry(1), entry(2)]);
+  await second.DB.flush();
+  assert.equal(second.localStorage.getItem(ACTIVITY), null);
+  assert.equal(second.idb.data.get('kv').get(ACTIVITY), JSON.stringify([entry(1), entry(2)]));
+});
+
+test('DB: lo que una visita guardó en el almacén de localStorage vuelve a la base combinado', async () => {
+  const data = new Map([
+    ['kv', new Map([[ACTIVITY, JSON.stringify([entry(1), entry(3)])]])],
+    ['meta', new Map([['schema', 1]])]
+  ]);
+  const { DB, Storage, localStorage } = visit({
+    adpsike_db_kv: JSON.stringify({ [ACTIVITY]: JSON.stringify([entry(2), entry(3)]), [QUIZ]: '[]' }),
+    adpsike_db_meta: JSON.stringify({ schema: 1 })
+  }, data);
+  await DB.ready();
+
+  assert.deepEqual(plain(Storage.get(ACTIVITY)).map(e => e.ts), [1, 2, 3]);
+  assert.equal(data.get('kv').get(QUIZ), '[]');
+  assert.equal(localStorage.getItem('adpsike_db_kv'), null);
+  assert.equal(localStorage.getItem('adpsike_db_meta'), null);
+});
+
+test('DB: si esta visita usa el almacén de localStorage, no se combina consigo mismo', async () => {
+  const kv = JSON.stringify({ [ACTIVITY]: JSON.stringify([entry(1)]) });
+  const { DB, localStorage } = visit({ adpsike_db_kv: kv });
+  DB.backends.indexedDB.open = async () => { throw new Error('IndexedDB no respondió a tiempo'); };
+  await DB.ready();
+
+  assert.equal(DB.backend.id, 'localStorage');
+  assert.equal(DB.read(ACTIVITY), JSON.stringify([entry(1)]));
+  assert.ok(localStorage.getItem('adpsike_db_kv'));
+});
+
+test('DB.destroy borra todos los almacenamientos, no solo el activo', async () => {
+  const { DB, localStorage, idb } = visit({ adpsike_db_kv: '{}' });
+  idb.open = async () => { throw new Error('IndexedDB no respondió a tiempo'); };
+  let destroyed = false;
+  idb.destroy = async () => { destroyed = true; };
+  await DB.ready();
+  assert.equal(DB.backend.id, 'localStorage');
+
+  await DB.destroy();
+  assert.equal(destroyed, true);
+  assert.equal(localStorage.getItem('adpsike_db_kv'), null);
+  assert.equal(DB.backend, null);
+});
+
+test('Consent: lo esencial siempre se guarda; el historial sin elección ni datos previos, no', () => {
+  const { Consent, Storage, localStorage } = visit();
+  assert.equal(Consent.allows('adpsike_locale'), true);
+  assert.equal(Consent.allows(ACTIVITY), false);
+  assert.equal(Consent.allows('adpsike_desconocida'), false, 'una clave sin categoría cuenta como historial');
+
+  assert.equal(Storage.set(ACTIVITY, [entry(1)]), false);
+  assert.equal(Storage.inMemory(ACTIVITY), true);
+  assert.equal(localStorage.getItem(ACTIVITY), null);
+  assert.deepEqual(plain(Storage.get(ACTIVITY)), [entry(1)]);
+});
+
+test('Consent: sin elección, una categoría con datos de antes del aviso se sigue guardando', () => {
+  const { Consent, Storage, localStorage } = visit({ [QUIZ]: '[]' });
+  assert.equal(Consent.decided(), false);
+  assert.equal(Consent.allows(ACTIVITY), true);
+  assert.equal(Storage.set(ACTIVITY, [entry(1)]), true);
+  assert.equal(localStorage.getItem(ACTIVITY), JSON.stringify([entry(1)]));
+});
+
+test('Consent.save: retirar el permiso borra del dispositivo y conserva en memoria; darlo lo devuelve', () => {
+  const { Consent, Storage, localStorage } = visit({ [CONSENT]: HISTORY_ON, [ACTIVITY]: JSON.stringify([entry(1)]) });
+  assert.deepEqual([...Consent.losses({ history: false, stats: false })], ['history']);
+
+  Consent.save({ history: false, stats: false });
+  assert.equal(Consent.allows(ACTIVITY), false);
+  assert.equal(localStorage.getItem(ACTIVITY), null);
+  assert.deepEqual(plain(Storage.get(ACTIVITY)), [entry(1)]);
+
+  Consent.save({ history: true, stats: false });
+  assert.equal(localStorage.getItem(ACTIVITY), JSON.stringify([entry(1)]));
+  assert.equal(Storage.inMemory(ACTIVITY), false);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/load-script');
+
+const PLAN = 'adpsike_safety_plan';
+const JAR = 'adpsike_jar';
+const plan = { items: { reasons: ['mi perro'] }, passcode: null, updated: 1 };
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// El aviso de escritura descartada es esperable aquí
+const quiet = { ...console, warn() {} };
+
+const setup = async () => {
+  const { modules, localStorage } = loadScript(['Vault', 'Storage', 'CONFIG'], {
+    globals: { console: quiet },
+    storage: {
+      adpsike_consent: JSON.stringify({ v: 1, ts: 0, history: true, stats: false }),
+      [PLAN]: JSON.stringify(plan)
+    }
+  });
+  const { Vault, Storage } = modules;
+  // Menos iteraciones que en el navegador: aquí solo importa el flujo, no el costo de adivinar el PIN
+  Vault.iterations = 1000;
+  await Vault.enable('1234');
+  return { Vault, Storage, localStorage };
+};
+
+test('Vault.enable cifra lo sensible en el dispositivo y lo deja legible en la sesión', async (t) => {
+  const { Vault, Storage, localStorage } = await setup();
+  t.after(() => Vault.close());
+
+  const stored = JSON.parse(localStorage.getItem(PLAN));
+  assert.ok(stored.iv && stored.data, 'queda como { iv, data }');
+  assert.ok(!localStorage.getItem(PLAN).includes('mi perro'));
+  assert.equal(Vault.unlocked, true);
+  assert.deepEqual(plain(Storage.get(PLAN)), plan);
+});
+
+test('Vault bloqueado: las lecturas dan null y las escrituras se descartan sin tocar lo cifrado', async (t) => {
+  const { Vault, Storage, localStorage } = await setup();
+  t.after(() => Vault.close());
+  const cipher = localStorage.getItem(PLAN);
+
+  await Vault.lock();
+  assert.equal(Vault.unlocked, false);
+  assert.equal(Storage.get(PLAN), null);
+
+  assert.equal(Storage.set(PLAN, { items: {} }), false);
+  assert.equal(Storage.inMemory(PLAN), false);
+  assert.equal(Storage.notSavedText(PLAN), 'vault.lockedWrite');
+  assert.equal(localStorage.getItem(PLAN), cipher);
+});
+
+test('Vault.unlock: un PIN incorrecto no abre; el correcto devuelve los datos', async (t) => {
+  const { Vault, Storage } = await setup();
+  t.after(() => Vault.close());
+  await Vault.lock();
+
+  assert.equal(await Vault.unlock('0000'), false);
+  assert.equal(Vault.unlocked, false);
+  assert.equal(await Vault.unlock('1234'), true);
+  assert.deepEqual(plain(Storage.get(PLAN)), plan);
+});
+
+test('Vault: lo escrito con la sesión abierta se guarda cifrado y sobrevive a bloquear', async (t) => {
+  const { Vault, Storage, localStorage } = await setup();
+  t.after(() => Vault.close());
+
+  assert.equal(Storage.set(JAR, { favorites: ['b1'] }), true);
+  await Vault.queue;
+  // Con comillas: "b1" suelto podría salir por azar en el base64 del cifrado
+  assert.ok(!localStorage.getItem(JAR).includes('"b1"'));
+
+  await Vault.lock();
+  await Vault.unlock('1234');
+  assert.deepEqual(plain(Storage.get(JAR)), { favorites: ['b1'] });
+});
+
+test('Vault.disable deja los datos en claro y quita el PIN', async (t) => {
+  const { Vault, Storage, localStorage } = await setup();
+  t.after(() => Vault.close());
+
+  await Vault.disable();
+  assert.equal(Vault.enabled, false);
+  assert.equal(localStorage.getItem(Vault.metaKey), null);
+  assert.deepEqual(JSON.parse(localStorage.getItem(PLAN)), plan);
+  assert.deepEqual(plain(Storage.get(PLAN)), plan);
+});
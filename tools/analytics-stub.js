@@ -0,0 +1,98 @@
+'use strict';
+
+/* =========================================
+   SERVIDOR DE PRUEBA - ESTADÍSTICAS
+   Sirve el sitio en http://localhost:8787 y recibe los lotes de Analytics en /__analytics
+   (mismo origen, como pide la CSP). Solo para probar en local; no guarda nada en disco.
+
+   Uso:   node tools/analytics-stub.js        (PORT=9000 para cambiar el puerto)
+   Luego: acepta las estadísticas en el aviso de privacidad, usa las herramientas y abre
+          /recursos.html#estadisticas para ver los conteos y enviar el lote.
+          GET /__analytics devuelve lo recibido hasta ahora.
+   ========================================= */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8787;
+// Solo esta máquina: el servidor entrega todo el repositorio, .git incluido
+const HOST = '127.0.0.1';
+const ENDPOINT = '/__analytics';
+const MAX_BODY = 64 * 1024;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json'
+};
+
+// Totales recibidos: { día: { evento: n } }
+const received = {};
+
+const send = (res, status, body, type = 'application/json') => {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+};
+
+/** Mismo contrato que Analytics.flush: { v: 1, batches: [{ day, counts }] } con enteros positivos. */
+const valid = (batch) =>
+  batch && batch.v === 1 && Array.isArray(batch.batches) && batch.batches.every(b =>
+    /^\d{4}-\d{2}-\d{2}$/.test(b?.day) && b.counts && typeof b.counts === 'object' &&
+    Object.values(b.counts).every(n => Number.isInteger(n) && n > 0));
+
+const collect = (req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY) req.destroy();
+  });
+  req.on('end', () => {
+    let batch;
+    try {
+      batch = JSON.parse(body);
+    } catch (e) {
+      return send(res, 400, { error: 'JSON inválido' });
+    }
+    if (!valid(batch)) return send(res, 422, { error: 'Formato de lote inválido' });
+
+    batch.batches.forEach(({ day, counts }) => {
+      received[day] = received[day] || {};
+      Object.entries(counts).forEach(([name, n]) => { received[day][name] = (received[day][name] || 0) + n; });
+    });
+    console.log(`[${new Date().toLocaleTimeString()}] lote recibido:`, JSON.stringify(batch.batches));
+    send(res, 204, '');
+  });
+};
+
+const serveFile = (req, res) => {
+  let url;
+  try {
+    url = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (e) {
+    return send(res, 400, 'Ruta inválida', 'text/plain');
+  }
+  const file = path.join(ROOT, url === '/' ? 'index.html' : url);
+  if (!file.startsWith(ROOT + path.sep)) return send(res, 403, 'Prohibido', 'text/plain');
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      return fs.readFile(path.join(ROOT, 'not_found.html'), (e, page) => send(res, 404, page || 'No encontrado', TYPES['.html']));
+    }
+    send(res, 200, data, TYPES[path.extname(file)] || 'application/octet-stream');
+  });
+};
+
+http.createServer((req, res) => {
+  if (req.url === ENDPOINT && req.method === 'POST') return collect(req, res);
+  if (req.url === ENDPOINT && req.method === 'GET') return send(res, 200, received);
+  if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, 'Método no permitido', 'text/plain');
+  serveFile(req, res);
+}).listen(PORT, HOST, () => {
+  console.log(`Sitio en http://localhost:${PORT} · lotes en ${ENDPOINT} · tablero en /recursos.html#estadisticas`);
+});